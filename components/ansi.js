@@ -0,0 +1,99 @@
+/* Styled text for the journal terminal. Besides its plain text `v`, a line may
+   carry `spans`: runs of text with a style,
+     { text, bold?, dim?, italic?, underline?, strike?, code?, accent?, fg?, href? }
+   where fg is one of COLOURS (or 'gray'). Pipes, grep and wc keep working on
+   `v`; only the screen, the pager and recordings look at spans.
+
+   parse() reads ANSI SGR escapes (ESC[1;33m ...) and OSC 8 hyperlinks into
+   spans, so a command can print colour; format() writes spans back out. Given
+   the same `state` object on every call, parse() carries the style and link
+   from one piece of a stream to the next, as the recording player does. A
+   hyperlink to a URL that markdown links may not use either (see allowedUrl
+   in components/md.js) stays plain text. */
+import { allowedUrl } from './md.js';
+
+const COLOURS = ['black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white'];
+const BRIGHT = ['gray', ...COLOURS.slice(1)];
+const ESCAPES = /\x1b\[([\d;]*)m|\x1b\]8;[^;\x07\x1b]*;([^\x07\x1b]*)(?:\x07|\x1b\\)/g;
+const FLAGS = ['bold', 'dim', 'italic', 'underline', 'strike', 'code', 'accent'];
+
+// The style after one SGR sequence; unknown codes are ignored.
+function applySgr(style, params) {
+  const next = { ...style };
+  const codes = params === '' ? [0] : params.split(';').map(Number);
+  for (let i = 0; i < codes.length; i++) {
+    const c = codes[i];
+    if (c === 0) FLAGS.concat('fg').forEach(k => delete next[k]);
+    else if (c === 1) next.bold = true;
+    else if (c === 2) next.dim = true;
+    else if (c === 3) next.italic = true;
+    else if (c === 4) next.underline = true;
+    else if (c === 9) next.strike = true;
+    else if (c === 22) { delete next.bold; delete next.dim; }
+    else if (c === 23) delete next.italic;
+    else if (c === 24) delete next.underline;
+    else if (c === 29) delete next.strike;
+    else if (c >= 30 && c <= 37) next.fg = COLOURS[c - 30];
+    else if (c >= 90 && c <= 97) next.fg = BRIGHT[c - 90];
+    else if (c === 39) delete next.fg;
+    else if (c === 38) i += codes[i + 1] === 5 ? 2 : 4; // 256-colour / truecolour: not supported, skip its arguments
+  }
+  return next;
+}
+
+const sameStyle = (a, b) => [...FLAGS, 'fg', 'href'].every(k => a[k] === b[k]);
+
+function parse(str, state = {}) {
+  const spans = [];
+  let { style = {}, href = null } = state, last = 0;
+  const push = (text) => {
+    if (!text) return;
+    const span = { ...style, ...(href && { href }), text };
+    const prev = spans[spans.length - 1];
+    if (prev && sameStyle(prev, span)) prev.text += text;
+    else spans.push(span);
+  };
+  str.replace(ESCAPES, (m, sgr, url, at) => {
+    push(str.slice(last, at));
+    last = at + m.length;
+    if (sgr !== undefined) style = applySgr(style, sgr);
+    else href = (url && allowedUrl(url)) || null;
+    return m;
+  });
+  push(str.slice(last));
+  Object.assign(state, { style, href });
+  return spans;
+}
+
+const strip = (str) => str.replace(ESCAPES, '');
+
+// A { cls, v, spans } line from text that may contain escapes.
+function line(str, cls = 'tm-body') {
+  return str.includes('\x1b') ? { cls, v: strip(str), spans: parse(str) } : { cls, v: str };
+}
+
+// Spans back to escapes. `base` is the SGR of the surrounding line, restored after each styled run.
+function format(spans, base = '') {
+  return spans.map(s => {
+    const codes = [
+      s.bold && 1, s.dim && 2, s.italic && 3, (s.underline || s.href) && 4, s.strike && 9,
+      s.fg ? (s.fg === 'gray' ? 90 : 30 + COLOURS.indexOf(s.fg)) : s.accent ? 33 : s.code ? 36 : 0,
+    ].filter(Boolean);
+    const text = s.href ? `\x1b]8;;${s.href}\x1b\\${s.text}\x1b]8;;\x1b\\` : s.text;
+    return codes.length ? `\x1b[${codes.join(';')}m${text}\x1b[0m${base}` : text;
+  }).join('');
+}
+
+// The spans covering characters [from, to) of the line's text, for wrapping.
+function slice(spans, from, to) {
+  const out = [];
+  let at = 0;
+  spans.forEach(s => {
+    const a = Math.max(from, at), b = Math.min(to, at + s.text.length);
+    if (a < b) out.push({ ...s, text: s.text.slice(a - at, b - at) });
+    at += s.text.length;
+  });
+  return out;
+}
+
+export const ansi = { COLOURS, parse, strip, line, format, slice, sameStyle };
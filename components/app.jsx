@@ -1,3 +1,13 @@
+import { useState, useEffect, useRef } from 'react';
+import { createRoot } from 'react-dom/client';
+import { Nav, Hero, Ticker, About } from './top.jsx';
+import { Work } from './work.jsx';
+import { Cases } from './cases.jsx';
+import { Posts } from './journal.jsx';
+import { Journal } from './terminal.jsx';
+import { Skills, Contact } from './skills.jsx';
+import { registerServiceWorker } from './pwa.js';
+
 function Tweaks({ theme, setTheme, display, setDisplay, accent, setAccent }) {
   const [open, setOpen] = useState(false);
 
@@ -80,6 +90,20 @@ function Cursor() {
   return <div className="cursor" ref={ref} />;
 }
 
+// A new deploy has installed and is waiting: offer to switch to it
+function UpdatePrompt() {
+  const [apply, setApply] = useState(null);
+  useEffect(() => { registerServiceWorker(fn => setApply(() => fn)); }, []);
+  if (!apply) return null;
+  return (
+    <div className="update-prompt" role="status">
+      <span>A new version of the site is ready</span>
+      <button onClick={apply}>Reload</button>
+      <button className="x" onClick={() => setApply(null)} aria-label="Dismiss">×</button>
+    </div>
+  );
+}
+
 function App() {
   const TWEAK_DEFAULTS = /*EDITMODE-BEGIN*/{
     "theme": "paper",
@@ -98,9 +122,9 @@ function App() {
 
   useEffect(() => {
     const fam = {
-      serif: '"Fraunces", ui-serif, Georgia, serif',
-      grotesk: '"Inter Tight", "Söhne", ui-sans-serif, system-ui, sans-serif',
-      mono: '"JetBrains Mono", "IBM Plex Mono", ui-monospace, monospace',
+      serif: '"Fraunces Variable", ui-serif, Georgia, serif',
+      grotesk: '"Inter Tight Variable", "Söhne", ui-sans-serif, system-ui, sans-serif',
+      mono: '"JetBrains Mono Variable", "IBM Plex Mono", ui-monospace, monospace',
     }[display];
     document.documentElement.style.setProperty('--serif', fam);
   }, [display]);
@@ -111,6 +135,14 @@ function App() {
     document.documentElement.style.setProperty('--accent-2', c[1]);
   }, [accent]);
 
+  // A link to a section or a case (/#cases, a case's permalink page) arrives
+  // before there is anything to scroll to: go there once it has rendered
+  useEffect(() => {
+    const hash = window.location.hash;
+    const el = /^#[\w-]+$/.test(hash) && document.getElementById(hash.slice(1));
+    if (el) el.scrollIntoView();
+  }, []);
+
   useEffect(() => {
     const sections = ['about','work','cases','signals','journal','skills','contact'];
     const obs = new IntersectionObserver((entries) => {
@@ -137,9 +169,11 @@ function App() {
         <Skills />
         <Contact />
       </main>
+      <UpdatePrompt />
       <Tweaks theme={theme} setTheme={setTheme} display={display} setDisplay={setDisplay} accent={accent} setAccent={setAccent} />
     </>
   );
 }
 
-ReactDOM.createRoot(document.getElementById('root')).render(<App />);
+// Not hydrateRoot: on a permalink page #root holds a static preview, not App's markup (see scripts/permalinks.js)
+createRoot(document.getElementById('root')).render(<App />);
@@ -0,0 +1,73 @@
+/* asciicast v2 (https://docs.asciinema.org/manual/asciicast/v2/) for the journal terminal.
+   A cast is a JSON header line followed by one [seconds, "o", data] event per line.
+   Terminal line classes map to SGR colour codes on the way out (toSgr), and a
+   line's spans go out through ansi.format, so recordings keep their colours and
+   links in any player. screen() is the player's side: it reads the output back
+   into lines of spans (components/ansi.js). scripts/cast-replay.js checks that
+   what is recorded plays back as it was shown. */
+import { ansi } from './ansi.js';
+
+const SGR = {
+  'tm-err': '31',
+  'tm-user': '32',
+  'tm-meta': '33',
+  'tm-help-h': '1;33',
+  'tm-cat-file': '34',
+  'tm-dir': '34',
+  'tm-path': '34',
+  'tm-sys': '3;90',
+  'tm-muted': '90',
+};
+
+const toSgr = (cls) => (SGR[cls] ? `\x1b[${SGR[cls]}m` : '');
+
+// A terminal line ({ cls, v, spans? }) as the escapes a real terminal would be sent
+function lineOut(l) {
+  const text = l.spans ? ansi.format(l.spans, toSgr(l.cls)) : l.v || '';
+  return text && toSgr(l.cls) ? toSgr(l.cls) + text + '\x1b[0m' : text;
+}
+
+// Other CSI sequences, OSC 8 links, line breaks, backspace, and runs of text with their SGR
+const TOKENS = /\x1b\[[\d;]*([A-Za-ln-z])|\r?\n|\r|\x08|(?:\x1b\[[\d;]*m|\x1b\]8;[^;\x07\x1b]*;[^\x07\x1b]*(?:\x07|\x1b\\)|[^\x1b\r\n\x08])+/g;
+
+/* A scrolling screen for output written to it in pieces: text, SGR colours,
+   OSC 8 links, CR/LF, backspace and clear-screen, which is what the recorder
+   writes. `lines` is an array of lines, each an array of spans. */
+function screen() {
+  const state = {};
+  const s = {
+    lines: [[]],
+    write(data) {
+      data.replace(TOKENS, (tok, code) => {
+        const line = s.lines[s.lines.length - 1];
+        const last = line[line.length - 1];
+        if (code === 'J') s.lines = [[]];
+        else if (code || tok === '\r') { /* cursor movement: nothing to do on a scrolling screen */ }
+        else if (tok.endsWith('\n')) s.lines.push([]);
+        else if (tok === '\x08') { if (last) { last.text = last.text.slice(0, -1); if (!last.text) line.pop(); } }
+        else {
+          ansi.parse(tok, state).forEach(span => {
+            const prev = line[line.length - 1];
+            if (prev && ansi.sameStyle(prev, span)) prev.text += span.text;
+            else line.push(span);
+          });
+        }
+        return '';
+      });
+    },
+  };
+  return s;
+}
+
+function encode(header, events) {
+  return [JSON.stringify({ version: 2, ...header }), ...events.map(e => JSON.stringify(e))].join('\n') + '\n';
+}
+
+function decode(text) {
+  const [head, ...rest] = text.split('\n').filter(l => l.trim());
+  const header = JSON.parse(head);
+  if (header.version !== 2) throw new Error(`unsupported asciicast version ${header.version}`);
+  return { header, events: rest.map(l => JSON.parse(l)) };
+}
+
+export const asciicast = { encode, decode, toSgr, lineOut, screen };
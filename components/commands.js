@@ -0,0 +1,73 @@
+/* Command registry for the journal terminal. Every command, built in or not,
+   is a spec registered here; `help`, `man`, Tab completion and "did you mean"
+   are all generated from it.
+
+   gsh.register({
+     name: 'posts',
+     aliases: ['signals'],              // optional
+     usage: 'posts [year]',             // first column of `help`
+     summary: 'list linkedin posts',    // one line for `help`
+     more: ['longer text for man'],     // optional, shown by `man posts`
+     hidden: false,                     // optional, left out of help/completion
+     mutates: false,                    // optional; true refuses to run from a deep link
+     complete: (word, argv, sh) => [{ value, label? }],   // optional; paths by default
+     run: (args, stdin, io, sh) => [{ cls, v }],
+   });
+
+   `run` returns lines like every other command: stdin is the piped lines (or
+   null), io.tty is true when writing to the screen and io.name is the name it
+   was invoked by. `sh` is the shell (cwd, stat, all, fail, docLines, ...).
+   register() returns a function that removes the command again, which makes
+   it a natural useEffect cleanup. */
+const commands = new Map(); // name -> spec, in registration (= help) order
+const aliases = new Map(); // alias -> name
+
+function register(spec) {
+  if (!spec || !/^\S+$/.test(spec.name || '') || typeof spec.run !== 'function') {
+    throw new TypeError('gsh.register: a command needs a name and a run(args, stdin, io, sh) function');
+  }
+  const prev = commands.get(spec.name);
+  if (prev) (prev.aliases || []).forEach(a => aliases.delete(a));
+  commands.set(spec.name, spec);
+  (spec.aliases || []).forEach(a => aliases.set(a, spec.name));
+  return () => { if (commands.get(spec.name) === spec) unregister(spec.name); };
+}
+
+function unregister(name) {
+  const spec = commands.get(name);
+  if (!spec) return false;
+  (spec.aliases || []).forEach(a => { if (aliases.get(a) === name) aliases.delete(a); });
+  return commands.delete(name);
+}
+
+const lookup = (name) => commands.get(name) || commands.get(aliases.get(name)) || null;
+const list = () => [...commands.values()];
+
+// Edit distance counting an adjacent swap as one edit, so `grpe` is 1 away from `grep`.
+function distance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// The closest visible command to a mistyped name, or null if nothing is close.
+function suggest(name) {
+  const limit = name.length <= 4 ? 1 : 2;
+  let best = null, bestD = Infinity;
+  list().filter(c => !c.hidden).forEach(c => {
+    [c.name, ...(c.aliases || [])].filter(n => n.length > 1).forEach(n => {
+      const d = distance(name, n);
+      if (d <= limit && d < bestD) { best = c.name; bestD = d; }
+    });
+  });
+  return best;
+}
+
+export const gsh = { register, unregister, lookup, list, suggest, distance };
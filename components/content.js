@@ -0,0 +1,32 @@
+/* The site's content files, fetched once however many sections want them:
+
+     loadJson('posts/posts.json') -> Promise of the parsed file
+     loadNotes()                  -> Promise of [{ file, meta, body, warnings }]
+                                     for the notes journal/index.js lists
+
+   Signals, the Stack section and the terminal all read the posts, and the
+   last two the notes; each asks when it first needs them and gets the same
+   promise. A file that fails to load is forgotten, so the next ask tries
+   again, and a response such as the 404 page counts as failing. */
+import { parseFrontmatter } from './frontmatter.js';
+import { JOURNAL } from '../journal/index.js';
+
+const loaded = new Map();
+
+function once(key, load) {
+  if (!loaded.has(key)) loaded.set(key, load().catch(err => { loaded.delete(key); throw err; }));
+  return loaded.get(key);
+}
+
+const ok = (r) => (r.ok ? r : Promise.reject(new Error(`${r.url || 'fetch'}: ${r.status}`)));
+
+const loadJson = (url) => once(url, () => fetch(url).then(ok).then(r => r.json()));
+
+// A note that doesn't load is left out of the list
+const loadNotes = () => once('journal notes', () => Promise.all((JOURNAL || []).map(e =>
+  fetch(e.file).then(ok).then(r => r.text())
+    .then(text => ({ file: e.file, ...parseFrontmatter(text) }))
+    .catch(() => null)
+)).then(notes => notes.filter(Boolean)));
+
+export { loadJson, loadNotes };
@@ -0,0 +1,82 @@
+/* Where each skill shows up on the site: the case studies whose stack lists
+   it, the jobs that mention it, and the posts and journal entries that write
+   about it. The Stack section shows it when a skill is clicked, and the
+   terminal's `skill` command prints it.
+
+     const ev = createEvidence({ cases: CASES, work: WORK, journal, posts });
+       journal: [{ file, meta: { title, tags }, body }], posts: [{ id, title, tags, body }]
+     ev.find('Kotlin') -> { name, needles, cases: [case], work: [job], journal: [entry], posts: [post], total }
+     summarize(ev.find('Kotlin'))
+       -> 'used in C/01 Transaction Data Platform and C/02 Assistance Module, written about in 1 post'
+
+   A skill's name stands for the names it is written as: 'Java (11 to 21)' is
+   Java, 'Spring Boot 3' is Spring Boot, 'TypeScript · NestJS' is either, and
+   'Amazon Web Services (AWS)' is either spelling. Stacks and tags must name
+   it exactly (a tag's hyphens count as spaces); free text must mention it as
+   whole words, hyphenated or not. Acronyms (AWS, REST) match their case only,
+   so "rest" is not REST, and names under three letters (Go, C) only ever
+   match a stack or a tag. */
+const key = (s) => String(s).normalize('NFKC').toLowerCase().replace(/[\s_-]+/g, ' ').trim();
+const plain = (html) => String(html).replace(/<[^>]+>/g, '');
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// 'Amazon Web Services (AWS)' -> ['Amazon Web Services', 'AWS']
+function needles(name) {
+  const out = String(name).split(/\s+[·/]\s+|\s*,\s*/).flatMap(part => {
+    const acronym = part.match(/\(([^\s()]*[A-Z][^\s()]*[A-Z][^\s()]*)\)/);
+    const bare = part.replace(/\([^)]*\)/g, '').replace(/\s+v?\d[\d.x]*$/i, '').trim();
+    return [bare, ...(acronym ? [acronym[1]] : [])];
+  }).filter(Boolean);
+  return [...new Map(out.map(n => [key(n), n])).values()];
+}
+
+function mentions(text, needle) {
+  if ([...needle].length < 3) return false;
+  const acronym = !/[a-z]/.test(needle) && /[A-Z].*[A-Z]/.test(needle);
+  const words = needle.split(/[\s-]+/).map(escapeRe).join('[\\s-]+');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${words}(?![\\p{L}\\p{N}])`, acronym ? 'u' : 'iu').test(text);
+}
+
+const names = (list) => new Set(list.flatMap(needles).map(key));
+
+function createEvidence({ cases = [], work = [], journal = [], posts = [] }) {
+  // Normalised once: the posts are long and full of 𝗯𝗼𝗹𝗱 letters
+  const docs = (list, text) => list.map(item => ({ item, tags: names((item.meta || item).tags || []), text: text(item).normalize('NFKC') }));
+  const sources = {
+    cases: cases.map(c => ({ item: c, stack: names(c.stack || []) })),
+    work: docs(work, w => `${w.title}\n${w.tag}`),
+    journal: docs(journal, e => `${e.meta.title}\n${e.body || ''}`),
+    posts: docs(posts, p => `${p.title}\n${p.body || ''}`),
+  };
+
+  function find(name) {
+    const ns = needles(name);
+    const hit = (doc) => ns.some(n => doc.tags.has(key(n)) || mentions(doc.text, n));
+    const found = {
+      name,
+      needles: ns,
+      cases: sources.cases.filter(c => ns.some(n => c.stack.has(key(n)))).map(c => c.item),
+      work: sources.work.filter(hit).map(d => d.item),
+      journal: sources.journal.filter(hit).map(d => d.item),
+      posts: sources.posts.filter(hit).map(d => d.item),
+    };
+    return { ...found, total: found.cases.length + found.work.length + found.journal.length + found.posts.length };
+  }
+
+  return { find };
+}
+
+const and = (list) => (list.length < 3 ? list.join(' and ') : `${list.slice(0, -1).join(', ')} and ${list[list.length - 1]}`);
+const count = (n, one, many = `${one}s`) => (n ? `${n} ${n === 1 ? one : many}` : '');
+
+// One line for a skill's evidence, in the order it counts for
+function summarize(ev) {
+  const written = [count(ev.posts.length, 'post'), count(ev.journal.length, 'journal entry', 'journal entries')].filter(Boolean);
+  return [
+    ev.cases.length && `used in ${and(ev.cases.map(c => `${c.num} ${plain(c.title)}`))}`,
+    ev.work.length && `at ${and(ev.work.map(w => w.co))}`,
+    written.length && `written about in ${written.join(', ')}`,
+  ].filter(Boolean).join(', ') || 'nothing on this site backs it up yet';
+}
+
+export { createEvidence, summarize, needles as skillNeedles };
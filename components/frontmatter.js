@@ -0,0 +1,365 @@
+/* Frontmatter for journal entries and drafts: the YAML block between `---`
+   lines at the top of a markdown file.
+
+     parseFrontmatter('---\ntitle: Hi\ndate: 2026-03-02\ntags: [kafka, sre]\n---\nBody')
+       -> { meta: { title: 'Hi', date: '2026-03-02', tags: ['kafka', 'sre'] }, body: 'Body', warnings: [] }
+     stringifyFrontmatter(meta, body)   the inverse, fields in schema order
+                                        (scripts/frontmatter-roundtrip.js checks it reads back)
+     parseYaml(text) -> { value, errors: [{ line, message }], lines: { key: line } }
+
+   The YAML is the subset frontmatter needs: block mappings and sequences,
+   [flow, sequences], 'single' and "double" quoted strings, plain strings that
+   run on over indented lines, | and > block scalars, comments, booleans,
+   numbers and null. Dates stay strings ('2026-03-02'), so they sort as text.
+
+   meta is checked against FRONTMATTER_SCHEMA. A field that is missing, of the
+   wrong type or unknown becomes a warning ({ field?, line?, message }), which
+   the terminal's `doctor` lists; a value of the wrong type is left out of meta.
+   `tags: a, b` (a comma-separated string, as older entries have it) is read as
+   a list. */
+const FRONTMATTER_SCHEMA = {
+  title: { type: 'text', required: true },
+  date: { type: 'date', required: true },
+  tags: { type: 'list' },
+  excerpt: { type: 'text' },
+  draft: { type: 'boolean' },
+  series: { type: 'text' },
+  updated: { type: 'date' },
+  canonical: { type: 'url' },
+};
+
+/* ---------- YAML ---------- */
+
+const RE_KEY = /^(?:"((?:\\.|[^"\\])*)"|'((?:''|[^'])*)'|([^\s'"#[\]{},][^:#]*?))[ \t]*:(?:[ \t]+(.*)|$)/;
+const RE_DASH = /^-(?:([ \t]+)(.*))?$/;
+const RE_BLOCK_HEADER = /^([|>])(?:([+-])?([1-9])?|([1-9])([+-]))[ \t]*(?:#.*)?$/;
+const ESCAPES = { 0: '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f', r: '\r', e: '\x1b', ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\u0085', _: '\u00A0', L: '\u2028', P: '\u2029' };
+
+const isDash = (text) => /^-(?:[ \t]|$)/.test(text);
+const dropComment = (s) => (s.startsWith('#') ? '' : s.replace(/[ \t]+#.*$/, '').trim());
+
+function keyOf(text) {
+  const m = text.match(RE_KEY);
+  if (!m) return null;
+  const key = m[1] !== undefined ? unquoteDouble(m[1]).value : m[2] !== undefined ? m[2].replace(/''/g, "'") : m[3].trim();
+  return { key, rest: m[4] || '' };
+}
+
+// The inside of a "double quoted" string, with its escapes.
+function unquoteDouble(s) {
+  let bad = null;
+  const value = s.replace(/\\(x[\da-fA-F]{2}|u[\da-fA-F]{4}|U[\da-fA-F]{8}|[\s\S])/g, (m, e) => {
+    if (e.length > 1) return String.fromCodePoint(parseInt(e.slice(1), 16));
+    if (Object.prototype.hasOwnProperty.call(ESCAPES, e)) return ESCAPES[e];
+    bad = bad || m;
+    return e;
+  });
+  return { value, bad };
+}
+
+// A plain scalar: null, a boolean, a number, or the string itself.
+function plainValue(s) {
+  if (s === '' || s === '~' || /^(?:null|Null|NULL)$/.test(s)) return null;
+  if (/^(?:true|True|TRUE|false|False|FALSE)$/.test(s)) return s.toLowerCase() === 'true';
+  if (/^[-+]?\d+$/.test(s)) return parseInt(s, 10);
+  if (/^[-+]?(?:\d+\.\d*|\.\d+|\d+)(?:[eE][-+]?\d+)?$/.test(s)) return parseFloat(s);
+  if (/^0x[\da-fA-F]+$/.test(s)) return parseInt(s, 16);
+  return s;
+}
+
+function parseYaml(text) {
+  const errors = [];
+  const keyLines = {};
+  // The newline that ends the last line doesn't start another (a |+ block would keep it)
+  const lines = String(text).replace(/(?:\r\n|\n|\r)$/, '').split(/\r\n|\n|\r/).map((raw, i) => {
+    const indent = raw.match(/^ */)[0].length;
+    return { n: i + 1, raw, indent, text: raw.slice(indent).trimEnd(), skip: /^\s*(?:#.*)?$/.test(raw) };
+  });
+  let pos = 0;
+  const fail = (line, message) => errors.push({ line: line.n, message });
+  // The next line with content; blank and comment lines don't count
+  const next = () => {
+    while (pos < lines.length && lines[pos].skip) pos++;
+    return lines[pos];
+  };
+
+  lines.filter(l => !l.skip && l.raw[l.indent] === '\t').forEach(l => {
+    fail(l, 'indent with spaces, not tabs; this line was skipped');
+    l.skip = true;
+  });
+
+  // Whatever starts at the next line, if it is indented at least `min`.
+  function block(min, top = false) {
+    const line = next();
+    if (!line || line.indent < min) return null;
+    if (isDash(line.text)) return sequence(line.indent);
+    // frontmatter is a mapping, so at the top a stray line is an error in one
+    if (keyOf(line.text) || top) return mapping(line.indent, top);
+    pos++;
+    return inline(line.text, line.indent - 1, line);
+  }
+
+  function mapping(indent, top) {
+    const out = {};
+    for (let line = next(); line && line.indent >= indent; line = next()) {
+      if (line.indent > indent) { fail(line, 'unexpected indentation'); pos++; continue; }
+      const kv = keyOf(line.text);
+      if (!kv) { fail(line, isDash(line.text) ? 'a list item where a "key: value" line was expected' : `expected "key: value", got "${line.text}"`); pos++; continue; }
+      if (Object.prototype.hasOwnProperty.call(out, kv.key)) fail(line, `"${kv.key}" appears twice; the last one wins`);
+      if (top) keyLines[kv.key] = line.n;
+      pos++;
+      out[kv.key] = value(kv.rest, indent, line, true);
+    }
+    return out;
+  }
+
+  function sequence(indent) {
+    const out = [];
+    for (let line = next(); line && line.indent >= indent; line = next()) {
+      if (line.indent > indent) { fail(line, 'unexpected indentation'); pos++; continue; }
+      const m = line.text.match(RE_DASH);
+      if (!m) break; // `key:` after a list that sat at the key's own indent
+      const rest = m[2] || '';
+      // `- key: value` and `- - x` open a block at the column after the dash
+      if (keyOf(rest) || isDash(rest)) {
+        lines[pos] = { ...line, indent: indent + 1 + m[1].length, text: rest };
+        out.push(block(indent + 1));
+        continue;
+      }
+      pos++;
+      out.push(value(rest, indent, line, false));
+    }
+    return out;
+  }
+
+  // The value after `key:` or `- `; `indent` is that of the key or dash.
+  function value(rest, indent, line, inMapping) {
+    const text = dropComment(rest.trim());
+    if (!text) {
+      const child = next();
+      if (child && child.indent > indent) return block(indent + 1);
+      // `key:` followed by `- item` lines at the same indent
+      if (inMapping && child && child.indent === indent && isDash(child.text)) return sequence(indent);
+      return null;
+    }
+    if (/^[|>]/.test(rest.trim())) return blockScalar(rest.trim(), indent, line);
+    return inline(rest.trim(), indent, line);
+  }
+
+  // Text that continues over the following lines indented more than `indent`.
+  function continued(start, indent, done) {
+    let s = start;
+    for (let l = next(); !done(s) && l && l.indent > indent; l = next()) { s += ' ' + l.text.trim(); pos++; }
+    return s;
+  }
+
+  // A scalar or [flow, sequence] that starts on this line.
+  function inline(rest, indent, line) {
+    if (rest[0] === '{') { fail(line, '{ flow: mappings } are not supported; use indented key: value lines'); return null; }
+    if (rest[0] === '[') {
+      const s = continued(rest, indent, t => /\][ \t]*(?:#.*)?$/.test(t));
+      return flowSequence(s, line);
+    }
+    if (rest[0] === '"' || rest[0] === "'") {
+      const q = rest[0];
+      const closed = q === '"' ? /^"(?:\\[\s\S]|[^"\\])*"/ : /^'(?:''|[^'])*'/;
+      const s = continued(rest, indent, t => closed.test(t));
+      const m = s.match(closed);
+      if (!m) { fail(line, `unterminated ${q === '"' ? 'double' : 'single'}-quoted string`); return s.slice(1); }
+      if (dropComment(s.slice(m[0].length).trim())) fail(line, `text after the closing quote: ${s.slice(m[0].length).trim()}`);
+      return quoted(m[0], line);
+    }
+    return plainValue(dropComment(continued(dropComment(rest), indent, () => false)));
+  }
+
+  function quoted(s, line) {
+    if (s[0] === "'") return s.slice(1, -1).replace(/''/g, "'");
+    const { value: v, bad } = unquoteDouble(s.slice(1, -1));
+    if (bad) fail(line, `unknown escape ${bad} in a double-quoted string`);
+    return v;
+  }
+
+  function flowSequence(s, line) {
+    const m = s.match(/^\[([\s\S]*)\][ \t]*(?:#.*)?$/);
+    if (!m) { fail(line, 'unterminated [list]'); return []; }
+    const items = [];
+    const re = /\s*("(?:\\[\s\S]|[^"\\])*"|'(?:''|[^'])*'|[^,"'[\]{}]*)\s*(,|$)/gy;
+    let at = 0;
+    while (at < m[1].length) {
+      re.lastIndex = at;
+      const item = re.exec(m[1]);
+      if (!item || (!item[0] && at < m[1].length)) { fail(line, 'nested [lists] and {maps} are not supported in a [list]'); return items; }
+      at = re.lastIndex;
+      const raw = item[1];
+      if (raw || item[2]) items.push(raw[0] === '"' || raw[0] === "'" ? quoted(raw, line) : plainValue(raw));
+    }
+    return items;
+  }
+
+  // | keeps line breaks, > folds lines into one; a trailing - strips the final
+  // newline, + keeps every trailing one. A digit fixes the content indent.
+  function blockScalar(header, indent, line) {
+    const h = header.match(RE_BLOCK_HEADER);
+    if (!h) { fail(line, `bad block scalar header "${header}"`); return null; }
+    const [, style] = h;
+    const chomp = h[2] || h[5] || '';
+    const explicit = h[3] || h[4];
+    const body = [];
+    while (pos < lines.length && (lines[pos].raw.trim() === '' || lines[pos].indent > indent)) body.push(lines[pos++]);
+    const first = body.find(l => l.raw.trim());
+    const content = explicit ? indent + Number(explicit) : first ? first.indent : indent + 1;
+    const rows = body.map(l => {
+      if (!l.raw.trim()) return '';
+      if (l.indent < content) fail(l, 'less indented than the first line of the block');
+      return l.raw.slice(Math.min(content, l.indent));
+    });
+    let end = rows.length;
+    while (end && rows[end - 1] === '') end--;
+    const kept = rows.slice(0, end);
+    const s = style === '|' ? kept.join('\n') : fold(kept);
+    if (chomp === '-' || !kept.length) return s;
+    return s + (chomp === '+' ? '\n'.repeat(rows.length - end + 1) : '\n');
+  }
+
+  // Folding: lines join with a space; each blank line between them is a
+  // newline, and more-indented lines keep theirs.
+  function fold(rows) {
+    let out = '';
+    let blanks = 0;
+    rows.forEach((row, i) => {
+      if (row === '') { blanks++; return; }
+      if (i) out += blanks ? '\n'.repeat(blanks) : /^\s/.test(row) || /^\s/.test(rows[i - 1]) ? '\n' : ' ';
+      out += row;
+      blanks = 0;
+    });
+    return out;
+  }
+
+  const first = next();
+  const doc = first ? block(first.indent, true) : null;
+  const extra = next();
+  if (extra) fail(extra, 'unexpected text after the end of the document');
+  return { value: doc, errors, lines: keyLines };
+}
+
+/* ---------- schema ---------- */
+
+const RE_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+const isDate = (s) => {
+  const m = typeof s === 'string' && s.match(RE_DATE);
+  if (!m) return false;
+  const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+  return d.getUTCMonth() === +m[2] - 1 && d.getUTCDate() === +m[3];
+};
+const show = (v) => JSON.stringify(v);
+
+// Each type: the value to keep, or undefined along with a complaint.
+const CHECKS = {
+  text: (v) => (typeof v === 'string' || typeof v === 'number'
+    ? { ok: String(v).trim() }
+    : { problem: `expected text, got ${show(v)}` }),
+  date: (v) => (isDate(v) ? { ok: v } : { problem: `${show(v)} is not a date (YYYY-MM-DD)` }),
+  boolean: (v) => (typeof v === 'boolean' ? { ok: v } : { problem: `expected true or false, got ${show(v)}` }),
+  url: (v) => (typeof v === 'string' && /^https?:\/\/[^\s/]+\.[^\s]*$/.test(v.trim())
+    ? { ok: v.trim() }
+    : { problem: `${show(v)} is not an http(s) URL` }),
+  list: (v) => {
+    const items = typeof v === 'string' ? v.split(',') : Array.isArray(v) ? v : null;
+    if (!items) return { problem: `expected a list, like [a, b], got ${show(v)}` };
+    const bad = items.find(t => typeof t !== 'string' && typeof t !== 'number');
+    if (bad !== undefined) return { problem: `every item should be text, not ${show(bad)}` };
+    return { ok: [...new Set(items.map(t => String(t).trim()).filter(Boolean))] };
+  },
+};
+
+// meta from parsed YAML, and what is wrong with it. `lines` maps each field to
+// its line in the file, for the warnings.
+function validateFrontmatter(data, lines = {}) {
+  const warnings = [];
+  const warn = (field, message) => warnings.push({ field, ...(lines[field] && { line: lines[field] }), message: `${field}: ${message}` });
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    return { meta: {}, warnings: [{ message: 'frontmatter should be "key: value" lines' }] };
+  }
+  const meta = {};
+  Object.entries(FRONTMATTER_SCHEMA).forEach(([field, spec]) => {
+    const v = data[field];
+    if (v === null || v === undefined || v === '') {
+      if (spec.required) warn(field, 'missing (required)');
+      return;
+    }
+    const { ok, problem } = CHECKS[spec.type](v);
+    if (problem) warn(field, problem);
+    else meta[field] = ok;
+  });
+  Object.keys(data).filter(k => !FRONTMATTER_SCHEMA[k]).forEach(k => {
+    warn(k, `unknown field (known: ${Object.keys(FRONTMATTER_SCHEMA).join(', ')})`);
+    meta[k] = data[k];
+  });
+  if (meta.date && meta.updated && meta.updated < meta.date) warn('updated', `${meta.updated} is before date ${meta.date}`);
+  return { meta, warnings };
+}
+
+const RE_FRONTMATTER = /^---[ \t]*\r?\n([\s\S]*?\r?\n)?---[ \t]*(?:\r?\n|$)/;
+
+function parseFrontmatter(src) {
+  const text = String(src || '').replace(/^\uFEFF/, '');
+  const m = text.match(RE_FRONTMATTER);
+  if (!m) return { meta: {}, body: text, warnings: [{ message: 'no frontmatter: start the file with a --- block (title, date, ...)' }] };
+  const yaml = parseYaml(m[1] || '');
+  const at = (line) => line + 1; // the opening --- is line 1 of the file
+  const lines = Object.fromEntries(Object.entries(yaml.lines).map(([k, n]) => [k, at(n)]));
+  const { meta, warnings } = validateFrontmatter(yaml.value === null ? {} : yaml.value, lines);
+  return {
+    meta,
+    body: text.slice(m[0].length),
+    warnings: [...yaml.errors.map(e => ({ line: at(e.line), message: e.message })), ...warnings]
+      .sort((a, b) => (a.line || Infinity) - (b.line || Infinity)),
+  };
+}
+
+/* ---------- writing ---------- */
+
+// A string as YAML: plain when it reads back the same, quoted otherwise.
+function scalar(s) {
+  const plain = typeof s === 'string' && s !== '' && s === s.trim()
+    && !/^[-?:,[\]{}#&*!|>'"%@`]/.test(s) && !/: |:$| #|[\n\r\t]/.test(s)
+    && plainValue(s) === s;
+  return plain ? s : JSON.stringify(s);
+}
+// Inside [a, b] commas and brackets end a plain item too.
+const flowScalar = (s) => (/[,[\]{}]/.test(s) ? JSON.stringify(s) : scalar(s));
+
+// A multi-line string as a | block scalar, its lines two spaces in from
+// `indent`. When it starts with a blank line or a space, the header says so
+// (|2), or the first line's spaces would be taken for the block's own
+// indentation; - and + keep the trailing newlines as they are. A line of only
+// spaces reads back as blank, and one starting with a tab not at all, so
+// those strings are quoted instead.
+function literal(v, indent) {
+  if (!v.trim() || /^[ \t]+$|^\t/m.test(v)) return JSON.stringify(v);
+  const text = v.replace(/\n+$/, '');
+  const newlines = v.length - text.length;
+  const header = `|${/^[\n ]/.test(v) ? '2' : ''}${newlines === 0 ? '-' : newlines > 1 ? '+' : ''}`;
+  return header + text.split('\n').map(l => '\n' + (l ? indent + '  ' + l : '')).join('') + '\n'.repeat(Math.max(0, newlines - 1));
+}
+
+function yamlValue(v, indent) {
+  if (v === null || v === undefined || v === '') return '';
+  if (Array.isArray(v)) return `[${v.map(x => (typeof x === 'string' ? flowScalar(x) : JSON.stringify(x))).join(', ')}]`;
+  if (typeof v === 'string' && v.includes('\n')) return literal(v, indent);
+  if (typeof v === 'string') return scalar(v);
+  if (typeof v === 'object') return Object.entries(v).map(([k, x]) => `\n${indent}  ${scalar(k)}:${field(x, indent + '  ')}`).join('');
+  return String(v);
+}
+const field = (v, indent = '') => {
+  const out = yamlValue(v, indent);
+  return out && out[0] !== '\n' ? ' ' + out : out;
+};
+
+// The inverse of parseFrontmatter: schema fields first, in schema order.
+function stringifyFrontmatter(meta, body) {
+  const keys = [...Object.keys(FRONTMATTER_SCHEMA).filter(k => k in meta), ...Object.keys(meta).filter(k => !FRONTMATTER_SCHEMA[k])];
+  return `---\n${keys.map(k => `${scalar(k)}:${field(meta[k])}`).join('\n')}\n---\n${body || ''}`;
+}
+
+export { FRONTMATTER_SCHEMA, parseYaml, parseFrontmatter, validateFrontmatter, stringifyFrontmatter };
@@ -0,0 +1,233 @@
+/* Syntax highlighting for fenced code, offline: a small tokenizer per language
+   the notes use (Kotlin, Java, SQL, YAML, JSON, shell, TypeScript, properties).
+
+     highlight.tokenize('val x = 1', 'kotlin')
+       -> [[{ text: 'val', type: 'keyword' }, { text: ' x ' }, { text: '=', type: 'operator' }, ...]]
+     highlight.fence('kotlin {3-5} showLineNumbers')
+       -> { lang: 'kotlin', marks: Set{3, 4, 5}, numbers: true }
+     highlight.html(code, fence)   the inside of <code>: one span.hl-line per line
+
+   Tokens are { text, type? }, one array per source line, with type one of
+   TYPES; text without a type is plain. md.js renders them as hl-<type>
+   classes (themed in styles.css), the terminal as coloured spans. An unknown
+   language is one plain token per line, so line numbers and marked ranges
+   still work for it. */
+const TYPES = ['keyword', 'string', 'number', 'comment', 'type', 'function', 'property', 'variable', 'constant', 'meta', 'operator', 'punctuation'];
+
+const words = (s) => new Set(s.split(' '));
+const NUMBER = /0[xX][\da-fA-F_]+[lLuU]*|0[bB][01_]+[lLuU]*|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?[fFdDlLuU]*n?/y;
+const OPERATOR = /[-+*/%=!<>&|^~?:]+|\.\.|::|->|=>/y;
+const PUNCTUATION = /[{}()[\].,;@]/y;
+const IDENT = /[A-Za-z_$][\w$]*/y;
+
+// An identifier is a keyword, a declared or Capitalised type, a call, or plain.
+const identifier = (keywords, constants) => (word, src, end, start) => {
+  if (keywords.has(word)) return 'keyword';
+  if (constants.has(word)) return 'constant';
+  if (/\b(?:class|interface|object|record|enum|type)\s+$/.test(src.slice(Math.max(0, start - 12), start))) return 'type';
+  if (/^\s*\(/.test(src.slice(end, end + 8))) return 'function';
+  if (/^[A-Z]/.test(word)) return /^[A-Z][A-Z\d_]+$/.test(word) ? 'constant' : 'type';
+  return undefined;
+};
+
+const C_COMMENTS = [['comment', /\/\/[^\n]*/y], ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y]];
+
+const KOTLIN = [
+  ...C_COMMENTS,
+  ['string', /"""[\s\S]*?(?:"""|$)/y],
+  ['string', /"(?:\\.|[^"\\\n])*"?/y],
+  ['string', /'(?:\\.|[^'\\\n])+'/y],
+  ['meta', /@[A-Za-z_][\w.:]*/y],
+  ['number', NUMBER],
+  [identifier(
+    words('as break class continue do else false for fun if in interface is null object package return super this throw true try typealias typeof val var when while by catch constructor delegate dynamic field file finally get import init param property receiver set setparam where actual abstract annotation companion const crossinline data enum expect external final infix inline inner internal lateinit noinline open operator out override private protected public reified sealed suspend tailrec vararg it'),
+    words('true false null'),
+  ), IDENT],
+  ['operator', OPERATOR],
+  ['punctuation', PUNCTUATION],
+];
+
+const JAVA = [
+  ...C_COMMENTS,
+  ['string', /"""[\s\S]*?(?:"""|$)/y],
+  ['string', /"(?:\\.|[^"\\\n])*"?/y],
+  ['string', /'(?:\\.|[^'\\\n])+'/y],
+  ['meta', /@(?!interface)[A-Za-z_][\w.]*/y],
+  ['number', NUMBER],
+  [identifier(
+    words('abstract assert boolean break byte case catch char class const continue default do double else enum extends final finally float for goto if implements import instanceof int interface long native new package private protected public record return sealed short static strictfp super switch synchronized this throw throws transient try var void volatile while yield permits non-sealed'),
+    words('true false null'),
+  ), IDENT],
+  ['operator', OPERATOR],
+  ['punctuation', PUNCTUATION],
+];
+
+const TYPESCRIPT = [
+  ...C_COMMENTS,
+  ['string', /`(?:\\[\s\S]|[^`\\])*`?/y],
+  ['string', /"(?:\\.|[^"\\\n])*"?/y],
+  ['string', /'(?:\\.|[^'\\\n])*'?/y],
+  ['meta', /@[A-Za-z_][\w.]*/y],
+  ['number', NUMBER],
+  [identifier(
+    words('abstract as async await break case catch class const continue debugger declare default delete do else enum export extends finally for from function get if implements import in infer instanceof interface is keyof let module namespace new of private protected public readonly return satisfies set static super switch this throw try type typeof var void while with yield any boolean never number object string symbol unknown bigint'),
+    words('true false null undefined NaN Infinity'),
+  ), IDENT],
+  ['operator', OPERATOR],
+  ['punctuation', PUNCTUATION],
+];
+
+const SQL_KEYWORDS = words('add all alter and any as asc begin between by case cast check column commit constraint create cross database default delete desc distinct drop else end except exists explain false fetch filter first foreign from full group having if ilike in index inner insert intersect into is join key last left like limit materialized not null nulls offset on or order outer over partition primary references returning right rollback row rows select set table then to transaction true truncate union unique update using values view when where window with recursive lateral conflict do nothing interval');
+const SQL = [
+  ['comment', /--[^\n]*/y],
+  ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y],
+  ['string', /'(?:''|[^'])*'?/y],
+  ['variable', /"(?:""|[^"])*"|`[^`]*`/y],
+  ['variable', /[:@$][A-Za-z_]\w*|\$\d+|\?/y],
+  ['number', NUMBER],
+  [(word, src, end) => {
+    const w = word.toLowerCase();
+    if (SQL_KEYWORDS.has(w)) return w === 'null' || w === 'true' || w === 'false' ? 'constant' : 'keyword';
+    if (/^\s*\(/.test(src.slice(end, end + 8))) return 'function';
+    if (/^(?:bigint|int|integer|smallint|text|varchar|char|boolean|bool|date|timestamp|timestamptz|numeric|decimal|uuid|jsonb?|serial|bigserial|real|double|float|bytea)$/.test(w)) return 'type';
+    return undefined;
+  }, /[A-Za-z_][\w$]*/y],
+  ['operator', /::|[-+*/%=<>!|&^~]+/y],
+  ['punctuation', /[(),.;[\]]/y],
+];
+
+const YAML = [
+  ['comment', /(?<=^|\s)#[^\n]*/my],
+  ['meta', /^(?:---|\.\.\.)(?=\s|$)/my],
+  ['punctuation', /(?<=^[ \t]*(?:- +)*)-(?= |$)/my],
+  ['property', /(?<=^[ \t]*(?:- +)*)(?:"(?:\\.|[^"\\\n])*"|'[^'\n]*'|[^\s#'"{[\]}:,-][^\n:#]*?|-[^\s\n:#][^\n:#]*?)(?=[ \t]*:(?:\s|$))/my],
+  ['string', /"(?:\\.|[^"\\])*"?|'(?:''|[^'])*'?/y],
+  ['variable', /[&*][\w-]+/y],
+  ['meta', /![\w!/-]*/y],
+  ['operator', /[|>][-+]?\d*(?=[ \t]*(?:#|$))/my],
+  ['constant', /(?<=[:\-[,{][ \t]*|^[ \t]*)(?:true|false|yes|no|on|off|null|~)(?=[ \t]*(?:[,\]}#]|$))/imy],
+  ['number', /(?<=[:\-[,{][ \t]*|^[ \t]*)[-+]?(?:0x[\da-f]+|\d[\d_]*(?:\.\d+)?(?:e[-+]?\d+)?|\.inf|\.nan)(?=[ \t]*(?:[,\]}#]|$))/imy],
+  ['punctuation', /[:[\]{},]/y],
+];
+
+const JSON_RULES = [
+  ...C_COMMENTS, // JSONC; plain JSON never has them
+  ['property', /"(?:\\.|[^"\\\n])*"(?=\s*:)/y],
+  ['string', /"(?:\\.|[^"\\\n])*"?/y],
+  ['number', /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y],
+  ['constant', /\b(?:true|false|null)\b/y],
+  ['punctuation', /[{}[\],:]/y],
+];
+
+const SHELL_KEYWORDS = words('if then else elif fi for while until do done case esac in function select return exit export local readonly declare unset shift break continue source alias set trap eval exec time');
+const SHELL = [
+  ['meta', /^#![^\n]*/y],
+  ['comment', /(?<=^|[\s;|&(])#[^\n]*/my],
+  ['string', /'[^']*'?/y],
+  ['string', /"(?:\\[\s\S]|[^"\\])*"?/y],
+  ['string', /<<-?\s*(['"]?)(\w+)\1[^\n]*\n[\s\S]*?(?:^\s*\2$|(?![\s\S]))/my], // here-documents, whole
+  ['variable', /\$\{[^}\n]*\}?|\$\(\(?|\$[\w@#?$!*-]/y],
+  ['property', /(?<=\s)--?[A-Za-z][\w-]*(?:=)?/y],
+  ['operator', /&&|\|\||;;|[|&;><]+|\\\n/y],
+  ['number', /(?<=[\s=])\d+(?:\.\d+)?(?=[\s;|&)]|$)/my],
+  [(word, src, end, start) => {
+    if (SHELL_KEYWORDS.has(word)) return 'keyword';
+    if (src[end] === '=') return 'variable';
+    // The command in `$ cmd`, at the start of a line, or after | ; && || ( $(
+    return /(?:^|\n|[|;&(]|^\$ |\n\$ )[ \t]*(?:sudo[ \t]+)?$/.test(src.slice(Math.max(0, start - 40), start)) ? 'function' : undefined;
+  }, /[A-Za-z_][\w.-]*/y],
+  ['punctuation', /[(){}[\]]/y],
+];
+
+const PROPERTIES = [
+  ['comment', /^[ \t]*[#!][^\n]*/my],
+  ['property', /^[ \t]*(?:\\.|[^\s=:\\])+/my],
+  ['operator', /(?<=^[ \t]*(?:\\.|[^\s=:\\])+)[ \t]*[=:]?[ \t]*/my],
+  ['variable', /\$\{[^}\n]*\}/y],
+  ['string', /(?:\\\n|[^\n$]|\$(?!\{))+/y],
+];
+
+const LANGUAGES = {
+  kotlin: KOTLIN, java: JAVA, typescript: TYPESCRIPT, sql: SQL, yaml: YAML, json: JSON_RULES, shell: SHELL, properties: PROPERTIES,
+};
+const ALIASES = {
+  kt: 'kotlin', kts: 'kotlin', ts: 'typescript', tsx: 'typescript', js: 'typescript', jsx: 'typescript', javascript: 'typescript',
+  mjs: 'typescript', postgres: 'sql', postgresql: 'sql', psql: 'sql', mysql: 'sql', yml: 'yaml', jsonc: 'json', json5: 'json',
+  sh: 'shell', bash: 'shell', zsh: 'shell', console: 'shell', shellsession: 'shell', props: 'properties', env: 'properties',
+};
+
+const language = (lang) => {
+  const name = String(lang || '').toLowerCase();
+  return LANGUAGES[name] ? name : ALIASES[name] || null;
+};
+
+// The whole source as tokens, so comments and strings may run over lines.
+function scan(src, rules) {
+  const out = [];
+  const plain = (text) => {
+    const last = out[out.length - 1];
+    if (last && !last.type) last.text += text; else out.push({ text });
+  };
+  let pos = 0;
+  while (pos < src.length) {
+    let hit = null;
+    for (const [type, re] of rules) {
+      re.lastIndex = pos;
+      const m = re.exec(src);
+      if (!m || !m[0]) continue;
+      const end = pos + m[0].length;
+      hit = { text: m[0], type: typeof type === 'function' ? type(m[0], src, end, pos) : type };
+      break;
+    }
+    if (!hit) {
+      // Whitespace and anything no rule knows; a word no rule takes goes whole
+      const m = /\s+|\w+|[^]/y;
+      m.lastIndex = pos;
+      hit = { text: m.exec(src)[0] };
+    }
+    if (hit.type) out.push(hit); else plain(hit.text);
+    pos += hit.text.length;
+  }
+  return out;
+}
+
+// Code as lines of tokens, in `lang` or one of its aliases.
+function tokenize(code, lang) {
+  const src = String(code || '').replace(/\r\n?/g, '\n').replace(/\n$/, '');
+  const rules = LANGUAGES[language(lang)];
+  const lines = [[]];
+  (rules ? scan(src, rules) : [{ text: src }]).forEach(tok => tok.text.split('\n').forEach((text, i) => {
+    if (i) lines.push([]);
+    if (text) lines[lines.length - 1].push(tok.type ? { text, type: tok.type } : { text });
+  }));
+  return lines;
+}
+
+// The info string of a fence: its language, `{1,3-5}` lines to mark, and
+// `showLineNumbers` (or `numbers`, `linenos`) for a gutter of line numbers.
+function fence(info) {
+  const [lang = '', ...rest] = String(info || '').trim().split(/\s+/);
+  const opts = rest.join(' ');
+  const marks = new Set();
+  const braces = opts.match(/\{([\d,\s-]+)\}/) || (lang.match(/\{([\d,\s-]+)\}$/) || []);
+  (braces[1] || '').split(',').forEach(part => {
+    const [from, to = from] = part.trim().split('-').map(Number);
+    if (from > 0 && to >= from && to - from < 10000) for (let n = from; n <= to; n++) marks.add(n);
+  });
+  return { lang: lang.replace(/\{.*$/, ''), marks, numbers: /(?:^|\s)(?:showLineNumbers|numbers|linenos)(?=\s|\{|$)/.test(opts) };
+}
+
+const escapeHtml = (s) => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// The inside of <code> for a fence: one span per line, so the gutter and the
+// marked lines can be styled; tokens are hl-<type> spans.
+function html(code, { lang, marks = new Set(), numbers = false } = {}) {
+  return tokenize(code, lang).map((line, i) => {
+    const n = i + 1;
+    const cls = marks.has(n) ? 'hl-line hl-mark' : 'hl-line';
+    const body = line.map(t => (t.type ? `<span class="hl-${t.type}">${escapeHtml(t.text)}</span>` : escapeHtml(t.text))).join('');
+    return `<span class="${cls}"${numbers ? ` data-line="${n}"` : ''}>${body}</span>`;
+  }).join('\n') + '\n';
+}
+
+export const highlight = { TYPES, tokenize, fence, html, language, languages: Object.keys(LANGUAGES) };
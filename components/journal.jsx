@@ -1,3 +1,12 @@
+import { useState, useEffect, useMemo } from 'react';
+import { mdToHtml } from './md.js';
+import { parseFrontmatter } from './frontmatter.js';
+import { siteSearch } from './search.js';
+import { gsh } from './commands.js';
+import { loadJson } from './content.js';
+import { JOURNAL } from '../journal/index.js';
+import { SectionHead } from './top.jsx';
+
 /* Posts (signals / LinkedIn) */
 function Posts() {
   const [posts, setPosts] = useState([]);
@@ -7,9 +16,38 @@ function Posts() {
   const [limit, setLimit] = useState(15);
 
   useEffect(() => {
-    fetch('posts/posts.json').then(r => r.json()).then(setPosts).catch(() => setPosts([]));
+    loadJson('posts/posts.json').then(list => {
+      // Same documents the terminal indexes for /posts, so either can go first
+      list.forEach(p => siteSearch.add({ id: `/posts/${p.id}.txt`, kind: 'posts', title: p.title, tags: p.tags || [], body: p.body }));
+      setPosts(list);
+    }).catch(() => setPosts([]));
   }, []);
 
+  // `posts` in the terminal: the same list, year filter and search as this section
+  useEffect(() => gsh.register({
+    name: 'posts', aliases: ['signals'],
+    usage: 'posts [year]',
+    summary: 'linkedin posts, newest first · posts <term> searches them',
+    more: ['posts 2025        only posts from 2025', 'posts kafka       posts mentioning kafka', 'read one with cat /posts/<id>.txt'],
+    complete: (word) => [...new Set(posts.map(p => (p.date || '').slice(0, 4)).filter(Boolean))]
+      .filter(y => y.startsWith(word)).map(y => ({ value: y + ' ' })),
+    run: (args, stdin, io, sh) => {
+      const y = /^\d{4}$/.test(args[0] || '') ? args[0] : null;
+      const needle = (y ? args.slice(1) : args).join(' ');
+      const ranked = needle ? search(needle) : posts;
+      const hits = ranked.filter(p => !y || (p.date || '').startsWith(y));
+      const rows = hits.map(p => ({ cls: 'tm-ls', v: `${p.id}  ${(p.date || '').slice(0, 10)}  · ${p.title}` }));
+      if (!io.tty) return Object.assign(rows, { status: hits.length ? 0 : 1 });
+      if (!hits.length) return sh.fail(`posts: nothing matches "${args.join(' ')}"`);
+      return [
+        { cls: 'tm-muted', v: `${hits.length} of ${posts.length} posts` },
+        ...rows,
+        { cls: 'tm-muted', v: '' },
+        { cls: 'tm-muted', v: `read with: cat /posts/${hits[0].id}.txt` },
+      ];
+    },
+  }), [posts]);
+
   const fmt = (d) => {
     const dt = new Date(d);
     return dt.toLocaleDateString('en-GB', { year: 'numeric', month: 'short', day: '2-digit' }).toUpperCase();
@@ -29,13 +67,17 @@ function Posts() {
     return m;
   }, [posts]);
 
+  // Matching posts, best first, each with its snippet
+  const search = (needle) => {
+    const byId = new Map(posts.map(p => [`/posts/${p.id}.txt`, p]));
+    return siteSearch.search(needle, { kind: 'posts', prefix: true, limit: posts.length })
+      .filter(r => byId.has(r.id))
+      .map(r => ({ ...byId.get(r.id), snippet: r.snippet }));
+  };
+
   const filtered = useMemo(() => {
-    const needle = q.trim().toLowerCase();
-    return posts.filter(p => {
-      if (year !== 'all' && !(p.date || '').startsWith(year)) return false;
-      if (!needle) return true;
-      return (p.title + ' ' + p.body).toLowerCase().includes(needle);
-    });
+    const needle = q.trim();
+    return (needle ? search(q) : posts).filter(p => year === 'all' || (p.date || '').startsWith(year));
   }, [posts, q, year]);
 
   const visible = filtered.slice(0, limit);
@@ -72,7 +114,11 @@ function Posts() {
               </div>
               <div className="p-body">
                 <h3 className="p-title">{p.title}</h3>
-                {!active || active !== p.id ? <p className="p-excerpt">{p.excerpt}</p> : null}
+                {!active || active !== p.id ? (
+                  <p className="p-excerpt">
+                    {p.snippet?.length ? p.snippet.map((s, i) => (s.hit ? <mark key={i}>{s.text}</mark> : s.text)) : p.excerpt}
+                  </p>
+                ) : null}
                 {p.tags?.length ? <div className="p-tags">{p.tags.map(t => <span key={t}>#{t}</span>)}</div> : null}
                 {active === p.id && (
                   <div className="p-full">
@@ -118,11 +164,11 @@ function _LegacyJournal() {
   const [draftBody, setDraftBody] = useState('');
 
   useEffect(() => {
-    const files = window.JOURNAL_FILES || [];
+    const files = (JOURNAL || []).map(e => e.file);
     Promise.all(files.map(f =>
       fetch(f).then(r => r.text()).then(text => {
-        const { meta, body } = window.parseFrontmatter(text);
-        return { file: f, meta, body, html: window.mdToHtml(body) };
+        const { meta, body } = parseFrontmatter(text);
+        return { file: f, meta, body, html: mdToHtml(body) };
       }).catch(() => null)
     )).then(all => {
       const valid = all.filter(Boolean).sort((a, b) => (b.meta.date || '').localeCompare(a.meta.date || ''));
@@ -137,7 +183,7 @@ function _LegacyJournal() {
       id: 'draft-' + Date.now(),
       meta: { title: draftTitle, date: new Date().toISOString().slice(0,10), tags: ['draft'] },
       body: draftBody,
-      html: window.mdToHtml(draftBody),
+      html: mdToHtml(draftBody),
       isDraft: true,
     };
     const next = [newDraft, ...drafts];
@@ -195,7 +241,7 @@ function _LegacyJournal() {
 
             <div className="j-howto">
               <div className="eyebrow" style={{ marginBottom: 10 }}>How to write</div>
-              <p>Drop a <code>.md</code> file in <code>/journal/</code> with YAML frontmatter: title, date, tags, excerpt, then list it in <code>journal/index.js</code>. Or tap <em>+ New note</em> above to save a quick draft (stored locally).</p>
+              <p>Drop a <code>.md</code> file in <code>/journal/</code> with YAML frontmatter: title, date, tags, excerpt, then run <code>node scripts/journal-manifest.js</code>. Or tap <em>+ New note</em> above to save a quick draft (stored locally).</p>
             </div>
           </aside>
 
@@ -242,4 +288,4 @@ function _LegacyJournal() {
   );
 }
 
-Object.assign(window, { Posts });
+export { Posts };
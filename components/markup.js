@@ -0,0 +1,11 @@
+/* How much HTML the site's own copy may carry: allow-lists for sanitizeHtml
+   (components/md.js). The app and scripts/permalinks.js both render with
+   these, so a pre-rendered page shows what the app does. */
+
+// Section and case titles carry a little markup, <span class="it">; nothing else gets through
+const TITLE_HTML = { allow: { span: ['class'], em: [], br: [] } };
+
+// Case study bodies in data/cases.js
+const CASE_HTML = { allow: { p: [], em: [], strong: [], code: [], span: ['class'] } };
+
+export { TITLE_HTML, CASE_HTML };
@@ -1,66 +1,1369 @@
-/* Minimal markdown -> HTML. Supports: headings, bold, italic, inline code, code blocks, lists, hr, paragraphs, links. */
-window.mdToHtml = function mdToHtml(src) {
-  if (!src) return '';
-  const lines = src.replace(/\r\n/g, '\n').split('\n');
-  const out = [];
-  let inCode = false, codeBuf = [], codeLang = '';
-  let inList = false, listType = null;
+/* Markdown for the journal: a CommonMark parser that builds an AST, and an
+   HTML renderer over it.
 
-  const inline = (s) => s
-    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
-    .replace(/`([^`]+)`/g, '<code>$1</code>')
-    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
-    .replace(/(^|[\s(])\*([^*]+)\*/g, '$1<em>$2</em>')
-    .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank" rel="noopener">$1</a>');
+     parseMarkdown('# Hi\n\nSome *text*')
+       -> { type: 'document', children: [
+            { type: 'heading', level: 1, children: [{ type: 'text', literal: 'Hi' }], id: 'hi' },
+            { type: 'paragraph', children: [{ type: 'text', literal: 'Some ' }, { type: 'emph', children: [...] }] },
+          ] }
+     renderHtml(ast), mdToHtml(src) -> '<h1 id="hi">Hi</h1>\n<p>Some <em>text</em></p>\n'
+     sanitizeHtml('<b onclick="x()">hi</b><script>', { allow: { b: [] } }) -> '<b>hi</b>&lt;script&gt;'
+     walkMarkdown(ast, (node, entering, parent) => ...)   depth first, for other renderers
+     outlineMarkdown(ast) -> { toc: [{ level: 1, text: 'Hi', id: 'hi' }], words: 3, minutes: 1 }
 
-  const closeList = () => { if (inList) { out.push(listType === 'ol' ? '</ol>' : '</ul>'); inList = false; listType = null; } };
+   Parsing follows the strategy in the spec's appendix (spec.commonmark.org):
+   each line is matched against the open blocks to build the block tree, then
+   the text of every paragraph and heading is parsed for inlines, with a
+   delimiter stack for emphasis and a bracket stack for links and images.
+   scripts/commonmark-spec.js runs the spec's examples against it.
 
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
+   Blocks: document, paragraph, heading {level, id}, thematic_break, blockquote,
+   list {ordered, start, delimiter, bullet, tight}, item {checked?}, code_block
+   {info, literal, fenced}, html_block {literal}. Inlines: text {literal},
+   softbreak, linebreak, emph, strong, code {literal}, link and image
+   {destination, title}, html_inline {literal}.
 
-    if (line.startsWith('```')) {
-      if (!inCode) { inCode = true; codeLang = line.slice(3).trim(); codeBuf = []; }
-      else { out.push(`<pre><code data-lang="${codeLang}">${codeBuf.map(l => l.replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;')).join('\n')}</code></pre>`); inCode = false; }
-      continue;
+   On top of CommonMark, the GitHub extensions: tables (table {align} of
+   table_row {header} of table_cell {align, header}), task list items
+   (`- [x] done` sets item.checked), ~~strikethrough~~, bare www. / https:// /
+   email autolinks, and footnotes. A footnote_reference {label, index, ref} is
+   numbered in order of first use; the definitions that are used move to one
+   `footnotes` block at the end of the document, as footnote_definition
+   {label, index, refs}.
+
+   Every heading gets a `slug` as GitHub makes them, the name `cat 2#slug`
+   and links use, and an `id` for the page: the slug behind HEADING_ID_PREFIX,
+   as GitHub does, so a heading "Journal" can't take the id of the site's own
+   #journal section.
+
+   The HTML is safe to put in the page, whoever wrote the markdown: raw HTML
+   goes through an allow-list of tags and attributes, and links and images
+   only keep URLs with an allowed scheme (no javascript:). See renderHtml.
+
+   Fenced code is highlighted by components/highlight.js:
+   ```kotlin {3-5} showLineNumbers marks lines 3 to 5 and numbers them all. */
+import { highlight } from './highlight.js';
+
+const TAB_STOP = 4;
+const CODE_INDENT = 4;
+
+const RE_ESCAPABLE = /^[!"#$%&'()*+,./:;<=>?@[\\\]^_`{|}~-]/;
+const RE_ENTITY = /^&(?:#x[a-f0-9]{1,6}|#[0-9]{1,7}|[a-z][a-z0-9]{1,31});/i;
+const RE_UNESCAPE = /\\([!"#$%&'()*+,./:;<=>?@[\\\]^_`{|}~-])|&(?:#x[a-f0-9]{1,6}|#[0-9]{1,7}|[a-z][a-z0-9]{1,31});/gi;
+
+// The named entities worth knowing in prose. The full HTML table has 2000+ names;
+// a name not listed here stays as literal text, which is what the spec asks for unknown ones.
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00A0', shy: '\u00AD', ensp: '\u2002', emsp: '\u2003',
+  thinsp: '\u2009', zwnj: '\u200C', zwj: '\u200D', copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—',
+  ndash: '–', lsquo: '‘', rsquo: '’', sbquo: '‚', ldquo: '“', rdquo: '”', bdquo: '„', laquo: '«', raquo: '»',
+  bull: '•', middot: '·', deg: '°', plusmn: '±', times: '×', divide: '÷', micro: 'µ', para: '¶', sect: '§',
+  dagger: '†', Dagger: '‡', permil: '‰', larr: '←', rarr: '→', uarr: '↑', darr: '↓', harr: '↔', lArr: '⇐',
+  rArr: '⇒', hArr: '⇔', le: '≤', ge: '≥', ne: '≠', asymp: '≈', equiv: '≡', infin: '∞', minus: '−', radic: '√',
+  sum: '∑', prod: '∏', part: '∂', nabla: '∇', isin: '∈', forall: '∀', exist: '∃', empty: '∅', and: '∧', or: '∨',
+  cap: '∩', cup: '∪', sub: '⊂', sup: '⊃', alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε',
+  lambda: 'λ', mu: 'μ', pi: 'π', sigma: 'σ', tau: 'τ', phi: 'φ', omega: 'ω', Delta: 'Δ', Sigma: 'Σ',
+  Omega: 'Ω', euro: '€', pound: '£', yen: '¥', cent: '¢', curren: '¤', frac12: '½', frac14: '¼', frac34: '¾',
+  sup1: '¹', sup2: '²', sup3: '³', iexcl: '¡', iquest: '¿', ordf: 'ª', ordm: 'º', acute: '´', uml: '¨',
+  auml: 'ä', ouml: 'ö', uuml: 'ü', Auml: 'Ä', Ouml: 'Ö', Uuml: 'Ü', szlig: 'ß', aacute: 'á', eacute: 'é',
+  iacute: 'í', oacute: 'ó', uacute: 'ú', agrave: 'à', egrave: 'è', igrave: 'ì', ograve: 'ò', ugrave: 'ù',
+  acirc: 'â', ecirc: 'ê', icirc: 'î', ocirc: 'ô', ucirc: 'û', atilde: 'ã', otilde: 'õ', ntilde: 'ñ',
+  ccedil: 'ç', aring: 'å', oslash: 'ø', aelig: 'æ', AElig: 'Æ', Eacute: 'É', Ccedil: 'Ç', Ntilde: 'Ñ',
+  Aring: 'Å', Oslash: 'Ø', Dcaron: 'Ď', HilbertSpace: 'ℋ', DifferentialD: 'ⅆ', ClockwiseContourIntegral: '∲',
+  ngE: '≧̸', check: '✓', cross: '✗', star: '☆', starf: '★', hearts: '♥', spades: '♠', clubs: '♣', diams: '♦',
+};
+
+function decodeEntity(m) {
+  if (m[1] === '#') {
+    const code = /^&#x/i.test(m) ? parseInt(m.slice(3, -1), 16) : parseInt(m.slice(2, -1), 10);
+    return code === 0 || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF) ? '\uFFFD' : String.fromCodePoint(code);
+  }
+  const name = m.slice(1, -1);
+  return Object.prototype.hasOwnProperty.call(ENTITIES, name) ? ENTITIES[name] : m;
+}
+
+// Backslash escapes and entities, as in link destinations, titles and info strings.
+const unescape = (s) => s.replace(RE_UNESCAPE, (m, ch) => (ch !== undefined ? ch : decodeEntity(m)));
+// Entities only, as in HTML attribute values.
+const decodeEntities = (s) => s.replace(new RegExp(RE_ENTITY.source.slice(1), 'gi'), decodeEntity);
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+const escapeHtml = (s) => s.replace(/[&<>"]/g, c => HTML_ESCAPES[c]);
+
+// Percent-encode what a URL may not contain, keeping %XX escapes that are already there.
+const normalizeUri = (uri) => uri.replace(/%[0-9a-f]{2}|[^\w;/?:@&=+$,\-.!~*'()#]/giu, (m) => {
+  if (m.length === 3 && m[0] === '%') return m;
+  try { return encodeURIComponent(m); } catch (e) { return '%EF%BF%BD'; } // a lone surrogate
+});
+
+// Link labels match case-insensitively and with runs of whitespace collapsed.
+const normalizeLabel = (label) => label.slice(1, -1).trim().replace(/[ \t\r\n]+/g, ' ').toLowerCase().toUpperCase();
+
+const isSpaceOrTab = (c) => c === ' ' || c === '\t';
+
+/* ---------- tree ---------- */
+
+// Nodes are linked both ways while parsing so blocks and inlines can be moved
+// cheaply; parseMarkdown hands back plain { type, children } objects.
+const node = (type, props) => ({ type, parent: null, first: null, last: null, prev: null, next: null, ...props });
+
+function unlink(n) {
+  if (n.prev) n.prev.next = n.next; else if (n.parent) n.parent.first = n.next;
+  if (n.next) n.next.prev = n.prev; else if (n.parent) n.parent.last = n.prev;
+  n.parent = n.prev = n.next = null;
+}
+
+function append(parent, child) {
+  unlink(child);
+  child.parent = parent;
+  if (parent.last) { parent.last.next = child; child.prev = parent.last; }
+  else parent.first = child;
+  parent.last = child;
+  return child;
+}
+
+function insertAfter(n, sibling) {
+  unlink(sibling);
+  sibling.parent = n.parent;
+  sibling.prev = n;
+  sibling.next = n.next;
+  if (n.next) n.next.prev = sibling; else if (n.parent) n.parent.last = sibling;
+  n.next = sibling;
+}
+
+/* ---------- inlines ---------- */
+
+const RE_MAIN = /^[^\n`[\]\\!<&*_~]+/;
+const RE_LINK_LABEL = /^\[(?:[^\\[\]]|\\[\s\S]){0,1000}\]/;
+const RE_LINK_DESTINATION_BRACES = /^<(?:[^<>\n\\\x00]|\\.)*>/;
+const RE_LINK_TITLE = /^(?:"(?:\\[\s\S]|[^\\\x00"])*"|'(?:\\[\s\S]|[^\\\x00'])*'|\((?:\\[\s\S]|[^\\\x00()])*\))/;
+const RE_SPNL = /^[ \t]*(?:\n[ \t]*)?/;
+const RE_SPACE_AT_EOL = /^[ \t]*(?:\n|$)/;
+const RE_WHITESPACE_CHAR = /^[ \t\n\x0b\x0c\x0d]/;
+const RE_UNICODE_WHITESPACE = /^[\t\n\f\r\p{Zs}]/u;
+const RE_PUNCTUATION = /^[\p{P}\p{S}]/u;
+const RE_EMAIL_AUTOLINK = /^<[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*>/;
+const RE_AUTOLINK = /^<[A-Za-z][A-Za-z0-9.+-]{1,31}:[^<>\x00-\x20]*>/;
+
+const TAG_NAME = '[A-Za-z][A-Za-z0-9-]*';
+const ATTRIBUTE = '(?:\\s+[a-zA-Z_:][a-zA-Z0-9:._-]*(?:\\s*=\\s*(?:[^"\'=<>`\\x00-\\x20]+|\'[^\']*\'|"[^"]*"))?)';
+const OPEN_TAG = `<${TAG_NAME}${ATTRIBUTE}*\\s*/?>`;
+const CLOSE_TAG = `</${TAG_NAME}\\s*[>]`;
+const RE_HTML_TAG = new RegExp(`^(?:${OPEN_TAG}|${CLOSE_TAG}|<!-->|<!--->|<!--[\\s\\S]*?-->|[<][?][\\s\\S]*?[?][>]|<![A-Za-z]+[^>]*>|<!\\[CDATA\\[[\\s\\S]*?\\]\\]>)`, 'i');
+
+// One per document: link references and footnotes are shared between the block
+// pass, which finds the definitions, and the inline pass, which resolves them.
+function createInlineParser(refs, notes) {
+  let subject = '', pos = 0;
+  let delims = null; // top of the emphasis delimiter stack
+  let brackets = null; // top of the [ / ![ stack
+
+  const text = (s) => node('text', { literal: s });
+  const peek = () => subject[pos];
+
+  function match(re) {
+    const m = re.exec(subject.slice(pos));
+    if (!m) return null;
+    pos += m.index + m[0].length;
+    return m[0];
+  }
+
+  const spnl = () => { match(RE_SPNL); return true; };
+
+  // The whole character either side of a delimiter run, newline at the edges.
+  function charBefore(i) {
+    if (i <= 0) return '\n';
+    const lo = subject.charCodeAt(i - 1);
+    return lo >= 0xDC00 && lo <= 0xDFFF && i >= 2 ? subject.slice(i - 2, i) : subject[i - 1];
+  }
+  const charAt = (i) => (i < subject.length ? String.fromCodePoint(subject.codePointAt(i)) : '\n');
+
+  function newline(block) {
+    pos += 1;
+    const last = block.last;
+    // Two or more trailing spaces make a hard break; the spaces themselves go either way
+    if (last && last.type === 'text' && last.literal.endsWith(' ')) {
+      const hard = last.literal.endsWith('  ');
+      last.literal = last.literal.replace(/ +$/, '');
+      append(block, node(hard ? 'linebreak' : 'softbreak'));
+    } else append(block, node('softbreak'));
+    match(/^ */);
+    return true;
+  }
+
+  function backslash(block) {
+    pos += 1;
+    if (peek() === '\n') { pos += 1; append(block, node('linebreak')); }
+    else if (RE_ESCAPABLE.test(subject.charAt(pos))) { append(block, text(subject[pos])); pos += 1; }
+    else append(block, text('\\'));
+    return true;
+  }
+
+  function backticks(block) {
+    const ticks = match(/^`+/);
+    const after = pos;
+    let m;
+    while ((m = match(/`+/)) !== null) {
+      if (m !== ticks) continue;
+      let code = subject.slice(after, pos - ticks.length).replace(/\n/g, ' ');
+      if (/[^ ]/.test(code) && code[0] === ' ' && code[code.length - 1] === ' ') code = code.slice(1, -1);
+      append(block, node('code', { literal: code }));
+      return true;
+    }
+    // No closing run of the same length: the backticks are literal
+    pos = after;
+    append(block, text(ticks));
+    return true;
+  }
+
+  // A run of *, _ or ~: plain text for now, and a delimiter if it could open or close emphasis.
+  function delimiterRun(block, c) {
+    const start = pos;
+    while (subject[pos] === c) pos += 1;
+    const before = charBefore(start), after = charAt(pos);
+    const afterSpace = RE_UNICODE_WHITESPACE.test(after), afterPunct = RE_PUNCTUATION.test(after);
+    const beforeSpace = RE_UNICODE_WHITESPACE.test(before), beforePunct = RE_PUNCTUATION.test(before);
+    const leftFlanking = !afterSpace && (!afterPunct || beforeSpace || beforePunct);
+    const rightFlanking = !beforeSpace && (!beforePunct || afterSpace || afterPunct);
+    // _ inside a word (snake_case) is neither
+    const canOpen = c === '_' ? leftFlanking && (!rightFlanking || beforePunct) : leftFlanking;
+    const canClose = c === '_' ? rightFlanking && (!leftFlanking || afterPunct) : rightFlanking;
+    const n = append(block, text(subject.slice(start, pos)));
+    if ((canOpen || canClose) && (c !== '~' || pos - start <= 2)) {
+      delims = { char: c, count: pos - start, orig: pos - start, node: n, prev: delims, next: null, canOpen, canClose };
+      if (delims.prev) delims.prev.next = delims;
+    }
+    return true;
+  }
+
+  function removeDelim(d) {
+    if (d.prev) d.prev.next = d.next;
+    if (d.next) d.next.prev = d.prev;
+    else delims = d.prev;
+  }
+
+  // Pair up the delimiters above `bottom` into emph and strong, innermost closer first.
+  function processEmphasis(bottom) {
+    const openersBottom = {}; // per char/can-open/length%3: where the last failed search stopped
+    let closer = delims;
+    while (closer && closer.prev !== bottom) closer = closer.prev;
+    while (closer) {
+      if (!closer.canClose) { closer = closer.next; continue; }
+      const key = closer.char + (closer.canOpen ? 1 : 0) + (closer.orig % 3);
+      const floor = key in openersBottom ? openersBottom[key] : bottom;
+      let opener = closer.prev;
+      let found = false;
+      while (opener && opener !== bottom && opener !== floor) {
+        // "Rule of 3": a delimiter that can both open and close cannot pair with one whose lengths sum to a multiple of 3
+        const oddMatch = (closer.canOpen || opener.canClose) && closer.orig % 3 !== 0 && (opener.orig + closer.orig) % 3 === 0;
+        // ~ and ~~ only close a run of their own length
+        const pairs = closer.char === '~' ? opener.count === closer.count : !oddMatch;
+        if (opener.char === closer.char && opener.canOpen && pairs) { found = true; break; }
+        opener = opener.prev;
+      }
+      const oldCloser = closer;
+      if (found) {
+        const use = closer.char === '~' ? closer.count : closer.count >= 2 && opener.count >= 2 ? 2 : 1;
+        const openerNode = opener.node, closerNode = closer.node;
+        opener.count -= use;
+        closer.count -= use;
+        openerNode.literal = openerNode.literal.slice(0, openerNode.literal.length - use);
+        closerNode.literal = closerNode.literal.slice(0, closerNode.literal.length - use);
+        const emph = node(closer.char === '~' ? 'strikethrough' : use === 1 ? 'emph' : 'strong');
+        for (let n = openerNode.next; n && n !== closerNode;) { const next = n.next; append(emph, n); n = next; }
+        insertAfter(openerNode, emph);
+        // Delimiters between the two are inside the emphasis now and can no longer match
+        if (opener.next !== closer) { opener.next = closer; closer.prev = opener; }
+        if (opener.count === 0) { unlink(openerNode); removeDelim(opener); }
+        if (closer.count === 0) { unlink(closerNode); const next = closer.next; removeDelim(closer); closer = next; }
+      } else {
+        closer = closer.next;
+        openersBottom[key] = oldCloser.prev;
+        if (!oldCloser.canOpen) removeDelim(oldCloser);
+      }
+    }
+    while (delims && delims !== bottom) removeDelim(delims);
+  }
+
+  function addBracket(n, index, image) {
+    if (brackets) brackets.bracketAfter = true;
+    brackets = { node: n, prev: brackets, prevDelim: delims, index, image, active: true, bracketAfter: false };
+  }
+
+  function openBracket(block) {
+    addBracket(append(block, text('[')), pos, false);
+    pos += 1;
+    return true;
+  }
+
+  function bang(block) {
+    pos += 1;
+    if (peek() === '[') {
+      addBracket(append(block, text('![')), pos, true);
+      pos += 1;
+    } else append(block, text('!'));
+    return true;
+  }
+
+  // The length of a [label] at pos (and move past it), or 0.
+  function linkLabel() {
+    const m = RE_LINK_LABEL.exec(subject.slice(pos));
+    if (!m || m[0].length > 1001) return 0;
+    pos += m[0].length;
+    return m[0].length;
+  }
+
+  function linkDestination() {
+    const braced = match(RE_LINK_DESTINATION_BRACES);
+    if (braced !== null) return normalizeUri(unescape(braced.slice(1, -1)));
+    if (peek() === '<') return null;
+    // Bare destination: no spaces, parentheses balanced
+    const start = pos;
+    let depth = 0, c;
+    while ((c = peek()) !== undefined) {
+      if (c === '\\' && RE_ESCAPABLE.test(subject.charAt(pos + 1))) pos += 2;
+      else if (c === '(') { pos += 1; depth += 1; }
+      else if (c === ')') { if (depth < 1) break; pos += 1; depth -= 1; }
+      else if (RE_WHITESPACE_CHAR.test(c)) break;
+      else pos += 1;
+    }
+    if ((pos === start && c !== ')') || depth !== 0) { pos = start; return null; }
+    return normalizeUri(unescape(subject.slice(start, pos)));
+  }
+
+  function linkTitle() {
+    const m = match(RE_LINK_TITLE);
+    return m === null ? null : unescape(m.slice(1, -1));
+  }
+
+  function closeBracket(block) {
+    pos += 1;
+    const start = pos;
+    const opener = brackets;
+    if (!opener) { append(block, text(']')); return true; }
+    if (!opener.active) { brackets = opener.prev; append(block, text(']')); return true; }
+
+    // Footnote: [^label], if there is a definition for it
+    const label = subject.slice(opener.index + 1, start - 1);
+    const note = !opener.image && /^\^[^\s\]]+$/.test(label) && notes.get(normalizeLabel(`[${label.slice(1)}]`));
+    if (note) {
+      processEmphasis(opener.prevDelim);
+      for (let n = opener.node.next; n;) { const next = n.next; unlink(n); n = next; }
+      insertAfter(opener.node, node('footnote_reference', { label: label.slice(1), note }));
+      unlink(opener.node);
+      brackets = opener.prev;
+      return true;
+    }
+
+    let dest = null, title = null, matched = false;
+    // Inline: [text](dest "title")
+    if (peek() === '(') {
+      pos += 1;
+      spnl();
+      if ((dest = linkDestination()) !== null) {
+        spnl();
+        // A title has to be separated from the destination by whitespace
+        if (RE_WHITESPACE_CHAR.test(subject.charAt(pos - 1))) title = linkTitle();
+        spnl();
+        if (peek() === ')') { pos += 1; matched = true; }
+      }
+      if (!matched) pos = start;
+    }
+    // Reference: [text][label], [label][] or [label]
+    if (!matched) {
+      const before = pos;
+      const n = linkLabel();
+      let label = null;
+      if (n > 2) label = subject.slice(before, before + n);
+      else if (!opener.bracketAfter) label = subject.slice(opener.index, start);
+      if (n === 0) pos = start;
+      const ref = label && refs[normalizeLabel(label)];
+      if (ref) { dest = ref.destination; title = ref.title; matched = true; }
+    }
+    if (!matched) {
+      brackets = opener.prev;
+      pos = start;
+      append(block, text(']'));
+      return true;
+    }
+
+    const link = node(opener.image ? 'image' : 'link', { destination: dest, title: title || '' });
+    for (let n = opener.node.next; n;) { const next = n.next; append(link, n); n = next; }
+    append(block, link);
+    processEmphasis(opener.prevDelim);
+    brackets = opener.prev;
+    unlink(opener.node);
+    // Links cannot contain links, so the [ openers before this one are done
+    if (!opener.image) for (let b = brackets; b; b = b.prev) if (!b.image) b.active = false;
+    return true;
+  }
+
+  function autolink(block) {
+    let m = match(RE_EMAIL_AUTOLINK), dest;
+    if (m) dest = 'mailto:' + m.slice(1, -1);
+    else if ((m = match(RE_AUTOLINK))) dest = m.slice(1, -1);
+    else return false;
+    append(append(block, node('link', { destination: normalizeUri(dest), title: '' })), text(m.slice(1, -1)));
+    return true;
+  }
+
+  function htmlTag(block) {
+    const m = match(RE_HTML_TAG);
+    if (m === null) return false;
+    append(block, node('html_inline', { literal: m }));
+    return true;
+  }
+
+  function entity(block) {
+    const m = match(RE_ENTITY);
+    if (m === null) return false;
+    append(block, text(decodeEntity(m)));
+    return true;
+  }
+
+  function string(block) {
+    const m = match(RE_MAIN);
+    if (m === null) return false;
+    append(block, text(m));
+    return true;
+  }
+
+  function parseInline(block) {
+    const c = peek();
+    let done;
+    switch (c) {
+      case '\n': done = newline(block); break;
+      case '\\': done = backslash(block); break;
+      case '`': done = backticks(block); break;
+      case '*': case '_': case '~': done = delimiterRun(block, c); break;
+      case '[': done = openBracket(block); break;
+      case '!': done = bang(block); break;
+      case ']': done = closeBracket(block); break;
+      case '<': done = autolink(block) || htmlTag(block); break;
+      case '&': done = entity(block); break;
+      default: done = string(block);
+    }
+    if (!done) { pos += 1; append(block, text(c)); }
+  }
+
+  // The inline content of a paragraph or heading, as its children.
+  function parse(block) {
+    subject = block.content.trim();
+    pos = 0;
+    delims = null;
+    brackets = null;
+    block.content = null;
+    while (pos < subject.length) parseInline(block);
+    processEmphasis(null);
+  }
+
+  // A link reference definition at the start of s: records it and returns its length, or 0.
+  function reference(s) {
+    subject = s;
+    pos = 0;
+    const n = linkLabel();
+    if (!n || peek() !== ':') return 0;
+    const key = normalizeLabel(subject.slice(0, n));
+    pos += 1;
+    spnl();
+    const dest = linkDestination();
+    if (dest === null) return 0;
+    const beforeTitle = pos;
+    spnl();
+    let title = pos !== beforeTitle ? linkTitle() : null;
+    // Nothing but spaces may follow on the line; if something does, try again without the title
+    if (title === null) pos = beforeTitle;
+    if (match(RE_SPACE_AT_EOL) === null) {
+      if (title === null) return 0;
+      title = null;
+      pos = beforeTitle;
+      if (match(RE_SPACE_AT_EOL) === null) return 0;
+    }
+    if (!key) return 0;
+    if (!(key in refs)) refs[key] = { destination: dest, title: title || '' };
+    return pos;
+  }
+
+  return { parse, reference };
+}
+
+// GitHub's extended autolinks: www.example.com, https://example.com/path and
+// name@example.com in plain text, at the start of a word.
+const RE_EXTENDED_AUTOLINK = /(?:https?:\/\/|www\.)[^\s<]*|[\w.+-]+@[\w-]+(?:\.[\w-]+)+/gi;
+const RE_VALID_DOMAIN = /^[\w-]+(?:\.[\w-]+)*\.[\w-]+$/;
+
+// Trailing punctuation, an unbalanced ) and an &entity; are not part of a URL.
+function trimAutolink(url) {
+  for (;;) {
+    const count = (c) => url.split(c).length - 1;
+    if (/[?!.,:*_~'"]$/.test(url)) url = url.slice(0, -1);
+    else if (url.endsWith(')') && count(')') > count('(')) url = url.slice(0, -1);
+    else if (/&[a-z0-9]+;$/i.test(url)) url = url.slice(0, url.lastIndexOf('&'));
+    else return url;
+  }
+}
+
+function extendedAutolink(m) {
+  if (m.includes('@') && !/^(?:https?:\/\/|www\.)/i.test(m)) {
+    return /[-_]$/.test(m) ? null : { text: m, destination: 'mailto:' + m };
+  }
+  const url = trimAutolink(m);
+  const domain = url.replace(/^https?:\/\//i, '').split(/[/?#]/)[0];
+  // The last two parts of the domain may not contain underscores
+  if (!RE_VALID_DOMAIN.test(domain) || domain.split('.').slice(-2).some(s => s.includes('_'))) return null;
+  return { text: url, destination: /^www\./i.test(url) ? 'http://' + url : url };
+}
+
+function autolinkText(t) {
+  const s = t.literal;
+  let last = 0, after = t, m;
+  RE_EXTENDED_AUTOLINK.lastIndex = 0;
+  while ((m = RE_EXTENDED_AUTOLINK.exec(s))) {
+    const link = (m.index === 0 || /[\s*_~(]/.test(s[m.index - 1])) && extendedAutolink(m[0]);
+    if (!link) continue;
+    const before = node('text', { literal: s.slice(last, m.index) });
+    const a = node('link', { destination: normalizeUri(link.destination), title: '' });
+    append(a, node('text', { literal: link.text }));
+    insertAfter(after, before);
+    insertAfter(before, a);
+    after = a;
+    last = m.index + link.text.length;
+    RE_EXTENDED_AUTOLINK.lastIndex = last;
+  }
+  if (after === t) return;
+  insertAfter(after, node('text', { literal: s.slice(last) }));
+  unlink(t);
+}
+
+// After the inline pass: merge neighbouring text, then look for autolinks in
+// it, except inside links and images.
+function gfmInlines(block) {
+  const stack = [block];
+  while (stack.length) {
+    const b = stack.pop();
+    for (let c = b.first; c; c = c.next) {
+      while (c.type === 'text' && c.next && c.next.type === 'text') { c.literal += c.next.literal; unlink(c.next); }
+      if (c.type === 'text') { const next = c.next; autolinkText(c); c = next ? next.prev : b.last; }
+      else if (c.first && c.type !== 'link' && c.type !== 'image') stack.push(c);
     }
-    if (inCode) { codeBuf.push(line); continue; }
+  }
+}
+
+/* ---------- blocks ---------- */
+
+const RE_MAYBE_SPECIAL = /^[#`~*+_=<>0-9[|:-]/;
+const RE_THEMATIC_BREAK = /^(?:\*[ \t]*){3,}$|^(?:_[ \t]*){3,}$|^(?:-[ \t]*){3,}$/;
+const RE_ATX_HEADING = /^#{1,6}(?:[ \t]+|$)/;
+const RE_CODE_FENCE = /^`{3,}(?!.*`)|^~{3,}/;
+const RE_CLOSING_FENCE = /^(?:`{3,}|~{3,})(?=[ \t]*$)/;
+const RE_SETEXT_HEADING = /^(?:=+|-+)[ \t]*$/;
+const RE_NON_SPACE = /[^ \t\f\v\r\n]/;
+const RE_TABLE_DELIMITER = /^\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const RE_FOOTNOTE_DEFINITION = /^\[\^([^\]\s]+)\]:[ \t]*/;
+const RE_TASK = /^\[([ xX])\][ \t]+(?=\S)/;
+
+// The seven kinds of HTML block, by how they start and (for 1-5) how they end.
+const HTML_BLOCK_OPEN = [
+  null,
+  /^<(?:script|pre|textarea|style)(?:\s|>|$)/i,
+  /^<!--/,
+  /^<[?]/,
+  /^<![A-Za-z]/,
+  /^<!\[CDATA\[/,
+  /^<[/]?(?:address|article|aside|base|basefont|blockquote|body|caption|center|col|colgroup|dd|details|dialog|dir|div|dl|dt|fieldset|figcaption|figure|footer|form|frame|frameset|h[123456]|head|header|hr|html|iframe|legend|li|link|main|menu|menuitem|nav|noframes|ol|optgroup|option|p|param|search|section|summary|table|tbody|td|tfoot|th|thead|title|tr|track|ul)(?:\s|[/]?[>]|$)/i,
+  new RegExp(`^(?:${OPEN_TAG}|${CLOSE_TAG})\\s*$`, 'i'),
+];
+const HTML_BLOCK_CLOSE = [null, /<\/(?:script|pre|textarea|style)>/i, /-->/, /\?>/, />/, /\]\]>/];
+
+// A block "ends with a blank line" when a blank line separates it from the next one.
+const endsWithBlankLine = (b) => b.next && b.endLine !== b.next.startLine - 1;
+
+// The cells of a table row: split at pipes that are not escaped, the outer ones optional.
+function splitRow(line) {
+  const s = line.trim().replace(/^\|/, '').replace(/(^|[^\\])\|$/, '$1');
+  return s.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+// A row with exactly one cell per column: extra cells are dropped, missing ones left empty.
+function tableRow(table, cells, header) {
+  const row = append(table, node('table_row', { header }));
+  table.align.forEach((align, i) => append(row, node('table_cell', { align, header, content: cells[i] || '' })));
+}
+
+// Link reference definitions at the start of a paragraph come out of it. True if there were any.
+function takeReferences(p, block) {
+  let found = false, used;
+  while (block.content[0] === '[' && (used = p.inline.reference(block.content))) {
+    block.content = block.content.slice(used);
+    found = true;
+  }
+  return found;
+}
+
+/* Per block type: whether an open block goes on through the current line
+   (cont: 0 yes, 1 no, 2 yes and the line is used up), what it may contain,
+   whether it takes lines of text, and what to do once it closes. */
+const BLOCKS = {
+  document: { cont: () => 0, canContain: t => t !== 'item' },
+  list: {
+    cont: () => 0,
+    canContain: t => t === 'item',
+    finalize(p, block) {
+      // Loose when a blank line separates two items, or two blocks inside one
+      for (let item = block.first; item; item = item.next) {
+        if (endsWithBlankLine(item)) block.tight = false;
+        for (let sub = item.first; sub; sub = sub.next) if (endsWithBlankLine(sub)) block.tight = false;
+      }
+      block.endLine = block.last.endLine;
+    },
+  },
+  blockquote: {
+    cont(p) {
+      if (p.indented || p.line[p.nextNonspace] !== '>') return 1;
+      advanceNextNonspace(p);
+      advanceOffset(p, 1, false);
+      if (isSpaceOrTab(p.line[p.offset])) advanceOffset(p, 1, true);
+      return 0;
+    },
+    canContain: t => t !== 'item',
+  },
+  item: {
+    cont(p, block) {
+      if (p.blank) {
+        if (!block.first) return 1; // an item can begin with at most one blank line
+        advanceNextNonspace(p);
+      } else if (p.indent >= block.markerOffset + block.padding) {
+        advanceOffset(p, block.markerOffset + block.padding, true);
+      } else return 1;
+      return 0;
+    },
+    canContain: t => t !== 'item',
+    finalize(p, block) { block.endLine = block.last ? block.last.endLine : block.startLine; },
+  },
+  footnote_definition: {
+    // Like an item: continued by blank lines and lines indented four columns
+    cont(p) {
+      if (p.blank) advanceNextNonspace(p);
+      else if (p.indent >= CODE_INDENT) advanceOffset(p, CODE_INDENT, true);
+      else return 1;
+      return 0;
+    },
+    canContain: t => t !== 'item',
+  },
+  heading: { cont: () => 1, canContain: () => false },
+  thematic_break: { cont: () => 1, canContain: () => false },
+  code_block: {
+    cont(p, block) {
+      if (block.fenced) {
+        const m = p.indent <= 3 && p.line[p.nextNonspace] === block.fenceChar && p.line.slice(p.nextNonspace).match(RE_CLOSING_FENCE);
+        if (m && m[0].length >= block.fenceLength) { finalize(p, block, p.lineNumber); return 2; }
+        // Content loses as much indentation as the opening fence had
+        for (let i = block.fenceOffset; i > 0 && isSpaceOrTab(p.line[p.offset]); i--) advanceOffset(p, 1, true);
+      } else if (p.indent >= CODE_INDENT) advanceOffset(p, CODE_INDENT, true);
+      else if (p.blank) advanceNextNonspace(p);
+      else return 1;
+      return 0;
+    },
+    canContain: () => false,
+    acceptsLines: true,
+    finalize(p, block) {
+      if (block.fenced) {
+        const nl = block.content.indexOf('\n');
+        block.info = unescape(block.content.slice(0, nl).trim());
+        block.literal = block.content.slice(nl + 1);
+      } else {
+        // Trailing blank lines belong to whatever follows
+        const lines = block.content.split('\n');
+        while (/^[ \t]*$/.test(lines[lines.length - 1])) lines.pop();
+        block.info = '';
+        block.literal = lines.join('\n') + '\n';
+        block.endLine = block.startLine + lines.length - 1;
+      }
+      block.content = null;
+    },
+  },
+  html_block: {
+    cont: (p, block) => (p.blank && (block.htmlType === 6 || block.htmlType === 7) ? 1 : 0),
+    canContain: () => false,
+    acceptsLines: true,
+    finalize(p, block) {
+      block.literal = block.content.replace(/(\n *)+$/, '');
+      block.content = null;
+    },
+  },
+  // Rows after the header and delimiter rows, up to a blank line or another block
+  table: {
+    cont: (p) => (p.blank ? 1 : 0),
+    canContain: () => false,
+    acceptsLines: true,
+    finalize(p, block) {
+      // (the delimiter row leaves an empty line behind)
+      block.content.split('\n').filter(Boolean).forEach(line => tableRow(block, splitRow(line), false));
+      block.content = null;
+    },
+  },
+  paragraph: {
+    cont: (p) => (p.blank ? 1 : 0),
+    canContain: () => false,
+    acceptsLines: true,
+    finalize(p, block) {
+      if (takeReferences(p, block) && !RE_NON_SPACE.test(block.content)) unlink(block);
+    },
+  },
+};
 
-    if (/^\s*$/.test(line)) { closeList(); continue; }
+function parseListMarker(p, container) {
+  if (p.indent >= 4) return null;
+  const markerOffset = p.indent;
+  const rest = p.line.slice(p.nextNonspace);
+  let m, data;
+  if ((m = rest.match(/^[*+-]/))) data = { ordered: false, bullet: m[0], start: null, delimiter: null };
+  else if ((m = rest.match(/^(\d{1,9})([.)])/)) && (container.type !== 'paragraph' || parseInt(m[1], 10) === 1)) {
+    data = { ordered: true, bullet: null, start: parseInt(m[1], 10), delimiter: m[2] };
+  } else return null;
+  const after = p.line[p.nextNonspace + m[0].length];
+  if (after !== undefined && !isSpaceOrTab(after)) return null;
+  // An empty item cannot interrupt a paragraph
+  if (container.type === 'paragraph' && !RE_NON_SPACE.test(p.line.slice(p.nextNonspace + m[0].length))) return null;
 
-    const h = line.match(/^(#{1,6})\s+(.*)$/);
-    if (h) { closeList(); out.push(`<h${h[1].length}>${inline(h[2])}</h${h[1].length}>`); continue; }
+  advanceNextNonspace(p);
+  advanceOffset(p, m[0].length, true);
+  const startColumn = p.column, startOffset = p.offset;
+  do advanceOffset(p, 1, true); while (p.column - startColumn < 5 && isSpaceOrTab(p.line[p.offset]));
+  const spaces = p.column - startColumn;
+  if (spaces >= 5 || spaces < 1 || p.line[p.offset] === undefined) {
+    // Blank after the marker, or indented code: the content starts one space in
+    data.padding = m[0].length + 1;
+    p.column = startColumn;
+    p.offset = startOffset;
+    if (isSpaceOrTab(p.line[p.offset])) advanceOffset(p, 1, true);
+  } else data.padding = m[0].length + spaces;
+  data.markerOffset = markerOffset;
+  return data;
+}
 
-    if (/^\s*[-*]\s+/.test(line)) {
-      if (!inList || listType !== 'ul') { closeList(); out.push('<ul>'); inList = true; listType = 'ul'; }
-      out.push(`<li>${inline(line.replace(/^\s*[-*]\s+/, ''))}</li>`);
-      continue;
+const sameList = (list, data) => list.ordered === data.ordered && list.delimiter === data.delimiter && list.bullet === data.bullet;
+
+// Tried in order where a line's content starts: 0 no match, 1 opened a container, 2 opened a leaf.
+const BLOCK_STARTS = [
+  function blockquote(p) {
+    if (p.indented || p.line[p.nextNonspace] !== '>') return 0;
+    advanceNextNonspace(p);
+    advanceOffset(p, 1, false);
+    if (isSpaceOrTab(p.line[p.offset])) advanceOffset(p, 1, true);
+    closeUnmatchedBlocks(p);
+    addChild(p, 'blockquote');
+    return 1;
+  },
+  function atxHeading(p) {
+    const m = !p.indented && p.line.slice(p.nextNonspace).match(RE_ATX_HEADING);
+    if (!m) return 0;
+    advanceNextNonspace(p);
+    advanceOffset(p, m[0].length, false);
+    closeUnmatchedBlocks(p);
+    const heading = addChild(p, 'heading', { level: m[0].trim().length });
+    heading.content = p.line.slice(p.offset).replace(/^[ \t]*#+[ \t]*$/, '').replace(/[ \t]+#+[ \t]*$/, '');
+    advanceOffset(p, p.line.length - p.offset, false);
+    return 2;
+  },
+  function fencedCode(p) {
+    const m = !p.indented && p.line.slice(p.nextNonspace).match(RE_CODE_FENCE);
+    if (!m) return 0;
+    closeUnmatchedBlocks(p);
+    addChild(p, 'code_block', { fenced: true, fenceChar: m[0][0], fenceLength: m[0].length, fenceOffset: p.indent });
+    advanceNextNonspace(p);
+    advanceOffset(p, m[0].length, false);
+    return 2;
+  },
+  function htmlBlock(p, container) {
+    if (p.indented || p.line[p.nextNonspace] !== '<') return 0;
+    const s = p.line.slice(p.nextNonspace);
+    for (let type = 1; type <= 7; type++) {
+      // A lone tag (type 7) cannot interrupt a paragraph, lazy or not
+      const interrupts = type < 7 || (container.type !== 'paragraph' && !(!p.allClosed && !p.blank && p.tip.type === 'paragraph'));
+      if (HTML_BLOCK_OPEN[type].test(s) && interrupts) {
+        closeUnmatchedBlocks(p);
+        addChild(p, 'html_block', { htmlType: type });
+        return 2;
+      }
+    }
+    return 0;
+  },
+  function setextHeading(p, container) {
+    const m = !p.indented && container.type === 'paragraph' && p.line.slice(p.nextNonspace).match(RE_SETEXT_HEADING);
+    if (!m) return 0;
+    closeUnmatchedBlocks(p);
+    takeReferences(p, container);
+    if (!container.content.length) return 0;
+    const heading = node('heading', { level: m[0][0] === '=' ? 1 : 2, content: container.content, open: true, startLine: container.startLine });
+    insertAfter(container, heading);
+    unlink(container);
+    p.tip = heading;
+    advanceOffset(p, p.line.length - p.offset, false);
+    return 2;
+  },
+  function table(p, container) {
+    if (p.indented || container.type !== 'paragraph') return 0;
+    const delimiters = p.line.slice(p.nextNonspace);
+    if (!delimiters.includes('|') || !RE_TABLE_DELIMITER.test(delimiters)) return 0;
+    const align = splitRow(delimiters).map(c => (c.endsWith(':') ? (c.startsWith(':') ? 'center' : 'right') : c.startsWith(':') ? 'left' : null));
+    // The header is the paragraph's last line, and it has to have as many cells
+    const lines = container.content.replace(/\n$/, '').split('\n');
+    const header = splitRow(lines.pop());
+    if (header.length !== align.length) return 0;
+    closeUnmatchedBlocks(p);
+    if (lines.length) {
+      container.content = lines.join('\n') + '\n';
+      finalize(p, container, p.lineNumber - 2);
+    } else {
+      p.tip = container.parent;
+      unlink(container);
     }
-    if (/^\s*\d+\.\s+/.test(line)) {
-      if (!inList || listType !== 'ol') { closeList(); out.push('<ol>'); inList = true; listType = 'ol'; }
-      out.push(`<li>${inline(line.replace(/^\s*\d+\.\s+/, ''))}</li>`);
-      continue;
+    const t = addChild(p, 'table', { align, startLine: p.lineNumber - 1 });
+    tableRow(t, header, true);
+    advanceOffset(p, p.line.length - p.offset, false);
+    return 2;
+  },
+  function footnoteDefinition(p) {
+    const m = !p.indented && p.line.slice(p.nextNonspace).match(RE_FOOTNOTE_DEFINITION);
+    if (!m) return 0;
+    closeUnmatchedBlocks(p);
+    const def = addChild(p, 'footnote_definition', { label: m[1] });
+    const key = normalizeLabel(`[${m[1]}]`);
+    if (!p.notes.has(key)) p.notes.set(key, def);
+    p.noteBlocks.push(def);
+    advanceNextNonspace(p);
+    advanceOffset(p, m[0].length, false);
+    return 1;
+  },
+  function thematicBreak(p) {
+    if (p.indented || !RE_THEMATIC_BREAK.test(p.line.slice(p.nextNonspace))) return 0;
+    closeUnmatchedBlocks(p);
+    addChild(p, 'thematic_break');
+    advanceOffset(p, p.line.length - p.offset, false);
+    return 2;
+  },
+  function listItem(p, container) {
+    if (p.indented && container.type !== 'list') return 0;
+    const data = parseListMarker(p, container);
+    if (!data) return 0;
+    closeUnmatchedBlocks(p);
+    if (p.tip.type !== 'list' || !sameList(p.tip, data)) {
+      addChild(p, 'list', { ordered: data.ordered, start: data.start, delimiter: data.delimiter, bullet: data.bullet, tight: true });
     }
+    addChild(p, 'item', data);
+    return 1;
+  },
+  function indentedCode(p) {
+    if (!p.indented || p.tip.type === 'paragraph' || p.tip.type === 'table' || p.blank) return 0;
+    advanceOffset(p, CODE_INDENT, true);
+    closeUnmatchedBlocks(p);
+    addChild(p, 'code_block', { fenced: false });
+    return 2;
+  },
+];
+
+/* Walking along a line. `offset` is an index into it and `column` the visual
+   column with tabs expanded to TAB_STOP; a tab can be half used up by a
+   container (`partiallyConsumedTab`), and the rest of it becomes spaces. */
+function advanceOffset(p, count, columns) {
+  let c;
+  while (count > 0 && (c = p.line[p.offset]) !== undefined) {
+    if (c === '\t') {
+      const toTab = TAB_STOP - (p.column % TAB_STOP);
+      if (columns) {
+        p.partiallyConsumedTab = toTab > count;
+        const advance = Math.min(toTab, count);
+        p.column += advance;
+        p.offset += p.partiallyConsumedTab ? 0 : 1;
+        count -= advance;
+      } else {
+        p.partiallyConsumedTab = false;
+        p.column += toTab;
+        p.offset += 1;
+        count -= 1;
+      }
+    } else {
+      p.partiallyConsumedTab = false;
+      p.offset += 1;
+      p.column += 1;
+      count -= 1;
+    }
+  }
+}
+
+function advanceNextNonspace(p) {
+  p.offset = p.nextNonspace;
+  p.column = p.nextNonspaceColumn;
+  p.partiallyConsumedTab = false;
+}
+
+function findNextNonspace(p) {
+  let i = p.offset, cols = p.column, c;
+  while ((c = p.line[i]) !== undefined) {
+    if (c === ' ') { i += 1; cols += 1; }
+    else if (c === '\t') { i += 1; cols += TAB_STOP - (cols % TAB_STOP); }
+    else break;
+  }
+  p.blank = c === undefined;
+  p.nextNonspace = i;
+  p.nextNonspaceColumn = cols;
+  p.indent = cols - p.column;
+  p.indented = p.indent >= CODE_INDENT;
+}
+
+function addLine(p) {
+  if (p.partiallyConsumedTab) {
+    p.offset += 1;
+    p.tip.content += ' '.repeat(TAB_STOP - (p.column % TAB_STOP));
+  }
+  p.tip.content += p.line.slice(p.offset) + '\n';
+}
+
+// Open a block under the tip, closing whatever cannot hold it.
+function addChild(p, type, props) {
+  while (!BLOCKS[p.tip.type].canContain(type)) finalize(p, p.tip, p.lineNumber - 1);
+  p.tip = append(p.tip, node(type, { open: true, content: '', startLine: p.lineNumber, ...props }));
+  return p.tip;
+}
+
+function finalize(p, block, lineNumber) {
+  const parent = block.parent;
+  block.open = false;
+  block.endLine = lineNumber;
+  if (BLOCKS[block.type].finalize) BLOCKS[block.type].finalize(p, block);
+  p.tip = parent;
+}
 
-    if (/^---+$/.test(line)) { closeList(); out.push('<hr/>'); continue; }
+function closeUnmatchedBlocks(p) {
+  if (p.allClosed) return;
+  while (p.oldtip !== p.lastMatchedContainer) {
+    const parent = p.oldtip.parent;
+    finalize(p, p.oldtip, p.lineNumber - 1);
+    p.oldtip = parent;
+  }
+  p.allClosed = true;
+}
+
+function incorporateLine(p, line) {
+  let container = p.doc;
+  p.oldtip = p.tip;
+  p.line = line;
+  p.lineNumber += 1;
+  p.offset = 0;
+  p.column = 0;
+  p.blank = false;
+  p.partiallyConsumedTab = false;
 
-    closeList();
-    out.push(`<p>${inline(line)}</p>`);
+  // Which of the open blocks does this line continue?
+  while (container.last && container.last.open) {
+    container = container.last;
+    findNextNonspace(p);
+    const res = BLOCKS[container.type].cont(p, container);
+    if (res === 2) return; // a closing code fence
+    if (res === 1) { container = container.parent; break; }
   }
-  closeList();
-  return out.join('\n');
+  p.allClosed = container === p.oldtip;
+  p.lastMatchedContainer = container;
+
+  // New blocks, unless we are inside one that takes the rest of the line as is
+  let matchedLeaf = container.type !== 'paragraph' && container.type !== 'table' && !!BLOCKS[container.type].acceptsLines;
+  while (!matchedLeaf) {
+    findNextNonspace(p);
+    if (!p.indented && !RE_MAYBE_SPECIAL.test(p.line.slice(p.nextNonspace))) { advanceNextNonspace(p); break; }
+    let res = 0;
+    for (const start of BLOCK_STARTS) if ((res = start(p, container))) break;
+    if (!res) { advanceNextNonspace(p); break; }
+    container = p.tip;
+    matchedLeaf = res === 2;
+  }
+
+  // What is left is text. A paragraph carries on lazily even if its containers did not match
+  if (!p.allClosed && !p.blank && p.tip.type === 'paragraph') { addLine(p); return; }
+  closeUnmatchedBlocks(p);
+  if (BLOCKS[container.type].acceptsLines) {
+    addLine(p);
+    const type = container.htmlType;
+    if (container.type === 'html_block' && type >= 1 && type <= 5 && HTML_BLOCK_CLOSE[type].test(p.line.slice(p.offset))) {
+      finalize(p, container, p.lineNumber);
+    }
+  } else if (p.offset < line.length && !p.blank) {
+    addChild(p, 'paragraph');
+    advanceNextNonspace(p);
+    addLine(p);
+  }
+}
+
+/* ---------- AST ---------- */
+
+const FIELDS = {
+  heading: ['level'],
+  list: ['ordered', 'start', 'delimiter', 'bullet', 'tight'],
+  item: ['checked'],
+  table: ['align'],
+  table_row: ['header'],
+  table_cell: ['align', 'header'],
+  footnote_reference: ['label', 'index', 'ref'],
+  footnote_definition: ['label', 'index', 'refs'],
+  code_block: ['info', 'literal', 'fenced'],
+  html_block: ['literal'],
+  text: ['literal'],
+  code: ['literal'],
+  html_inline: ['literal'],
+  link: ['destination', 'title'],
+  image: ['destination', 'title'],
 };
+const LEAVES = new Set(['thematic_break', 'code_block', 'html_block', 'text', 'softbreak', 'linebreak', 'code', 'html_inline', 'footnote_reference']);
+
+function plainNode(n) {
+  const out = { type: n.type };
+  (FIELDS[n.type] || []).forEach(k => { if (n[k] !== undefined) out[k] = n[k]; });
+  if (!LEAVES.has(n.type)) out.children = [];
+  return out;
+}
+
+// The parse tree as plain objects, with neighbouring text merged and empty text dropped.
+// Without recursion, here and in walk(): `**` and `>` nest as deep as the input likes.
+function toPlain(root) {
+  const out = plainNode(root);
+  const stack = [[root, out]];
+  while (stack.length) {
+    const [n, o] = stack.pop();
+    for (let c = n.first; c; c = c.next) {
+      const prev = o.children[o.children.length - 1];
+      if (c.type === 'text' && !c.literal) continue;
+      if (c.type === 'text' && prev && prev.type === 'text') { prev.literal += c.literal; continue; }
+      const child = plainNode(c);
+      o.children.push(child);
+      if (child.children) stack.push([c, child]);
+    }
+  }
+  return out;
+}
+
+// Depth first over a plain AST: fn(node, entering, parent), called again with
+// entering = false after the children of a node that has them.
+function walk(root, fn) {
+  const stack = [[root, true, null]];
+  while (stack.length) {
+    const [n, entering, parent] = stack.pop();
+    fn(n, entering, parent);
+    if (entering && n.children) {
+      stack.push([n, false, parent]);
+      for (let i = n.children.length - 1; i >= 0; i--) stack.push([n.children[i], true, n]);
+    }
+  }
+}
+
+function parseMarkdown(src) {
+  src = String(src || '');
+  const refs = Object.create(null);
+  const notes = new Map(); // footnote label -> its (first) definition
+  const doc = node('document', { open: true, startLine: 1 });
+  const p = {
+    doc, tip: doc, oldtip: doc, lastMatchedContainer: doc, allClosed: true,
+    inline: createInlineParser(refs, notes), notes, noteBlocks: [],
+    line: '', lineNumber: 0, offset: 0, column: 0, nextNonspace: 0, nextNonspaceColumn: 0,
+    indent: 0, indented: false, blank: false, partiallyConsumedTab: false,
+  };
+  const lines = src.replace(/\0/g, '\uFFFD').split(/\r\n|\n|\r/);
+  if (/[\n\r]$/.test(src)) lines.pop();
+  lines.forEach(line => incorporateLine(p, line));
+  while (p.tip) finalize(p, p.tip, lines.length);
 
-window.parseFrontmatter = function parseFrontmatter(src) {
-  const m = src.match(/^---\n([\s\S]*?)\n---\n?([\s\S]*)$/);
-  if (!m) return { meta: {}, body: src };
-  const meta = {};
-  m[1].split('\n').forEach(line => {
-    const kv = line.match(/^([a-zA-Z_]+):\s*(.*)$/);
-    if (kv) {
-      let v = kv[2].trim();
-      if (kv[1] === 'tags') v = v.split(',').map(s => s.trim()).filter(Boolean);
-      meta[kv[1]] = v;
+  // Inlines last, once every reference definition is known
+  const blocks = [doc];
+  while (blocks.length) {
+    const b = blocks.pop();
+    if (b.type === 'paragraph' && b.parent.type === 'item' && b.parent.first === b) {
+      const task = b.content.match(RE_TASK);
+      if (task) { b.parent.checked = task[1] !== ' '; b.content = b.content.slice(task[0].length); }
     }
+    if (b.type === 'paragraph' || b.type === 'heading' || b.type === 'table_cell') { p.inline.parse(b); gfmInlines(b); }
+    else for (let c = b.first; c; c = c.next) blocks.push(c);
+  }
+  collectFootnotes(p);
+  return anchorHeadings(toPlain(doc));
+}
+
+// The text of a node, without markup.
+function textOf(root) {
+  let text = '';
+  walk(root, (n, entering) => {
+    if (!entering) return;
+    if (n.type === 'text' || n.type === 'code' || n.type === 'code_block') text += n.literal;
+    else if (n.type === 'softbreak' || n.type === 'linebreak') text += ' ';
+  });
+  return text;
+}
+
+// GitHub's heading slugs: lower case, punctuation dropped, spaces to hyphens.
+// "What p99 hides" -> what-p99-hides; a repeated heading gets -1, -2, ...
+const slugify = (text) => text.trim().toLowerCase()
+  .replace(/[^\p{L}\p{M}\p{N}\s_-]/gu, '').replace(/\s/g, '-') || 'section';
+
+const HEADING_ID_PREFIX = 'user-content-';
+
+function anchorHeadings(doc) {
+  const seen = new Map();
+  walk(doc, (n, entering) => {
+    if (!entering || n.type !== 'heading') return;
+    const slug = slugify(textOf(n));
+    let unique = slug;
+    for (let k = seen.get(slug) || 0; seen.has(unique); k++) { unique = `${slug}-${k + 1}`; seen.set(slug, k + 1); }
+    seen.set(unique, seen.get(unique) || 0);
+    n.slug = unique;
+    n.id = HEADING_ID_PREFIX + unique;
   });
-  return { meta, body: m[2] };
+  return doc;
+}
+
+const WORDS_PER_MINUTE = 230;
+
+// The headings of a parsed document as a table of contents, with its length
+// and reading time: { toc: [{ level, text, slug, id }], words, minutes }.
+// Links to a heading in the HTML go to its `id`.
+function outlineMarkdown(doc) {
+  const toc = [];
+  walk(doc, (n, entering) => {
+    if (entering && n.type === 'heading') toc.push({ level: n.level, text: textOf(n).trim(), slug: n.slug, id: n.id });
+  });
+  const words = (textOf(doc).match(/[\p{L}\p{N}][\p{L}\p{N}'’_-]*/gu) || []).length;
+  return { toc, words, minutes: Math.max(1, Math.round(words / WORDS_PER_MINUTE)) };
+}
+
+// Number the footnotes in order of first reference, from the text and then
+// from the notes themselves, and move the ones in use to the end.
+function collectFootnotes(p) {
+  const used = [];
+  const number = (root) => {
+    const stack = [root];
+    while (stack.length) {
+      const n = stack.pop();
+      if (n.type === 'footnote_reference') {
+        const def = n.note;
+        if (!def.index) { def.index = used.push(def); def.refs = 0; }
+        n.index = def.index;
+        n.ref = def.refs += 1;
+      }
+      for (let c = n.last; c; c = c.prev) if (c.type !== 'footnote_definition') stack.push(c);
+    }
+  };
+  number(p.doc);
+  for (let i = 0; i < used.length; i++) for (let c = used[i].first; c; c = c.next) number(c);
+  p.noteBlocks.forEach(unlink);
+  if (!used.length) return;
+  const footnotes = append(p.doc, node('footnotes'));
+  used.forEach(def => append(footnotes, def));
+}
+
+/* ---------- sanitizing ---------- */
+
+// Raw HTML that may stay, by default: tag -> the attributes it keeps. Any other
+// tag is escaped, so it shows as text; comments and declarations are dropped.
+const SAFE_HTML = {
+  a: ['href'], abbr: [], b: [], blockquote: ['cite'], br: [], cite: [], code: [], dd: [], del: [],
+  details: ['open'], div: [], dl: [], dt: [], em: [], figcaption: [], figure: [], hr: [], i: [],
+  img: ['src', 'alt', 'width', 'height'], ins: [], kbd: [], li: [], mark: [], ol: ['start'], p: [],
+  pre: [], q: ['cite'], s: [], samp: [], small: [], span: [], strong: [], sub: [], summary: [], sup: [],
+  table: [], tbody: [], td: ['align', 'colspan', 'rowspan'], th: ['align', 'colspan', 'rowspan'],
+  thead: [], tr: [], u: [], ul: [], var: [],
 };
+const ANY_TAG_ATTRIBUTES = ['title', 'lang', 'dir'];
+const URL_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+const URL_ATTRIBUTES = new Set(['href', 'src', 'cite']);
+
+const RE_RAW_HTML = /<!--[\s\S]*?-->|<![\s\S]*?>|<\?[\s\S]*?\?>|<(\/?)([A-Za-z][A-Za-z0-9-]*)((?:\s+[A-Za-z_:][\w.:-]*(?:\s*=\s*(?:[^\s"'=<>`]+|'[^']*'|"[^"]*"))?)*)\s*(\/?)>|[<>]/g;
+const RE_ATTRIBUTE = /([A-Za-z_:][\w.:-]*)(?:\s*=\s*(?:([^\s"'=<>`]+)|'([^']*)'|"([^"]*)"))?/g;
+
+// The URL if it may be used, else null: relative, or with an allowed scheme.
+// Browsers skip control characters and whitespace inside a scheme, so this
+// does too before reading it (`java\tscript:` is still javascript:).
+function allowedUrl(url, schemes = URL_SCHEMES, image = false) {
+  const scheme = url.replace(/[\u0000-\u0020\u007F-\u009F]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+  if (!scheme) return url;
+  const name = scheme[1].toLowerCase();
+  if (schemes.includes(name)) return url;
+  return image && name === 'data' && /^data:image\/(?:png|gif|jpe?g|webp|avif);/i.test(url) ? url : null;
+}
+
+const isExternal = (url) => /^(?:https?:)?\/\//i.test(url);
+
+// Raw HTML cut down to an allow-list, { tag: [attributes] }. Attribute values
+// are decoded, checked and escaped again, so an entity can't smuggle in a
+// scheme; an <a> off the site gets rel="noopener noreferrer".
+function sanitizeHtml(html, { allow = SAFE_HTML, schemes = URL_SCHEMES } = {}) {
+  return String(html).replace(RE_RAW_HTML, (m, close, rawName, attrs, selfClose) => {
+    if (m === '<' || m === '>') return escapeHtml(m);
+    if (!rawName) return ''; // comment, declaration, processing instruction
+    const name = rawName.toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(allow, name)) return escapeHtml(m);
+    if (close) return `</${name}>`;
+    const keep = new Set([...allow[name], ...ANY_TAG_ATTRIBUTES]);
+    const out = new Map();
+    for (const [, rawKey, bare, single, double] of attrs.matchAll(RE_ATTRIBUTE)) {
+      const key = rawKey.toLowerCase();
+      if (!keep.has(key) || out.has(key)) continue;
+      let value = decodeEntities(bare ?? single ?? double ?? '');
+      if (URL_ATTRIBUTES.has(key)) value = allowedUrl(value.trim(), schemes, name === 'img');
+      if (value !== null) out.set(key, value);
+    }
+    if (name === 'a' && isExternal(out.get('href') || '')) out.set('rel', 'noopener noreferrer');
+    return `<${name}${[...out].map(([k, v]) => ` ${k}="${escapeHtml(v)}"`).join('')}${selfClose ? ' /' : ''}>`;
+  });
+}
+
+/* ---------- HTML ---------- */
+
+/* Options, all optional:
+     allow     the raw HTML allow-list for sanitizeHtml (SAFE_HTML); {} escapes all of it
+     schemes   URL schemes links and images may use (URL_SCHEMES); others lose their href/src
+     external  a marker put after the text of links off the site, e.g. '↗'
+     unsafe    true for trusted input: raw HTML and every URL as written, exactly CommonMark
+   Links off the site open in a new tab with rel="noopener noreferrer". */
+function renderHtml(ast, { allow = SAFE_HTML, schemes = URL_SCHEMES, external = '', unsafe = false } = {}) {
+  const raw = (html) => (unsafe ? html : sanitizeHtml(html, { allow, schemes }));
+  const url = (dest, image) => (unsafe ? dest : allowedUrl(dest, schemes, image));
+  const offSite = (dest) => !unsafe && isExternal(dest);
+  let html = '', lastOut = '\n';
+  let inAlt = 0; // inside an image, only the text goes into alt=""
+  const tightItems = new Set(); // a paragraph directly in an item of a tight list goes without <p>
+  const lit = (s) => { html += s; lastOut = s; };
+  const cr = () => { if (lastOut !== '\n') lit('\n'); };
+  const tag = (name, attrs = [], selfClosing = false) => {
+    if (!inAlt) lit(`<${name}${attrs.map(([k, v]) => ` ${k}="${v}"`).join('')}${selfClosing ? ' /' : ''}>`);
+  };
+
+  // The ↩ links from a footnote back to each place it is referenced
+  const backrefs = (def) => Array.from({ length: def.refs }, (_, i) => {
+    const id = `fnref-${def.index}${i ? `-${i + 1}` : ''}`;
+    return `<a href="#${id}" class="footnote-backref" data-footnote-backref aria-label="Back to reference ${def.index}${i ? `-${i + 1}` : ''}">↩</a>`;
+  }).join(' ');
+  const isLast = (n, parent) => parent.children[parent.children.length - 1] === n;
+
+  walk(ast, (n, entering, parent) => {
+    switch (n.type) {
+      case 'text': lit(escapeHtml(n.literal)); break;
+      case 'softbreak': lit('\n'); break;
+      case 'linebreak': tag('br', [], true); cr(); break;
+      case 'emph': tag(entering ? 'em' : '/em'); break;
+      case 'strong': tag(entering ? 'strong' : '/strong'); break;
+      case 'strikethrough': tag(entering ? 'del' : '/del'); break;
+      case 'code': tag('code'); lit(escapeHtml(n.literal)); tag('/code'); break;
+      case 'html_inline': lit(raw(n.literal)); break;
+      case 'footnote_reference':
+        if (inAlt) lit(`[${n.index}]`);
+        else lit(`<sup class="footnote-ref"><a href="#fn-${n.index}" id="fnref-${n.index}${n.ref > 1 ? `-${n.ref}` : ''}" data-footnote-ref>${n.index}</a></sup>`);
+        break;
+      case 'link': {
+        const href = url(n.destination);
+        if (entering) {
+          tag('a', [
+            ...(href !== null ? [['href', escapeHtml(href)]] : []),
+            ...(n.title ? [['title', escapeHtml(n.title)]] : []),
+            ...(href && offSite(href) ? [['target', '_blank'], ['rel', 'noopener noreferrer']] : []),
+          ]);
+        } else {
+          if (external && href && offSite(href) && !inAlt) lit(`<span class="md-external" aria-hidden="true">${escapeHtml(external)}</span>`);
+          tag('/a');
+        }
+        break;
+      }
+      case 'image':
+        if (entering) {
+          const src = url(n.destination, true);
+          if (!inAlt) lit(`<img${src !== null ? ` src="${escapeHtml(src)}"` : ''} alt="`);
+          inAlt += 1;
+        } else {
+          inAlt -= 1;
+          if (!inAlt) lit(`${n.title ? `" title="${escapeHtml(n.title)}` : ''}" />`);
+        }
+        break;
+      case 'paragraph': {
+        const task = entering && parent.type === 'item' && parent.checked !== undefined && parent.children[0] === n;
+        const backref = !entering && parent.type === 'footnote_definition' && isLast(n, parent);
+        if (!tightItems.has(parent)) {
+          if (entering) { cr(); tag('p'); } else { if (backref) lit(' ' + backrefs(parent)); tag('/p'); cr(); }
+        } else if (backref) lit(' ' + backrefs(parent));
+        if (task) lit(`<input type="checkbox" disabled=""${parent.checked ? ' checked=""' : ''} /> `);
+        break;
+      }
+      case 'heading':
+        if (entering) { cr(); tag(`h${n.level}`, n.id ? [['id', escapeHtml(n.id)]] : []); } else { tag(`/h${n.level}`); cr(); }
+        break;
+      case 'thematic_break': cr(); tag('hr', [], true); cr(); break;
+      case 'blockquote':
+        if (entering) { cr(); tag('blockquote'); cr(); } else { cr(); tag('/blockquote'); cr(); }
+        break;
+      case 'list': {
+        const name = n.ordered ? 'ol' : 'ul';
+        if (entering) {
+          if (n.tight) n.children.forEach(item => tightItems.add(item));
+          cr(); tag(name, n.ordered && n.start !== 1 ? [['start', n.start]] : []); cr();
+        } else { cr(); tag(`/${name}`); cr(); }
+        break;
+      }
+      case 'item':
+        if (entering) tag('li'); else { tag('/li'); cr(); }
+        break;
+      case 'code_block': {
+        const lang = (n.info || '').split(/\s+/)[0];
+        // A known language, marked lines or line numbers get highlighted;
+        // anything else stays plain CommonMark.
+        const fence = highlight.fence(n.info);
+        cr();
+        if (highlight.language(fence.lang) || fence.marks.size || fence.numbers) {
+          tag('pre', [['class', fence.numbers ? 'hl hl-numbered' : 'hl']]);
+          const name = escapeHtml(fence.lang);
+          tag('code', fence.lang ? [['class', `language-${name}`], ['data-lang', highlight.language(fence.lang) || name]] : []);
+          lit(highlight.html(n.literal, fence));
+        } else {
+          tag('pre'); tag('code', lang ? [['class', `language-${escapeHtml(lang)}`]] : []);
+          lit(escapeHtml(n.literal));
+        }
+        tag('/code'); tag('/pre'); cr();
+        break;
+      }
+      case 'html_block': cr(); lit(raw(n.literal)); cr(); break;
+      case 'table':
+        if (entering) { cr(); tag('table'); cr(); }
+        else { if (n.children.length > 1) { tag('/tbody'); cr(); } tag('/table'); cr(); }
+        break;
+      case 'table_row':
+        if (entering) {
+          if (n.header) { tag('thead'); cr(); }
+          else if (parent.children[1] === n) { tag('tbody'); cr(); }
+          tag('tr'); cr();
+        } else {
+          tag('/tr'); cr();
+          if (n.header) { tag('/thead'); cr(); }
+        }
+        break;
+      case 'table_cell': {
+        const name = n.header ? 'th' : 'td';
+        if (entering) tag(name, n.align ? [['align', n.align]] : []);
+        else { tag(`/${name}`); cr(); }
+        break;
+      }
+      case 'footnotes':
+        if (entering) { cr(); lit('<section class="footnotes" data-footnotes>'); cr(); tag('ol'); cr(); }
+        else { cr(); tag('/ol'); cr(); lit('</section>'); cr(); }
+        break;
+      case 'footnote_definition':
+        if (entering) { cr(); tag('li', [['id', `fn-${n.index}`]]); cr(); }
+        else {
+          if (!n.children.length || n.children[n.children.length - 1].type !== 'paragraph') lit(backrefs(n));
+          cr(); tag('/li'); cr();
+        }
+        break;
+      default: // document
+    }
+  });
+  return html;
+}
+
+function mdToHtml(src, options) {
+  return src ? renderHtml(parseMarkdown(src), options) : '';
+}
+
+export { parseMarkdown, walk as walkMarkdown, outlineMarkdown, renderHtml, sanitizeHtml, allowedUrl, mdToHtml, HEADING_ID_PREFIX };
@@ -0,0 +1,36 @@
+/* Registers the service worker that scripts/build.js writes to dist/sw.js
+   (source in /sw.js) and reports when a new deploy is waiting:
+
+     registerServiceWorker(apply => offerReload(apply))
+
+   The callback gets `apply`, which tells the waiting worker to take over and
+   reloads the page once it has. Nothing happens where service workers are
+   unavailable, or on the very first install, which is not an update. */
+export function registerServiceWorker(onUpdate) {
+  if (!('serviceWorker' in navigator)) return;
+  const sw = navigator.serviceWorker;
+  let applying = false;
+  const waiting = (worker) => onUpdate(() => {
+    applying = true;
+    worker.postMessage({ type: 'skip-waiting' });
+  });
+  sw.addEventListener('controllerchange', () => { if (applying) window.location.reload(); });
+  sw.register('sw.js').then(reg => {
+    if (reg.waiting && sw.controller) waiting(reg.waiting);
+    reg.addEventListener('updatefound', () => {
+      const worker = reg.installing;
+      worker.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && sw.controller) waiting(worker);
+      });
+    });
+  }).catch(() => {});
+}
+
+/* Whether the network answers, for the terminal's offline notice. A HEAD
+   request for the page goes past the service worker, which only answers GETs.
+   navigator.onLine stays true on a dead or captive connection, so it only
+   settles the question when it says false. */
+export function reachable() {
+  if (!navigator.onLine) return Promise.resolve(false);
+  return fetch('./', { method: 'HEAD', cache: 'no-store' }).then(r => r.ok, () => false);
+}
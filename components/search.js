@@ -0,0 +1,178 @@
+/* Full-text search across the site. One shared index, siteSearch, that
+   each section adds its documents to; the terminal (grep, posts) and the
+   Signals search box both query it.
+
+     siteSearch.add({ id: '/posts/li-001.txt', kind: 'posts', title, tags: [], body })
+     siteSearch.search('p99 "tail latency"', { kind: 'posts', prefix: true, limit: 20 })
+       -> [{ id, doc, score, snippet: [{ text, hit? }] }], best first
+
+   Text is NFKC-normalised (the LinkedIn posts are full of 𝗺𝗮𝘁𝗵 letters),
+   lower-cased, split into words and stemmed. Ranking is BM25 over the title,
+   tags and body, with title matches worth more than tags, and tags more than
+   body. Every query word must match; "quoted words" must appear in that order.
+   With `prefix`, the last word also matches longer words (search as you type). */
+const BOOST = { title: 3, tags: 2, body: 1 };
+const FIELDS = Object.keys(BOOST);
+const K1 = 1.2, B = 0.75;
+const STOP = new Set('a an and are as at be but by for from has have i in is it its of on or so that the this to was we with you'.split(' '));
+const WORD = /[\p{L}\p{N}]+/gu;
+
+// A light Porter-style stemmer: enough that latency/latencies or migrate/migrating/migrations meet.
+function stem(w) {
+  if (w.length < 4 || /\d/.test(w)) return w;
+  w = w.replace(/sses$/, 'ss').replace(/ies$/, 'i').replace(/([^su])s$/, '$1');
+  const bare = w.replace(/(ed|ing)$/, '');
+  if (bare !== w && /[aeiouy]/.test(bare) && bare.length > 2) {
+    w = bare;
+    if (/(at|bl|iz)$/.test(w)) w += 'e';
+    else if (/([^aeioulsz])\1$/.test(w)) w = w.slice(0, -1);
+  }
+  w = w.replace(/([^aeiou])y$/, '$1i');
+  return w
+    .replace(/ational$/, 'ate').replace(/tional$/, 'tion').replace(/ization$/, 'ize').replace(/ation$/, 'ate')
+    .replace(/(iveness|fulness|ousness)$/, m => m.slice(0, -4)).replace(/(alli|entli|eli|ousli)$/, m => m.slice(0, -2))
+    .replace(/(.{3,})(ness|ment|ful)$/, '$1');
+}
+
+// Words with their character offsets, for snippets.
+function words(text) {
+  const out = [];
+  const src = String(text || '').normalize('NFKC');
+  for (const m of src.matchAll(WORD)) out.push({ term: stem(m[0].toLowerCase()), at: m.index, len: m[0].length });
+  return { src, words: out };
+}
+const terms = (text) => words(text).words.map(w => w.term);
+
+// 'kafka "consumer lag"' -> [{ terms: ['kafka'] }, { terms: ['consum', 'lag'], phrase: true }]
+function parseQuery(q) {
+  const parts = [];
+  String(q).replace(/"([^"]*)"?|(\S+)/g, (m, phrase, word) => {
+    const t = terms(phrase !== undefined ? phrase : word);
+    if (t.length) parts.push({ terms: t, phrase: t.length > 1 }); // p99-lies is a phrase too
+    return m;
+  });
+  // Stop words only count inside a phrase, or when they are all there is
+  const meaningful = parts.filter(p => p.phrase || !STOP.has(p.terms[0]));
+  return meaningful.length ? meaningful : parts;
+}
+
+function createSearchIndex() {
+  const docs = new Map(); // id -> { doc, fields: { title: [terms], ... } }
+  const postings = new Map(); // term -> Map(id -> { title: [positions], ... })
+  const totalLen = { title: 0, tags: 0, body: 0 };
+
+  function remove(id) {
+    const entry = docs.get(id);
+    if (!entry) return false;
+    FIELDS.forEach(f => {
+      totalLen[f] -= entry.fields[f].length;
+      entry.fields[f].forEach(t => {
+        const p = postings.get(t);
+        if (p) { p.delete(id); if (!p.size) postings.delete(t); }
+      });
+    });
+    return docs.delete(id);
+  }
+
+  function add(doc) {
+    remove(doc.id);
+    const fields = {
+      title: terms(doc.title),
+      tags: terms((doc.tags || []).join(' ')),
+      body: terms(doc.body),
+    };
+    docs.set(doc.id, { doc, fields });
+    FIELDS.forEach(f => {
+      totalLen[f] += fields[f].length;
+      fields[f].forEach((t, pos) => {
+        if (!postings.has(t)) postings.set(t, new Map());
+        const p = postings.get(t);
+        if (!p.has(doc.id)) p.set(doc.id, { title: [], tags: [], body: [] });
+        p.get(doc.id)[f].push(pos);
+      });
+    });
+  }
+
+  // Terms a query word stands for: itself, or with `prefix` every indexed term it starts.
+  const expand = (term, prefix) => (prefix ? [...postings.keys()].filter(t => t.startsWith(term)) : [term]);
+
+  const hasPhrase = (id, ts) => FIELDS.some(f => {
+    const first = postings.get(ts[0])?.get(id)?.[f] || [];
+    return first.some(pos => ts.every((t, k) => postings.get(t)?.get(id)?.[f].includes(pos + k)));
+  });
+
+  function score(id, qterms) {
+    const n = docs.size;
+    const { fields } = docs.get(id);
+    return qterms.reduce((sum, t) => {
+      const p = postings.get(t);
+      const hit = p && p.get(id);
+      if (!hit) return sum;
+      const idf = Math.log(1 + (n - p.size + 0.5) / (p.size + 0.5));
+      const tf = FIELDS.reduce((acc, f) => {
+        const avg = totalLen[f] / n || 1;
+        return acc + BOOST[f] * hit[f].length / (1 - B + B * fields[f].length / avg);
+      }, 0);
+      return sum + idf * tf * (K1 + 1) / (tf + K1);
+    }, 0);
+  }
+
+  // The stretch of body around the first match, split into plain and hit runs.
+  function snippet(doc, stems, width = 160) {
+    const { src, words: ws } = words(doc.body);
+    const first = ws.find(w => stems.has(w.term));
+    if (!first) return [];
+    let from = Math.max(0, first.at - Math.floor(width / 3));
+    let to = Math.min(src.length, from + width);
+    // Cut at spaces, not mid-word
+    if (from > 0) from = src.indexOf(' ', from) + 1 || from;
+    if (to < src.length && src.lastIndexOf(' ', to) > first.at) to = src.lastIndexOf(' ', to);
+    const out = [];
+    let last = from;
+    ws.filter(w => w.at >= from && w.at + w.len <= to && stems.has(w.term)).forEach(w => {
+      if (w.at > last) out.push({ text: src.slice(last, w.at) });
+      out.push({ text: src.slice(w.at, w.at + w.len), hit: true });
+      last = w.at + w.len;
+    });
+    if (last < to) out.push({ text: src.slice(last, to) });
+    out.forEach(s => { s.text = s.text.replace(/\s+/g, ' '); });
+    if (from > 0) out.unshift({ text: '…' });
+    if (to < src.length) out.push({ text: '…' });
+    return out;
+  }
+
+  function search(q, { kind, within, prefix = false, limit = 50 } = {}) {
+    const parts = parseQuery(q);
+    if (!parts.length) return [];
+    const lastWord = parts.length - 1;
+    let ids = null;
+    const matched = new Set();
+    parts.forEach((part, i) => {
+      const alts = part.phrase ? [part.terms] : expand(part.terms[0], prefix && i === lastWord && !/["\s]$/.test(q)).map(t => [t]);
+      const found = new Set();
+      alts.forEach(ts => {
+        const p = postings.get(ts[0]);
+        if (!p) return;
+        p.forEach((_, id) => {
+          if (ts.length > 1 && !hasPhrase(id, ts)) return;
+          found.add(id);
+          ts.forEach(t => matched.add(t));
+        });
+      });
+      ids = ids ? new Set([...ids].filter(id => found.has(id))) : found;
+    });
+    const qterms = [...matched];
+    return [...ids]
+      .map(id => docs.get(id).doc)
+      .filter(doc => (!kind || doc.kind === kind) && (!within || doc.id.startsWith(within)))
+      .map(doc => ({ id: doc.id, doc, score: score(doc.id, qterms) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(r => ({ ...r, snippet: snippet(r.doc, new Set(qterms)) }));
+  }
+
+  return { add, remove, search, get size() { return docs.size; } };
+}
+
+export { createSearchIndex };
+export const siteSearch = createSearchIndex();
@@ -0,0 +1,102 @@
+/* gsh command-line parser. Supports: 'single' and "double" quotes, backslash escapes,
+   pipes (|), redirection (> and >>), and chaining with ; && ||.
+
+   parseCommandLine('cat 2 | head 20 > top.txt && echo done') returns
+   [
+     { op: null, pipeline: [{ argv: ['cat', '2'] }, { argv: ['head', '20'], redirect: { mode: '>', target: 'top.txt' } }] },
+     { op: '&&', pipeline: [{ argv: ['echo', 'done'] }] },
+   ]
+   Malformed input throws a SyntaxError whose message reads like bash's. */
+const OPERATORS = ['&&', '||', '>>', '|', ';', '>'];
+
+function tokenize(src) {
+  const tokens = [];
+  let word = null; // null between words, so that "" still yields an (empty) argument
+  const flush = () => { if (word !== null) { tokens.push({ t: 'word', v: word }); word = null; } };
+
+  let i = 0;
+  while (i < src.length) {
+    const c = src[i];
+    if (/\s/.test(c)) { flush(); i++; continue; }
+
+    if (c === "'") {
+      const end = src.indexOf("'", i + 1);
+      if (end < 0) throw new SyntaxError("unexpected EOF while looking for matching `''");
+      word = (word || '') + src.slice(i + 1, end);
+      i = end + 1;
+      continue;
+    }
+
+    if (c === '"') {
+      let j = i + 1, buf = '';
+      while (j < src.length && src[j] !== '"') {
+        if (src[j] === '\\' && /["\\$`]/.test(src[j + 1] || '')) { buf += src[j + 1]; j += 2; }
+        else buf += src[j++];
+      }
+      if (j >= src.length) throw new SyntaxError('unexpected EOF while looking for matching `"\'');
+      word = (word || '') + buf;
+      i = j + 1;
+      continue;
+    }
+
+    if (c === '\\') {
+      word = (word || '') + (src[i + 1] || '');
+      i += 2;
+      continue;
+    }
+
+    const op = OPERATORS.find(o => src.startsWith(o, i));
+    if (op) { flush(); tokens.push({ t: 'op', v: op }); i += op.length; continue; }
+
+    word = (word || '') + c;
+    i++;
+  }
+  flush();
+  return tokens;
+}
+
+function parseCommandLine(src) {
+  const tokens = tokenize(src);
+  const unexpected = (tok) => new SyntaxError(`syntax error near unexpected token \`${tok}'`);
+  const list = [];
+  let op = null, pipeline = [], cmd = { argv: [] };
+
+  const endCmd = (at) => {
+    if (!cmd.argv.length) throw unexpected(at);
+    pipeline.push(cmd);
+    cmd = { argv: [] };
+  };
+
+  for (let k = 0; k < tokens.length; k++) {
+    const tok = tokens[k];
+    if (tok.t === 'word') { cmd.argv.push(tok.v); continue; }
+    if (tok.v === '>' || tok.v === '>>') {
+      const target = tokens[++k];
+      if (!target || target.t !== 'word') throw unexpected(target ? target.v : 'newline');
+      cmd.redirect = { mode: tok.v, target: target.v };
+      continue;
+    }
+    endCmd(tok.v);
+    if (tok.v === '|') continue;
+    list.push({ op, pipeline });
+    op = tok.v;
+    pipeline = [];
+  }
+
+  if (cmd.argv.length || cmd.redirect) endCmd('newline');
+  else if (pipeline.length || (op && op !== ';')) throw unexpected('newline');
+  if (pipeline.length) list.push({ op, pipeline });
+  return list;
+}
+
+// For Tab completion: the words of the command being typed (after the last
+// | ; && ||) and the partial word under the cursor, which starts at `start`.
+// Deliberately quote-unaware; it only has to be good enough for a prefix.
+function completionContext(src) {
+  const seg = src.split(/\|\||&&|[|;]/).pop().replace(/^\s+/, '');
+  const words = seg.split(/\s+/);
+  const word = words.pop();
+  return { argv: words, word, start: src.length - word.length };
+}
+
+export { parseCommandLine, completionContext };
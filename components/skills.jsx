@@ -1,3 +1,12 @@
+import { useState, useEffect, useMemo, useId } from 'react';
+import { sanitizeHtml } from './md.js';
+import { TITLE_HTML } from './markup.js';
+import { loadJson, loadNotes } from './content.js';
+import { createEvidence, summarize } from './evidence.js';
+import { CASES } from '../data/cases.js';
+import { Eyebrow, SectionHead } from './top.jsx';
+import { WORK } from './work.jsx';
+
 const SKILLS = [
   {
     cat: 'Languages', sig: 'S/01',
@@ -97,38 +106,62 @@ const SKILLS = [
   },
 ];
 
-// Bucket LinkedIn skills into sensible groups
-const LI_BUCKETS = [
-  { k: 'Leadership & Craft', match: /leadership|management|mentor|collaborat|enable|facilita|stakehold|strateg|vision|review|retrospect|communic|writ|team|recruit|soft skills|project|product road|kpi|performance|direct|enable|knowledge shar/i },
-  { k: 'Languages', match: /^(java|kotlin|javascript|typescript|c\+\+|^c$|python|go|scala|sql|programming|coding standards)$|jvm|algorithms|data structures|research/i },
-  { k: 'Frameworks & Libraries', match: /spring|hibernate|nestjs|vue|jooq|maven|tomcat/i },
-  { k: 'Cloud & Infra', match: /aws|azure|gcp|kubernetes|docker|dns|firewall|endpoint|aks|gitops|linux|cloud/i },
-  { k: 'Databases & Data', match: /sql|mysql|oracle|rds|mongo|hibernate|distributed database|database/i },
-  { k: 'Architecture & Systems', match: /microservice|architect|system|distrib|design|solution|model|integration|restful|representational|rest api|iot|sitewhere/i },
-  { k: 'Process & Delivery', match: /agile|continuous|ci\/cd|tdd|test driven|debug|incident|reliab|monitor|scrum|kanban|xp/i },
-  { k: 'Other', match: /.*/ },
-];
-
-function bucketSkill(s) {
-  for (const b of LI_BUCKETS) if (b.match.test(s)) return b.k;
-  return 'Other';
+// One skill in a list; its button opens what on the site backs it up
+function SkillItem({ name, lvl, open, onToggle, evidence }) {
+  const id = useId();
+  const ev = open && evidence.find(name);
+  return (
+    <li className={open ? 'on' : ''}>
+      <button type="button" className="sk-toggle" aria-expanded={open} aria-controls={id} onClick={onToggle}>
+        <span>{name}</span>
+        <span className="lvl">{lvl}</span>
+      </button>
+      {ev && (
+        <div id={id} className="sk-ev">
+          <div>{summarize(ev)}</div>
+          {ev.cases.map(c => (
+            <a key={c.id} href={`#${c.id}`}>{c.num} · <span dangerouslySetInnerHTML={{ __html: sanitizeHtml(c.title, TITLE_HTML) }} /></a>
+          ))}
+          {ev.total > 0 && <a href={`#journal?cmd=${encodeURIComponent(`skill "${name}"`)}`}>every mention, in the terminal →</a>}
+        </div>
+      )}
+    </li>
+  );
 }
 
 function Skills() {
   const [liSkills, setLiSkills] = useState([]);
   const [liCerts, setLiCerts] = useState([]);
   const [skillView, setSkillView] = useState('curated'); // curated | linkedin
+  const [openSkill, setOpenSkill] = useState(null);
+  const [posts, setPosts] = useState([]);
+  const [journal, setJournal] = useState([]);
 
   useEffect(() => {
-    fetch('data/linkedin-skills.json').then(r => r.json()).then(setLiSkills).catch(() => {});
-    fetch('data/linkedin-certs.json').then(r => r.json()).then(setLiCerts).catch(() => {});
+    loadJson('data/linkedin-skills.json').then(setLiSkills).catch(() => {});
+    loadJson('data/linkedin-certs.json').then(setLiCerts).catch(() => {});
   }, []);
 
+  // Posts and notes only matter once a skill is opened; components/content.js
+  // shares them with Signals and the terminal
+  const evidenceWanted = openSkill !== null;
+  useEffect(() => {
+    if (!evidenceWanted) return;
+    loadJson('posts/posts.json').then(setPosts).catch(() => {});
+    loadNotes().then(setJournal);
+  }, [evidenceWanted]);
+
+  const evidence = useMemo(() => createEvidence({ cases: CASES, work: WORK, journal, posts }), [journal, posts]);
+  const skillItem = (name, lvl) => (
+    <SkillItem key={name} name={name} lvl={lvl} evidence={evidence}
+      open={openSkill === name} onToggle={() => setOpenSkill(o => (o === name ? null : name))} />
+  );
+
+  // Buckets come precomputed, in page order, from scripts/linkedin-skills.js
   const liBuckets = useMemo(() => {
-    const m = {};
-    LI_BUCKETS.forEach(b => m[b.k] = []);
-    liSkills.forEach(s => { m[bucketSkill(s)].push(s); });
-    return LI_BUCKETS.map(b => ({ k: b.k, items: m[b.k] })).filter(b => b.items.length);
+    const m = new Map();
+    liSkills.forEach(s => { if (!m.has(s.bucket)) m.set(s.bucket, []); m.get(s.bucket).push(s.name); });
+    return [...m].map(([k, items]) => ({ k, items }));
   }, [liSkills]);
 
   // Group certs by authority
@@ -172,12 +205,7 @@ function Skills() {
                 <div className="k">{s.sig}</div>
                 <h4>{s.cat}</h4>
                 <ul>
-                  {s.items.map(([name, lvl]) => (
-                    <li key={name}>
-                      <span>{name}</span>
-                      <span className="lvl">{lvl}</span>
-                    </li>
-                  ))}
+                  {s.items.map(([name, lvl]) => skillItem(name, lvl))}
                 </ul>
               </div>
             ))}
@@ -189,9 +217,7 @@ function Skills() {
                 <div className="k">L/{String(i+1).padStart(2,'0')}</div>
                 <h4>{b.k} <span style={{color:'var(--ink-mute)', fontSize:13, fontFamily:'var(--mono)'}}>· {b.items.length}</span></h4>
                 <ul>
-                  {b.items.map(s => (
-                    <li key={s}><span>{s}</span><span className="lvl">endorsed</span></li>
-                  ))}
+                  {b.items.map(s => skillItem(s, 'endorsed'))}
                 </ul>
               </div>
             ))}
@@ -347,4 +373,4 @@ function Contact() {
   );
 }
 
-Object.assign(window, { Skills, Contact });
+export { SKILLS, Skills, Contact };
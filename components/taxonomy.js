@@ -0,0 +1,55 @@
+/* The skill taxonomy (data/skill-taxonomy.js) as functions. One name per
+   skill, whichever of its aliases an endorsement used, and one category:
+
+     const tx = createTaxonomy(SKILL_TAXONOMY);
+     tx.canonical('java development')       -> 'Java'
+     tx.categorize('Spring Boot')           -> { category: 'Frameworks & Libraries', by: 'rule', also: [] }
+     tx.group(['Java', 'Java Development']) -> [{ name: 'Java', category, by, also, aliases: ['Java Development'] }]
+
+   A category comes from the explicit `skills` map if the skill is in it,
+   else from the first rule that matches (`also` lists the categories of any
+   later rules that match too, so a tie is never settled silently), else it is
+   the last category. Names compare without case, spacing or punctuation. */
+const key = (name) => String(name).normalize('NFKC').toLowerCase().replace(/[^\p{L}\p{N}+#]+/gu, ' ').trim();
+
+function createTaxonomy({ categories, aliases = {}, skills = {}, rules = [] }) {
+  const known = new Set(categories);
+  const check = (category, where) => {
+    if (!known.has(category)) throw new TypeError(`skill taxonomy: ${where} names "${category}", which is not a category`);
+  };
+  Object.entries(skills).forEach(([name, category]) => check(category, `skills["${name}"]`));
+  rules.forEach(([category], i) => check(category, `rules[${i}]`));
+  const fallback = categories[categories.length - 1];
+
+  const canonicalOf = new Map();
+  Object.entries(aliases).forEach(([name, others]) => {
+    [name, ...others].forEach(n => canonicalOf.set(key(n), name));
+  });
+  const explicit = new Map(Object.entries(skills).map(([name, category]) => [key(name), category]));
+
+  const canonical = (name) => canonicalOf.get(key(name)) || String(name).trim();
+
+  function categorize(skill) {
+    const name = canonical(skill);
+    if (explicit.has(key(name))) return { category: explicit.get(key(name)), by: 'skills', also: [] };
+    const hits = [...new Set(rules.filter(([, match]) => match.test(name)).map(([category]) => category))];
+    if (!hits.length) return { category: fallback, by: 'fallback', also: [] };
+    return { category: hits[0], by: 'rule', also: hits.slice(1) };
+  }
+
+  // Endorsements merged by canonical name, in category order, first-seen order within one
+  function group(names) {
+    const merged = new Map();
+    names.forEach(n => {
+      const name = canonical(n);
+      if (!merged.has(key(name))) merged.set(key(name), { name, ...categorize(name), aliases: [] });
+      const entry = merged.get(key(name));
+      if (key(n) !== key(name) && !entry.aliases.includes(n)) entry.aliases.push(n);
+    });
+    return [...merged.values()].sort((a, b) => categories.indexOf(a.category) - categories.indexOf(b.category));
+  }
+
+  return { categories, canonical, categorize, group };
+}
+
+export { createTaxonomy };
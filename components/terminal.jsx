@@ -1,43 +1,263 @@
 /* Terminal Journal Reader */
 /* Section §05 shows a terminal preview. Clicking "open full screen" or
    typing `open` expands to a fullscreen CRT terminal with real commands:
-   ls, cat <file>, help, clear, vim <file>, whoami, exit */
+   ls, cd, cat <file>, help, clear, vim <file>, whoami, exit.
+   The shell browses a virtual filesystem (components/vfs.js) that mounts
+   every section of the site: /journal /posts /cases /work /skills.
+   Command lines are parsed by components/shell.js, so commands compose with
+   pipes, > / >> redirection, quoting and ; && || chaining.
+   Commands are specs in the registry of components/commands.js; the
+   built-ins are registered below, and other sections add their own through
+   gsh.register (see `posts` in journal.jsx).
+   `rec` records a session as asciicast v2 (components/cast.js); the preview
+   replays the latest recording, or journal/tour.cast when there is none. */
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { parseMarkdown, walkMarkdown, outlineMarkdown, allowedUrl, mdToHtml, HEADING_ID_PREFIX } from './md.js';
+import { FRONTMATTER_SCHEMA, parseFrontmatter, validateFrontmatter, stringifyFrontmatter } from './frontmatter.js';
+import { highlight } from './highlight.js';
+import { parseCommandLine, completionContext } from './shell.js';
+import { vfs } from './vfs.js';
+import { siteSearch } from './search.js';
+import { createEvidence, summarize, skillNeedles } from './evidence.js';
+import { ansi } from './ansi.js';
+import { asciicast } from './cast.js';
+import { gsh } from './commands.js';
+import { reachable } from './pwa.js';
+import { loadJson, loadNotes } from './content.js';
+import { JOURNAL } from '../journal/index.js';
+import { CASES } from '../data/cases.js';
+import { SectionHead } from './top.jsx';
+import { WORK } from './work.jsx';
+import { SKILLS } from './skills.jsx';
 
 const BOOT_LINES = [
   { t: 'sys', v: 'field-notebook v2.6.04 / gaurav@berlin' },
   { t: 'sys', v: 'kernel: linux 6.1 · shell: /bin/gsh · term: xterm-256color' },
-  { t: 'sys', v: 'mounted /journal (45 entries) · read only' },
+  { t: 'sys', v: 'mounted /journal /posts /cases /work /skills · read only · drafts and /tmp writable' },
   { t: 'sys', v: 'type `help` for commands · `ls` to list · `cat <n>` to read' },
 ];
+// Added to the boot lines when the network doesn't answer (reachable() in
+// components/pwa.js): what shows is what the service worker (/sw.js) cached
+const OFFLINE_LINE = { t: 'sys', v: 'offline · serving cached notebook' };
 
-function stripMdToTerminal(md) {
-  if (!md) return '';
-  // Convert markdown to plain terminal-friendly text with ANSI-style markers
-  let out = md;
-  // Code fences → boxed
-  out = out.replace(/```(\w+)?\n([\s\S]*?)```/g, (m, lang, code) => {
-    const lines = code.trimEnd().split('\n');
-    const max = Math.max(...lines.map(l => l.length), 20);
-    const bar = '─'.repeat(Math.min(max + 2, 76));
-    return `\n┌${bar}┐\n${lines.map(l => '│ ' + l.padEnd(Math.min(max, 74)) + ' │').join('\n')}\n└${bar}┘\n`;
+const HISTORY_MAX = 500;
+
+/* Deep links. `#journal/cat/2` runs `cat 2` (the first segment is the command,
+   the rest is one argument, slashes and all); `#journal?cmd=grep%20kafka` runs
+   any command line, and may repeat `cmd`. Links replay from `/`, so paths in
+   them are site-absolute: `#journal/cat/cases/c01-transaction-data-platform.txt`.
+   A heading's slug after `#` (`%23` once encoded) links one section of an
+   entry: `#journal/cat/journal/2026-03-02-p99-lies.md%23what-p99-hides`.
+   Reading commands update the hash as they run, so the back button walks
+   through what was read. */
+const DEEP_LINK_COMMANDS = ['cat', 'less', 'more', 'open', 'read', 'cd'];
+
+function parseDeepLink(hash) {
+  const m = (hash || '').match(/^#journal([/?].*)$/);
+  if (!m) return null;
+  if (m[1][0] === '?') return new URLSearchParams(m[1].slice(1)).getAll('cmd');
+  const [cmd, ...rest] = m[1].slice(1).split('/').map(decodeURIComponent);
+  return cmd ? [[cmd, rest.join('/')].filter(Boolean).join(' ')] : [];
+}
+
+/* Markdown to terminal lines, from the AST of components/md.js. Headings are
+   bold accent, lists get bullets (☐ / ☑ for tasks), quotes a ▎ bar, code
+   (highlighted by components/highlight.js) and tables are drawn in boxes, and
+   footnotes become numbered endnotes. Inline markup turns into spans, with
+   `code` shown as ⟨code⟩; links stay clickable. A heading's first line keeps
+   its slug as `anchor`, so a section can be cut out or jumped to. */
+const TABLE_WIDTH = 76;
+
+// Inline nodes as lines of spans, broken where the source had a line break.
+function mdSpanLines(nodes) {
+  const lines = [[]];
+  const styles = [{}];
+  const push = (text, style = styles[styles.length - 1]) => text.split('\n').forEach((part, i) => {
+    if (i) lines.push([]);
+    if (part) lines[lines.length - 1].push({ ...style, text: part });
   });
-  // Headings
-  out = out.replace(/^### (.+)$/gm, '  ▸ $1');
-  out = out.replace(/^## (.+)$/gm, '\n※ $1\n' + '─'.repeat(40));
-  out = out.replace(/^# (.+)$/gm, '\n══ $1 ══');
-  // Lists
-  out = out.replace(/^\s*[-*] (.+)$/gm, '  • $1');
-  out = out.replace(/^\s*(\d+)\. (.+)$/gm, '  $1. $2');
-  // Blockquotes
-  out = out.replace(/^> (.+)$/gm, '  ▎ $1');
-  // Inline code / bold / italic: strip markers
-  out = out.replace(/`([^`]+)`/g, '⟨$1⟩');
-  out = out.replace(/\*\*([^*]+)\*\*/g, '$1');
-  out = out.replace(/\*([^*]+)\*/g, '$1');
-  return out.trim();
+  nodes.forEach(root => walkMarkdown(root, (n, entering) => {
+    const style = styles[styles.length - 1];
+    const wrap = (extra) => { if (entering) styles.push({ ...style, ...extra }); else styles.pop(); };
+    switch (n.type) {
+      case 'text': push(n.literal); break;
+      case 'softbreak': case 'linebreak': push('\n'); break;
+      case 'code': push(`⟨${n.literal}⟩`, { ...style, code: true }); break;
+      case 'html_inline': push(n.literal, { ...style, dim: true }); break;
+      case 'footnote_reference': push(`[${n.index}]`, { ...style, accent: true }); break;
+      case 'emph': wrap({ italic: true }); break;
+      case 'strong': wrap({ bold: true }); break;
+      case 'strikethrough': wrap({ strike: true }); break;
+      case 'link': wrap(allowedUrl(n.destination) !== null ? { href: n.destination } : {}); break;
+      case 'image':
+        if (entering) push('[image: ', { ...style, dim: true });
+        wrap(allowedUrl(n.destination) !== null ? { href: n.destination } : {});
+        if (!entering) push(']', { ...styles[styles.length - 1], dim: true });
+        break;
+      default:
+    }
+  }));
+  return lines;
+}
+
+// A line from a plain prefix and spans; without any styling it is just { cls, v }.
+function spanLine(prefix, spans, cls = 'tm-body') {
+  const all = prefix ? [{ text: prefix }, ...spans] : spans;
+  const v = all.map(s => s.text).join('');
+  return all.every(s => Object.keys(s).length === 1) ? { cls, v } : { cls, v, spans: all };
+}
+
+const spansLength = (spans) => spans.reduce((n, s) => n + s.text.length, 0);
+
+// Spans cut into lines of at most `width` characters, at spaces where there are any.
+function wrapSpans(spans, width) {
+  const text = spans.map(s => s.text).join('');
+  const lines = [];
+  let at = 0;
+  while (text.length - at > width) {
+    let cut = text.lastIndexOf(' ', at + width);
+    if (cut <= at) cut = at + width;
+    lines.push(ansi.slice(spans, at, cut));
+    at = text[cut] === ' ' ? cut + 1 : cut;
+  }
+  lines.push(ansi.slice(spans, at, text.length));
+  return lines;
+}
+
+// A table as a box-drawn grid. Columns fit their widest cell; when the grid is
+// wider than TABLE_WIDTH the widest columns give way and their cells wrap.
+function tableGrid(table) {
+  const rows = table.children.map(r => r.children.map(c => {
+    const spans = mdSpanLines(c.children).flat();
+    return r.header ? spans.map(s => ({ ...s, bold: true })) : spans;
+  }));
+  const widths = table.align.map((_, i) => Math.max(3, ...rows.map(r => spansLength(r[i]))));
+  while (widths.reduce((n, w) => n + w + 3, 1) > TABLE_WIDTH && Math.max(...widths) > 8) {
+    widths[widths.indexOf(Math.max(...widths))] -= 1;
+  }
+  const rule = (l, m, r) => [{ text: l + widths.map(w => '─'.repeat(w + 2)).join(m) + r }];
+  const pad = (spans, i) => {
+    const gap = widths[i] - spansLength(spans);
+    const left = table.align[i] === 'right' ? gap : table.align[i] === 'center' ? Math.floor(gap / 2) : 0;
+    return [{ text: ' '.repeat(left + 1) }, ...spans, { text: ' '.repeat(gap - left + 1) }];
+  };
+  const grid = [rule('┌', '┬', '┐')];
+  rows.forEach((cells, r) => {
+    const wrapped = cells.map((spans, i) => wrapSpans(spans, widths[i]));
+    const height = Math.max(...wrapped.map(w => w.length));
+    for (let k = 0; k < height; k++) {
+      grid.push([{ text: '│' }, ...wrapped.flatMap((w, i) => [...pad(w[k] || [], i), { text: '│' }])]);
+    }
+    if (r === 0 && table.children[0].header && rows.length > 1) grid.push(rule('├', '┼', '┤'));
+  });
+  grid.push(rule('└', '┴', '┘'));
+  return grid;
+}
+
+// Highlighter token types (components/highlight.js) as terminal colours
+const TOKEN_STYLE = {
+  keyword: { fg: 'magenta' }, string: { fg: 'green' }, number: { fg: 'yellow' }, constant: { fg: 'yellow' },
+  comment: { fg: 'gray', italic: true }, type: { fg: 'cyan' }, function: { fg: 'blue' }, property: { fg: 'blue' },
+  variable: { fg: 'cyan' }, meta: { accent: true },
+};
+
+// A code block in a box, highlighted, with the language in the top border.
+// Marked lines (```kotlin {3-5}) get an accent bar, showLineNumbers a gutter.
+function codeBox(block) {
+  const { lang, marks, numbers } = highlight.fence(block.info);
+  const lines = highlight.tokenize(block.literal, lang)
+    .map(tokens => tokens.map(t => ({ text: t.text, ...TOKEN_STYLE[t.type] })));
+  const gutter = numbers ? String(lines.length).length + 1 : 0;
+  const width = Math.min(Math.max(...lines.map(spansLength), 20), 74 - gutter);
+  const bar = '─'.repeat(width + gutter + 2);
+  const top = lang ? `┌─ ${lang} ${bar.slice(lang.length + 3)}┐` : `┌${bar}┐`;
+  return [
+    [{ text: top }],
+    ...lines.map((spans, i) => [
+      { text: '│' },
+      marks.has(i + 1) ? { text: '▌', accent: true } : { text: ' ' },
+      ...(numbers ? [{ text: String(i + 1).padStart(gutter - 1) + ' ', dim: true }] : []),
+      ...spans,
+      { text: ' '.repeat(Math.max(0, width - spansLength(spans))) + ' │' },
+    ]),
+    [{ text: `└${bar}┘` }],
+  ];
+}
+
+// A markdown body as terminal lines.
+function mdToTerminalLines(md) {
+  const out = [];
+  const push = (first, rest, lines) => lines.forEach((spans, i) => out.push(spanLine(i ? rest : first, spans)));
+
+  // `first` goes in front of a block's first line, `rest` in front of the others
+  // (a list bullet, then the indentation under it)
+  function blocks(nodes, first, rest, tight) {
+    nodes.forEach((n, i) => {
+      if (i && !tight) out.push(spanLine(rest.trimEnd(), []));
+      block(n, i ? rest : first, rest);
+    });
+  }
+
+  function block(n, first, rest) {
+    const heading = (spans) => spans.map(s => ({ ...s, bold: true, accent: true }));
+    switch (n.type) {
+      case 'paragraph': push(first, rest, mdSpanLines(n.children)); break;
+      case 'heading': {
+        const text = mdSpanLines(n.children).flat();
+        const at = out.length;
+        if (n.level === 1) push(first, rest, [heading([{ text: '══ ' }, ...text, { text: ' ══' }])]);
+        else if (n.level === 2) push(first, rest, [heading([{ text: '※ ' }, ...text]), [{ text: '─'.repeat(40) }]]);
+        else push(first, rest, [heading([{ text: '  ▸ ' }, ...text])]);
+        Object.assign(out[at], { anchor: n.slug, level: n.level }); // for `cat <id>#section`
+        break;
+      }
+      case 'thematic_break': push(first, rest, [[{ text: '─'.repeat(40), dim: true }]]); break;
+      case 'blockquote': blocks(n.children, first + '  ▎ ', rest + '  ▎ ', false); break;
+      case 'list':
+        n.children.forEach((item, i) => {
+          if (i && !n.tight) out.push(spanLine(rest.trimEnd(), []));
+          const marker = item.checked !== undefined ? (item.checked ? '☑' : '☐') : n.ordered ? `${n.start + i}.` : '•';
+          const head = `${i ? rest : first}  ${marker} `, indent = rest + ' '.repeat(marker.length + 3);
+          if (!item.children.length) out.push(spanLine(head.trimEnd(), []));
+          blocks(item.children, head, indent, n.tight);
+        });
+        break;
+      case 'code_block': push(first, rest, codeBox(n)); break;
+      case 'html_block': push(first, rest, n.literal.split('\n').map(text => [{ text, dim: true }])); break;
+      case 'table': push(first, rest, tableGrid(n)); break;
+      case 'footnotes':
+        push(first, rest, [[{ text: '── notes ' + '─'.repeat(31), dim: true }]]);
+        n.children.forEach(def => {
+          const mark = `[${def.index}] `;
+          blocks(def.children, rest + mark, rest + ' '.repeat(mark.length), false);
+        });
+        break;
+      default:
+    }
+  }
+
+  blocks(parseMarkdown(md || '').children, '', '', false);
+  return out;
+}
+
+const spanClass = (s) => [
+  s.bold && 'tm-b', s.dim && 'tm-dim', s.italic && 'tm-i', s.underline && 'tm-u', s.strike && 'tm-s',
+  s.code && 'tm-code', s.accent && 'tm-accent', s.fg && `tm-fg-${s.fg}`,
+].filter(Boolean).join(' ');
+
+// The contents of a line: its spans when it has them, the plain text otherwise.
+// `mark` decorates text (the pager's search highlight). Spans can come from
+// anywhere (a recording, /tmp), so their links are checked again here.
+function LineText({ line, mark = (t) => t }) {
+  if (!line.spans) return mark(line.v) || '\u00A0';
+  if (!line.spans.length) return '\u00A0';
+  return line.spans.map((s, i) => (s.href && allowedUrl(s.href) !== null
+    ? <a key={i} className={'tm-link ' + spanClass(s)} href={s.href} target="_blank" rel="noopener noreferrer" onClick={e => e.stopPropagation()}>{mark(s.text)}</a>
+    : <span key={i} className={spanClass(s) || undefined}>{mark(s.text)}</span>
+  ));
 }
 
-function Prompt({ path = '~/journal', inline = false }) {
+function Prompt({ path = '/journal', inline = false }) {
   return (
     <span className="tm-prompt">
       <span className="tm-user">gaurav@berlin</span>
@@ -49,41 +269,1026 @@ function Prompt({ path = '~/journal', inline = false }) {
   );
 }
 
+// Soft-wraps lines to the pager width so that paging counts screen rows, not paragraphs.
+function wrapLines(lines, cols) {
+  const rows = [];
+  lines.forEach(l => {
+    const v = l.v || '';
+    const row = (from, to) => rows.push({ ...l, v: v.slice(from, to), ...(l.spans && { spans: ansi.slice(l.spans, from, to) }) });
+    let at = 0;
+    while (v.length - at > cols) {
+      let cut = v.lastIndexOf(' ', at + cols) - at;
+      if (cut <= 0) cut = cols;
+      row(at, at + cut);
+      at += cut;
+      if (v[at] === ' ') at++;
+    }
+    row(at, v.length);
+  });
+  return rows;
+}
+
+// `/pattern` is a case-insensitive regex; anything that doesn't compile is matched literally.
+function searchRegExp(src, flags = 'i') {
+  try { return new RegExp(src, flags); }
+  catch { return new RegExp(src.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), flags); }
+}
+
+const PAGER_KEYS = 'space/f next page · b previous · j/k line · d/u half page · g/G top/end · /pattern n/N search · q quit';
+
+/* less-style pager. Takes over the fullscreen body until `q`; the shell history
+   underneath is left untouched. It opens at line `at` of `lines`. */
+function Pager({ title, lines, at = 0, onQuit }) {
+  const ref = useRef();
+  const probeRef = useRef();
+  const [size, setSize] = useState({ rows: 30, cols: 100 });
+  const [top, setTop] = useState(0);
+  const [pattern, setPattern] = useState('');
+  const [prompt, setPrompt] = useState(null); // text typed after `/`, null when not searching
+  const [msg, setMsg] = useState('');
+
+  useEffect(() => {
+    const measure = () => {
+      const el = ref.current, probe = probeRef.current;
+      if (!el || !probe || !probe.offsetWidth) return;
+      const cs = getComputedStyle(el);
+      const w = el.clientWidth - parseFloat(cs.paddingLeft) - parseFloat(cs.paddingRight);
+      const h = el.clientHeight - parseFloat(cs.paddingTop) - parseFloat(cs.paddingBottom);
+      setSize({
+        cols: Math.max(20, Math.floor(w / (probe.offsetWidth / 10))),
+        rows: Math.max(5, Math.floor(h / probe.offsetHeight) - 1),
+      });
+    };
+    measure();
+    ref.current?.focus();
+    window.addEventListener('resize', measure);
+    return () => window.removeEventListener('resize', measure);
+  }, []);
+
+  const rows = useMemo(() => wrapLines(lines, size.cols), [lines, size.cols]);
+  const page = size.rows;
+  const maxTop = Math.max(0, rows.length - page);
+  const go = (t) => setTop(Math.max(0, Math.min(maxTop, t)));
+
+  // Opening at a section: the row it starts on depends on how the lines above wrap
+  useEffect(() => { if (at) go(wrapLines(lines.slice(0, at), size.cols).length); }, [at, size.cols]);
+
+  const hitsFor = (src) => {
+    if (!src) return [];
+    const re = searchRegExp(src);
+    return rows.reduce((acc, r, i) => (re.test(r.v || '') ? [...acc, i] : acc), []);
+  };
+  const hits = useMemo(() => hitsFor(pattern), [rows, pattern]);
+
+  // Jumps to the next (dir 1) or previous (dir -1) matching row, starting at `from`.
+  const jump = (dir, from, list = hits) => {
+    const i = dir > 0 ? list.find(n => n >= from) : [...list].reverse().find(n => n <= from);
+    if (i === undefined) setMsg('Pattern not found');
+    else { go(i); setMsg(''); }
+  };
+
+  const search = (src) => {
+    if (!src) { if (pattern) jump(1, top + 1); return; } // bare `/` repeats the last search
+    setPattern(src);
+    jump(1, top, hitsFor(src));
+  };
+
+  const onKey = (e) => {
+    e.stopPropagation();
+    if (prompt !== null) {
+      e.preventDefault();
+      if (e.key === 'Enter') { setPrompt(null); search(prompt); }
+      else if (e.key === 'Escape') setPrompt(null);
+      else if (e.key === 'Backspace') setPrompt(prompt ? prompt.slice(0, -1) : null);
+      else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey) setPrompt(prompt + e.key);
+      return;
+    }
+    const half = Math.floor(page / 2);
+    const k = e.ctrlKey ? '^' + e.key.toLowerCase() : e.key;
+    const actions = {
+      ' ': () => go(top + page), f: () => go(top + page), PageDown: () => go(top + page), '^f': () => go(top + page),
+      b: () => go(top - page), PageUp: () => go(top - page), '^b': () => go(top - page),
+      j: () => go(top + 1), ArrowDown: () => go(top + 1), Enter: () => go(top + 1),
+      k: () => go(top - 1), ArrowUp: () => go(top - 1),
+      d: () => go(top + half), u: () => go(top - half),
+      g: () => go(0), Home: () => go(0),
+      G: () => go(maxTop), End: () => go(maxTop),
+      '/': () => setPrompt(''),
+      n: () => (pattern ? jump(1, top + 1) : setMsg('No previous search')),
+      N: () => (pattern ? jump(-1, top - 1) : setMsg('No previous search')),
+      h: () => setMsg(PAGER_KEYS),
+      q: onQuit, Q: onQuit, Escape: onQuit,
+    };
+    if (!actions[k]) return;
+    e.preventDefault();
+    setMsg('');
+    actions[k]();
+  };
+
+  const markMatches = (v) => {
+    if (!pattern || !v) return v;
+    const re = searchRegExp(pattern, 'gi');
+    const parts = [];
+    let last = 0;
+    for (const { 0: m, index: at } of v.matchAll(re)) {
+      if (!m) continue;
+      parts.push(v.slice(last, at), <mark className="tm-hl" key={at}>{m}</mark>);
+      last = at + m.length;
+    }
+    parts.push(v.slice(last));
+    return parts;
+  };
+
+  const visible = rows.slice(top, top + page);
+  const bottom = Math.min(rows.length, top + page);
+  const where = bottom >= rows.length ? '(END)' : `${Math.round(bottom / rows.length * 100)}%`;
+
+  return (
+    <div className="tm-body tm-body-fs tm-pager" ref={ref} tabIndex={0} onKeyDown={onKey}>
+      <span className="tm-probe" ref={probeRef} aria-hidden="true">MMMMMMMMMM</span>
+      {visible.map((l, i) => (
+        <div className={'tm-line ' + (l.cls || '')} key={top + i}><LineText line={l} mark={markMatches} /></div>
+      ))}
+      {Array.from({ length: page - visible.length }, (_, i) => (
+        <div className="tm-line tm-tilde" key={'~' + i}>~</div>
+      ))}
+      <div className="tm-pager-status">
+        {prompt !== null
+          ? '/' + prompt
+          : msg || `${title} · lines ${rows.length ? top + 1 : 0}-${bottom}/${rows.length} · ${where} · h for keys`}
+      </div>
+    </div>
+  );
+}
+
+const EDITOR_KEYS = '^S save · ^P preview · Esc quit';
+const EDITOR_DISCARD = 'unsaved changes · Esc again to discard them, ^S to save';
+
+/* nano-style editor for drafts. It edits the whole markdown file, frontmatter
+   included, so a draft saves exactly as `export` will write it out. onSave
+   returns an error message, or null once the draft is stored; frontmatter
+   warnings show in the status line after a save. */
+function Editor({ name, text: initial, onSave, onQuit }) {
+  const ref = useRef();
+  const [text, setText] = useState(initial);
+  const [saved, setSaved] = useState(initial);
+  const [preview, setPreview] = useState(false);
+  const [msg, setMsg] = useState('');
+
+  useEffect(() => { ref.current?.focus(); }, [preview]);
+
+  const onKey = (e) => {
+    e.stopPropagation();
+    const k = e.ctrlKey || e.metaKey ? '^' + e.key.toLowerCase() : e.key;
+    if (k === '^s') {
+      e.preventDefault();
+      const err = onSave(text);
+      if (!err) setSaved(text);
+      const [warning, ...more] = warnings;
+      setMsg(err || `saved ${name}${warning ? ` · ${warning.message}${more.length ? ` (+${more.length} more, see doctor)` : ''}` : ''}`);
+    } else if (k === '^p') {
+      e.preventDefault();
+      setPreview(p => !p);
+      setMsg('');
+    } else if (k === 'Escape') {
+      e.preventDefault();
+      if (text !== saved && msg !== EDITOR_DISCARD) { setMsg(EDITOR_DISCARD); return; }
+      onQuit(saved !== initial);
+    } else if (k === 'Tab' && !preview) {
+      e.preventDefault();
+      const { selectionStart: a, selectionEnd: b } = e.target;
+      setText(text.slice(0, a) + '  ' + text.slice(b));
+      requestAnimationFrame(() => e.target.setSelectionRange(a + 2, a + 2));
+    }
+  };
+
+  const { meta, body, warnings } = parseFrontmatter(text);
+
+  return (
+    <div className="tm-body tm-body-fs tm-editor" onKeyDown={onKey}>
+      {preview ? (
+        <div className="tm-editor-preview" ref={ref} tabIndex={0}>
+          {catEntry({ file: name, meta, body }).map((l, i) => (
+            <div className={'tm-line ' + (l.cls || '')} key={i}><LineText line={l} /></div>
+          ))}
+        </div>
+      ) : (
+        <textarea
+          ref={ref}
+          className="tm-editor-text"
+          value={text}
+          onChange={e => { setText(e.target.value); if (msg) setMsg(''); }}
+          spellCheck={false}
+        />
+      )}
+      <div className="tm-pager-status">
+        {msg || `${name}${text !== saved ? ' [modified]' : ''} · ${preview ? 'preview' : 'markdown'} · ${EDITOR_KEYS}`}
+      </div>
+    </div>
+  );
+}
+
+const CAST_IDLE_LIMIT = 1.5; // seconds; longer pauses in a recording are cut to this on replay
+
+/* Plays an asciicast ({ header, events }) as a looping animation, keeping the
+   last `rows` lines on screen. asciicast.screen() reads the output. */
+function CastPlayer({ cast, rows = 9 }) {
+  const [lines, setLines] = useState([[]]);
+
+  useEffect(() => {
+    let term, i, timer;
+    const reset = () => { term = asciicast.screen(); i = 0; };
+    const write = (data) => term.write(data);
+    const show = () => setLines(term.lines.slice(-rows).map(l => l.map(span => ({ ...span }))));
+
+    reset();
+    if (window.matchMedia?.('(prefers-reduced-motion: reduce)').matches) {
+      cast.events.forEach(([, type, data]) => { if (type === 'o') write(data); });
+      show();
+      return undefined;
+    }
+    const step = () => {
+      if (i >= cast.events.length) { timer = setTimeout(() => { reset(); step(); }, 4000); return; }
+      const [t, type, data] = cast.events[i++];
+      if (type === 'o') write(data);
+      show();
+      const next = cast.events[i];
+      timer = setTimeout(step, next ? Math.min(CAST_IDLE_LIMIT, Math.max(0, next[0] - t)) * 1000 : 0);
+    };
+    step();
+    return () => clearTimeout(timer);
+  }, [cast, rows]);
+
+  return lines.map((spans, i) => (
+    <div className="tm-line" key={i}>
+      {spans.length > 0 && <LineText line={{ spans }} />}
+      {i === lines.length - 1 ? <span className="tm-caret">_</span> : !spans.length && '\u00A0'}
+    </div>
+  ));
+}
+
+function downloadFile(name, text, type = 'text/plain') {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = Object.assign(document.createElement('a'), { href: url, download: name });
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/* Built-in commands. Each one is a gsh spec (see components/commands.js);
+   handlers get the shell `sh` that Journal builds on every render. */
+
+const shortDate = (d) => (d ? d.slice(0, 10) : '????-??-??');
+
+// Commands return their output as an array of { cls, v } lines instead of
+// printing it, so a pipeline can hand one command's lines to the next as stdin.
+// `fail` tags the array with a non-zero status for && / || chaining.
+const fail = (v, ...more) => Object.assign([{ cls: 'tm-err', v }, ...more], { status: 1 });
+
+const slugify = (s) => s.toLowerCase().replace(/<[^>]+>/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+const textLines = (text, cls = 'tm-body') => String(text).split('\n').map(v => ({ cls, v }));
+
+const docLines = (path, meta, body, footer) => [
+  { cls: 'tm-cat-file', v: `── ${path} ` + '─'.repeat(Math.max(0, 70 - path.length - 4)) },
+  ...meta.filter(([, v]) => v).map(([k, v]) => ({ cls: 'tm-meta', v: `${(k + ':').padEnd(9)}${v}` })),
+  { cls: 'tm-cat-file', v: '─'.repeat(70) },
+  { cls: 'tm-body', v: '' },
+  ...body,
+  { cls: 'tm-body', v: '' },
+  { cls: 'tm-cat-file', v: '─'.repeat(70) },
+  { cls: 'tm-muted', v: footer },
+];
+
+// Headings, word count and reading time of a markdown body (see outlineMarkdown in md.js)
+const outlineOf = (body) => outlineMarkdown(parseMarkdown(body || ''));
+
+// Published entries as journal/index.js lists them, before their notes are fetched:
+// no body yet, and an outline with no headings.
+const fromManifest = () => (JOURNAL || []).map(({ file, slug, words, minutes, ...meta }, i) => (
+  { id: i + 1, file, slug, meta, body: '', warnings: [], outline: { toc: [], words, minutes } }
+));
+
+// `2#what-p99-hides` -> ['2', 'what-p99-hides']; no `#`, no anchor. The
+// heading's id on the page (#user-content-what-p99-hides) names it too.
+const splitAnchor = (arg) => {
+  const at = arg.indexOf('#');
+  if (at <= 0) return [arg, null];
+  const anchor = arg.slice(at + 1);
+  return [arg.slice(0, at), anchor.startsWith(HEADING_ID_PREFIX) ? anchor.slice(HEADING_ID_PREFIX.length) : anchor];
+};
+
+// Terminal lines from a heading (by anchor) up to the next heading at its level or above.
+const sectionOf = (lines, anchor) => {
+  const at = lines.findIndex(l => l.anchor === anchor);
+  if (at < 0) return null;
+  let end = lines.findIndex((l, i) => i > at && l.anchor && l.level <= lines[at].level);
+  if (end < 0) end = lines.length;
+  while (end > at + 1 && !lines[end - 1].v) end--;
+  return lines.slice(at, end);
+};
+
+// An entry, or with `anchor` one section of it (null when there is no such heading).
+const catEntry = (entry, anchor) => {
+  const { words, minutes } = entry.outline || outlineOf(entry.body);
+  const body = anchor ? sectionOf(mdToTerminalLines(entry.body), anchor) : mdToTerminalLines(entry.body);
+  return body && docLines(anchor ? `${entry.file}#${anchor}` : entry.file, [
+    ['date', entry.meta.date || 'n/a'],
+    ['title', entry.meta.title || 'Untitled'],
+    ['tags', (entry.meta.tags || []).join(', ') || 'n/a'],
+    ['read', `${minutes} min · ${words} words`],
+  ], body, `EOF · gaurav ratnawat, berlin · ${entry.meta.date || ''}`);
+};
+
+const entryRow = (e) => ({
+  cls: 'tm-ls',
+  v: `${String(e.id).padStart(3,'0')}  ${shortDate(e.meta.date)}  · ${e.meta.title}`,
+});
+
+const lsRow = (name, node, long) => {
+  const isDir = node.type === 'dir';
+  const label = node.label ? `  · ${node.label}` : '';
+  if (!long) return { cls: isDir ? 'tm-dir' : 'tm-ls', v: (name + (isDir ? '/' : '')).padEnd(isDir ? 0 : 34) + label };
+  const size = isDir
+    ? Object.keys(vfs.childrenOf(node)).length
+    : node.read().reduce((n, l) => n + (l.v || '').length + 1, 0);
+  return {
+    cls: isDir ? 'tm-dir' : 'tm-ls',
+    v: [
+      isDir ? 'dr-xr-xr-x' : node.writable ? '-rw-r--r--' : '-r--r--r--',
+      'gaurav',
+      String(size).padStart(6),
+      node.date ? shortDate(node.date) : ' '.repeat(10),
+      name + (isDir ? '/' : '') + label,
+    ].join('  '),
+  };
+};
+
+// Line filters: only meaningful at the receiving end of a pipe.
+const lineCount = (args) => {
+  if (!args.length) return 10;
+  const m = args.join(' ').match(/^(?:-n\s*)?-?(\d+)$/);
+  return m ? parseInt(m[1], 10) : NaN;
+};
+
+const headTail = (args, stdin, io) => {
+  const cmd = io.name;
+  if (!stdin) return fail(`${cmd}: no input. pipe into it, e.g. cat 2 | ${cmd} 20`);
+  const n = lineCount(args);
+  if (Number.isNaN(n)) return fail(`usage: ${cmd} [-n] <count>`);
+  return cmd === 'head' ? stdin.slice(0, n) : stdin.slice(Math.max(0, stdin.length - n));
+};
+
+// Lines printed with ANSI escapes (echo -e, or any registered command) become styled lines.
+const styled = (lines) => Object.assign(
+  lines.map(l => (l.spans || !(l.v || '').includes('\x1b') ? l : ansi.line(l.v, l.cls))),
+  { status: lines.status },
+);
+
+// Completers
+const completeTags = (word, argv, sh) => sh.tags().filter(t => t.startsWith(word)).map(t => ({ value: t + ' ' }));
+const completeDirs = (word, argv, sh) => sh.completePaths(word, true);
+const completeEntries = (word, argv, sh) => {
+  const w = word.toLowerCase();
+  const byTitle = word && !/^\d+$/.test(word);
+  return [
+    ...sh.all.filter(e => String(e.id).startsWith(word) || (byTitle && (e.meta.title || '').toLowerCase().includes(w)))
+      .map(e => ({ value: e.id + ' ', label: e.meta.title })),
+    ...sh.completePaths(word),
+    ...sh.all.filter(e => word && e.file.startsWith(word)).map(e => ({ value: e.file + ' ', label: e.meta.title })),
+  ];
+};
+const completeCommands = (word) => gsh.list()
+  .filter(c => !c.hidden && c.name.startsWith(word))
+  .map(c => ({ value: c.name + ' ', label: c.summary }));
+const noArgs = () => [];
+
+const helpRow = (usage, summary) => ({ cls: 'tm-help', v: `  ${usage.padEnd(15)} ${summary}` });
+
+const BUILTIN_COMMANDS = [
+  {
+    name: 'ls', aliases: ['ll', 'dir'],
+    usage: 'ls [-l] [path]',
+    summary: 'list a directory (/journal /posts /cases /work /skills /tmp)',
+    more: ['-l  long listing: mode, size, date and name'],
+    run: (args, stdin, io, sh) => {
+      const long = args.some(a => /^-\w*l/.test(a));
+      const paths = args.filter(a => !a.startsWith('-'));
+      const out = [];
+      let status = 0;
+      (paths.length ? paths : ['.']).forEach(p => {
+        const { abs, node } = sh.stat(p);
+        if (!node) { out.push({ cls: 'tm-err', v: `ls: ${p}: No such file or directory` }); status = 1; return; }
+        if (node.type === 'file') { out.push(lsRow(p, node, long)); return; }
+        if (paths.length > 1) out.push({ cls: 'tm-cat-file', v: `${abs}:` });
+        const kids = Object.entries(vfs.childrenOf(node));
+        out.push({ cls: 'tm-muted', v: `total ${kids.length}` });
+        out.push(...(node.list && !long ? node.list() : kids.map(([name, child]) => lsRow(name, child, long))));
+      });
+      if (io.tty && !status && sh.cwd === vfs.HOME && !paths.length) {
+        out.push({ cls: 'tm-muted', v: '' }, { cls: 'tm-muted', v: `read with: cat <id>   e.g. cat 1` });
+        const warnings = sh.all.reduce((n, e) => n + e.warnings.length, 0);
+        if (warnings) out.push({ cls: 'tm-muted', v: `${warnings} frontmatter warning${warnings === 1 ? '' : 's'}: run doctor` });
+      }
+      return Object.assign(out, { status });
+    },
+  },
+  {
+    name: 'cd',
+    usage: 'cd <path>',
+    summary: 'change directory · cd .. · cd ~ · cd /cases',
+    complete: completeDirs,
+    run: ([path], stdin, io, sh) => {
+      const { abs, node } = sh.stat(path || '~');
+      if (!node) return fail(`cd: ${path}: No such file or directory`);
+      if (node.type !== 'dir') return fail(`cd: ${path}: Not a directory`);
+      sh.setCwd(abs);
+      return [];
+    },
+  },
+  {
+    name: 'pwd',
+    usage: 'pwd',
+    summary: 'print the current directory',
+    complete: noArgs,
+    run: (args, stdin, io, sh) => [{ cls: 'tm-body', v: sh.cwd }],
+  },
+  {
+    name: 'cat',
+    usage: 'cat <file|id>',
+    summary: 'read a file, or a journal entry by number (e.g. cat 2)',
+    more: ['cat 2#what-p99-hides   one section of an entry; toc 2 lists them'],
+    complete: completeEntries,
+    run: (args, stdin, io, sh) => sh.cat(args, stdin),
+  },
+  {
+    // less/more: pages through files (or piped lines) when writing to the screen,
+    // and behaves like cat anywhere else in a pipeline.
+    name: 'less', aliases: ['more', 'open', 'read'],
+    usage: 'less <file|id>',
+    summary: 'page through a file · also: open <id>, cat 2 | less',
+    more: [PAGER_KEYS, 'less 2#what-p99-hides opens the entry at that heading'],
+    complete: completeEntries,
+    run: (args, stdin, io, sh) => {
+      if (!args.length && !stdin) return fail(`usage: ${io.name} <file|id>`);
+      if (!io.tty) return sh.cat(args, stdin);
+      // Paged, `less <id>#section` shows the whole entry, scrolled to the section
+      const [target, anchor] = args.length === 1 ? splitAnchor(args[0]) : [];
+      const lines = sh.cat(anchor ? [target] : args, stdin);
+      const at = anchor ? lines.findIndex(l => l.anchor === anchor) : 0;
+      if (lines.status || at < 0) return sh.cat(args, stdin);
+      sh.page(args.join(' ') || 'stdin', lines, at);
+      return [];
+    },
+  },
+  {
+    name: 'toc', aliases: ['outline'],
+    usage: 'toc <id>',
+    summary: 'the headings of a journal entry, and how long it takes to read',
+    more: ['cat <id>#<heading>   print that section', 'less <id>#<heading>  page the entry from there'],
+    complete: completeEntries,
+    run: ([arg], stdin, io, sh) => {
+      if (!arg) return fail('usage: toc <id>');
+      const entry = sh.entry(arg);
+      if (!entry) return fail(`toc: ${arg}: not a journal entry. try \`ls /journal\``);
+      const { toc, words, minutes } = entry.outline;
+      const rows = toc.map(h => ({ cls: 'tm-ls', v: `${'  '.repeat(h.level - 1)}${h.text}`.padEnd(44) + `  #${h.slug}` }));
+      if (!io.tty) return rows;
+      const to = toc.find(h => h.level > 1) || toc[0];
+      return [
+        { cls: 'tm-cat-file', v: `${entry.file} · ${minutes} min read · ${words} words` },
+        ...(rows.length ? rows : [{ cls: 'tm-muted', v: '(no headings)' }]),
+        ...(to ? [{ cls: 'tm-muted', v: '' }, { cls: 'tm-muted', v: `jump with: cat ${entry.id}#${to.slug}` }] : []),
+      ];
+    },
+  },
+  {
+    name: 'grep', aliases: ['search', 'find'],
+    usage: 'grep <term>',
+    summary: 'search files below here, best match first, or filter piped lines',
+    more: [
+      'files are searched through the site index (components/search.js):',
+      'words are stemmed, so grep migrate finds migrations; "quoted words" match as a phrase',
+      'piped lines are filtered literally, case-insensitive',
+      '-v  invert: files or lines that do not contain the term',
+    ],
+    run: (args, stdin, io, sh) => {
+      const invert = args[0] === '-v';
+      const term = (invert ? args.slice(1) : args).join(' ');
+      if (!term) return fail('usage: grep [-v] <term>');
+      const t = term.toLowerCase();
+      if (stdin) {
+        const hits = stdin.filter(l => (l.v || '').toLowerCase().includes(t) !== invert);
+        return Object.assign(hits, { status: hits.length ? 0 : 1 });
+      }
+      const cwd = sh.cwd;
+      const hits = [];
+      if (invert) {
+        vfs.walk(vfs.lookup(sh.root, cwd), cwd, (node, abs) => {
+          if (node.type !== 'file') return;
+          const text = [node.label || '', ...node.read().map(l => l.v || '')].join('\n').toLowerCase();
+          if (!text.includes(t)) hits.push({ abs, node, snippet: [] });
+        });
+      } else {
+        siteSearch.search(term, { within: cwd === '/' ? '/' : cwd + '/', prefix: true }).forEach(r => {
+          const node = vfs.lookup(sh.root, r.id);
+          if (node) hits.push({ abs: r.id, node, snippet: r.snippet });
+        });
+      }
+      if (!hits.length) return Object.assign(io.tty ? [{ cls: 'tm-muted', v: `no matches for "${term}"` }] : [], { status: 1 });
+      const rel = (abs) => abs.slice(cwd === '/' ? 1 : cwd.length + 1);
+      const row = ({ abs, node }) => (node.entry ? entryRow(node.entry) : { cls: 'tm-ls', v: `${rel(abs)}${node.label ? '  · ' + node.label : ''}` });
+      if (!io.tty) return hits.map(row);
+      const context = (snippet) => {
+        const spans = [{ text: '      ' }, ...snippet.map(s => (s.hit ? { text: s.text, bold: true, accent: true } : { text: s.text }))];
+        return { cls: 'tm-muted', v: spans.map(s => s.text).join(''), spans };
+      };
+      return [
+        { cls: 'tm-muted', v: `${hits.length} match${hits.length === 1 ? '' : 'es'}` },
+        ...hits.flatMap(h => [row(h), ...(h.snippet.length ? [context(h.snippet)] : [])]),
+      ];
+    },
+  },
+  {
+    name: 'tag', aliases: ['tags'],
+    usage: 'tag <name>',
+    summary: 'filter entries by tag',
+    more: ['with no name, lists every tag in use'],
+    complete: completeTags,
+    run: ([tag], stdin, io, sh) => {
+      if (!tag) {
+        const all_tags = sh.tags();
+        if (!io.tty) return all_tags.map(t => ({ cls: 'tm-ls', v: t }));
+        return [
+          { cls: 'tm-muted', v: `${all_tags.length} tags available:` },
+          { cls: 'tm-ls', v: '  ' + all_tags.map(t => '#' + t).join('  ') },
+          { cls: 'tm-muted', v: 'usage: tag <name>' },
+        ];
+      }
+      const hits = sh.all.filter(e => (e.meta.tags || []).includes(tag));
+      if (!hits.length) return Object.assign(io.tty ? [{ cls: 'tm-muted', v: `no entries tagged #${tag}` }] : [], { status: 1 });
+      return [
+        ...(io.tty ? [{ cls: 'tm-muted', v: `${hits.length} entries tagged #${tag}` }] : []),
+        ...hits.map(entryRow),
+      ];
+    },
+  },
+  // The Stack section's evidence for one skill (components/evidence.js)
+  {
+    name: 'skill', aliases: ['skills'],
+    usage: 'skill <name>',
+    summary: 'where a skill was used and written about',
+    more: ['with no name, lists every skill and how much backs it up', 'skill kafka-streams or skill "kafka streams" · names complete with Tab'],
+    complete: (word, argv, sh) => sh.skills
+      .filter(s => slugify(s.name).startsWith(slugify(word)) || !word)
+      .map(s => ({ value: slugify(s.name) + ' ', label: s.name })),
+    run: (args, stdin, io, sh) => {
+      const query = args.join(' ').trim();
+      if (!query) {
+        const rows = sh.skills.map(s => ({ s, ev: sh.evidence.find(s.name) }));
+        if (!io.tty) return rows.map(({ s, ev }) => ({ cls: 'tm-ls', v: `${ev.total}\t${s.name}` }));
+        return [
+          { cls: 'tm-muted', v: `${rows.length} skills · cases / jobs / posts / journal entries that back each one:` },
+          ...rows.map(({ s, ev }) => ({
+            cls: ev.total ? 'tm-ls' : 'tm-muted',
+            v: `  ${s.name.padEnd(34)} ${[ev.cases, ev.work, ev.posts, ev.journal].map(l => String(l.length).padStart(2)).join(' ')}`,
+          })),
+          { cls: 'tm-muted', v: 'usage: skill <name>' },
+        ];
+      }
+      const q = slugify(query);
+      const known = sh.skills.find(s => slugify(s.name) === q)
+        || sh.skills.find(s => skillNeedles(s.name).some(n => slugify(n) === q))
+        || sh.skills.find(s => slugify(s.name).startsWith(q));
+      const ev = sh.evidence.find(known ? known.name : query);
+      const paths = [
+        ...ev.cases.map(c => [`/cases/${c.id}.txt`, `${c.num} · ${c.title.replace(/<[^>]+>/g, '')}`]),
+        ...ev.work.map(w => [`/work/${slugify(w.co)}.txt`, `${w.co} · ${w.title}`]),
+        ...ev.posts.map(p => [`/posts/${p.id}.txt`, p.title]),
+        ...ev.journal.map(e => [`/journal/${vfs.basename(e.file)}`, e.meta.title]),
+      ];
+      if (!io.tty) return Object.assign(paths.map(([p]) => ({ cls: 'tm-ls', v: p })), { status: ev.total ? 0 : 1 });
+      if (!ev.total) return fail(`skill: nothing on this site mentions "${known ? known.name : query}"`);
+      const width = Math.max(...paths.map(([p]) => p.length));
+      const group = (title, list) => (list.length ? [
+        { cls: 'tm-help-h', v: `${title} (${list.length})` },
+        ...list.map(([p, label]) => ({ cls: 'tm-ls', v: `  ${p.padEnd(width)}  ${label}` })),
+      ] : []);
+      const from = (prefix) => paths.filter(([p]) => p.startsWith(prefix));
+      return [
+        { cls: 'tm-body', v: known ? `${known.name} · ${known.lvl} · ${known.cat}` : query },
+        ...group('cases', from('/cases/')),
+        ...group('work', from('/work/')),
+        ...group('posts', from('/posts/')),
+        ...group('journal', from('/journal/')),
+        { cls: 'tm-muted', v: summarize(ev) },
+      ];
+    },
+  },
+  {
+    name: 'tree',
+    usage: 'tree [path]',
+    summary: 'show the directory structure',
+    complete: completeDirs,
+    run: ([path], stdin, io, sh) => {
+      const { abs, node } = sh.stat(path || '.');
+      if (!node) return fail(`tree: ${path}: No such file or directory`);
+      const lines = [{ cls: 'tm-dir', v: abs === '/' ? '/' : vfs.basename(abs) + '/' }];
+      let dirs = 0, fileCount = 0;
+      const draw = (n, prefix) => {
+        const kids = Object.entries(vfs.childrenOf(n));
+        kids.forEach(([name, child], i) => {
+          const last = i === kids.length - 1;
+          const isDir = child.type === 'dir';
+          if (isDir) dirs++; else fileCount++;
+          lines.push({ cls: isDir ? 'tm-dir' : 'tm-body', v: prefix + (last ? '└── ' : '├── ') + name + (isDir ? '/' : '') });
+          if (isDir) draw(child, prefix + (last ? '    ' : '│   '));
+        });
+      };
+      if (node.type === 'dir') draw(node, '');
+      lines.push({ cls: 'tm-muted', v: '' });
+      lines.push({ cls: 'tm-muted', v: `${dirs} director${dirs === 1 ? 'y' : 'ies'}, ${fileCount} file${fileCount === 1 ? '' : 's'}` });
+      return lines;
+    },
+  },
+  {
+    name: 'head',
+    usage: 'head [n]',
+    summary: 'first n piped lines (default 10)',
+    complete: noArgs,
+    run: headTail,
+  },
+  {
+    name: 'tail',
+    usage: 'tail [n]',
+    summary: 'last n piped lines (default 10)',
+    complete: noArgs,
+    run: headTail,
+  },
+  {
+    name: 'wc',
+    usage: 'wc [-l]',
+    summary: 'count piped lines, words, chars',
+    complete: noArgs,
+    run: (args, stdin) => {
+      if (!stdin) return fail('wc: no input. pipe into it, e.g. ls | wc -l');
+      const text = stdin.map(l => l.v || '');
+      const words = text.reduce((n, v) => n + v.split(/\s+/).filter(Boolean).length, 0);
+      const chars = text.reduce((n, v) => n + v.length + 1, 0);
+      const v = args[0] === '-l' ? String(text.length) : [text.length, words, chars].map(n => String(n).padStart(7)).join(' ');
+      return [{ cls: 'tm-body', v }];
+    },
+  },
+  {
+    name: 'sort',
+    usage: 'sort [-r]',
+    summary: 'order piped lines',
+    complete: noArgs,
+    run: (args, stdin) => {
+      if (!stdin) return fail('sort: no input. pipe into it, e.g. tag | sort -r');
+      const sorted = [...stdin].sort((a, b) => (a.v || '').localeCompare(b.v || ''));
+      return args[0] === '-r' ? sorted.reverse() : sorted;
+    },
+  },
+  {
+    name: 'uniq',
+    usage: 'uniq',
+    summary: 'drop repeated piped lines',
+    complete: noArgs,
+    run: (args, stdin) => {
+      if (!stdin) return fail('uniq: no input. pipe into it, e.g. tag | uniq');
+      return stdin.filter((l, i) => i === 0 || l.v !== stdin[i - 1].v);
+    },
+  },
+  {
+    name: 'echo',
+    usage: 'echo <text>',
+    summary: 'print its arguments · echo note >> /tmp/todo',
+    more: ['-e  interpret \\e (ESC) and \\n: echo -e "\\e[1;33mbold amber\\e[0m, \\e[4munderlined"', '-e is not run from a link: escapes could dress up anything as the site'],
+    complete: noArgs,
+    run: (args, stdin, io) => {
+      if (args[0] !== '-e') return [{ cls: 'tm-body', v: args.join(' ') }];
+      if (io.fromUrl) return fail('echo: -e is not run from a link. type it in yourself');
+      return args.slice(1).join(' ')
+        .replace(/\\(?:e|033|x1b)/g, '\x1b')
+        .split('\\n')
+        .map(v => ({ cls: 'tm-body', v }));
+    },
+  },
+  {
+    name: 'rec',
+    usage: 'rec [title]',
+    summary: 'record this session · rec stop · rec save [file.cast]',
+    more: [
+      'rec [title]        start recording (asciicast v2)',
+      'rec stop           stop; the recording then plays in the preview',
+      'rec save [name]    download the last recording as a .cast file',
+    ],
+    mutates: true,
+    complete: (word, argv) => (argv.length > 1 ? [] : ['stop', 'save'].filter(s => s.startsWith(word)).map(s => ({ value: s + ' ' }))),
+    run: ([sub, ...rest], stdin, io, sh) => {
+      const rec = sh.recorder;
+      if (sub === 'stop') {
+        if (!rec.active()) return fail('rec: not recording. start with `rec [title]`');
+        const cast = rec.stop();
+        const secs = cast.events.length ? cast.events[cast.events.length - 1][0] : 0;
+        return [
+          { cls: 'tm-sys', v: `rec: stopped · ${cast.events.length} events · ${secs.toFixed(1)}s` },
+          { cls: 'tm-muted', v: 'now playing in the preview · `rec save` downloads it as asciicast v2' },
+        ];
+      }
+      if (sub === 'save') {
+        if (!rec.last) return fail('rec: nothing recorded yet. start with `rec [title]`');
+        const name = rest[0] || `gsh-${new Date().toISOString().slice(0, 16).replace(/[-:T]/g, '')}.cast`;
+        downloadFile(name, asciicast.encode(rec.last.header, rec.last.events), 'application/x-asciicast');
+        return [{ cls: 'tm-sys', v: `rec: saved ${name}` }];
+      }
+      if (rec.active()) return fail('rec: already recording. `rec stop` to finish');
+      const title = (sub === 'start' ? rest : [sub, ...rest]).filter(Boolean).join(' ') || 'field-notebook session';
+      rec.start(title);
+      return [{ cls: 'tm-sys', v: `rec: recording "${title}" · \`rec stop\` to finish` }];
+    },
+  },
+  {
+    name: 'man',
+    usage: 'man <command>',
+    summary: 'the manual page for a command',
+    complete: completeCommands,
+    run: ([name]) => {
+      if (!name) return fail('What manual page do you want? try `man ls`');
+      const c = gsh.lookup(name);
+      if (!c) return fail(`No manual entry for ${name}`);
+      const section = (title, lines) => [{ cls: 'tm-help-h', v: title }, ...lines.map(v => ({ cls: 'tm-help', v: '    ' + v })), { cls: 'tm-help', v: '' }];
+      return [
+        ...section('NAME', [`${c.name} - ${c.summary || ''}`]),
+        ...section('SYNOPSIS', [c.usage || c.name]),
+        ...(c.aliases?.length ? section('ALIASES', [c.aliases.join(', ')]) : []),
+        ...(c.more?.length ? section('DESCRIPTION', c.more) : []),
+      ];
+    },
+  },
+  {
+    name: 'help', aliases: ['?', 'h'],
+    usage: 'help [command]',
+    summary: 'this list · help <command> is man <command>',
+    complete: completeCommands,
+    run: (args, stdin, io, sh) => {
+      if (args.length) return gsh.lookup('man').run(args, stdin, io, sh);
+      return [
+        { cls: 'tm-help-h', v: 'AVAILABLE COMMANDS' },
+        ...gsh.list().filter(c => !c.hidden).map(c => helpRow(c.usage || c.name, c.summary || '')),
+        { cls: 'tm-help', v: '' },
+        { cls: 'tm-help-h', v: 'COMPOSITION' },
+        helpRow('a | b', 'feed the output of a into b   (ls | grep kafka)'),
+        helpRow('a > f · a >> f', 'write / append output to /tmp/f, read with cat /tmp/f'),
+        helpRow('a ; b', 'run b after a'),
+        helpRow('a && b · a || b', 'run b only if a succeeded / failed'),
+        helpRow('"a b" · \'a b\'', 'quote arguments containing spaces'),
+        { cls: 'tm-help', v: '' },
+        helpRow('↑ / ↓', 'history (kept across visits) · Ctrl-R searches it'),
+        helpRow('Tab', 'complete commands, ids, titles, paths and tags'),
+        helpRow('Esc', 'close the terminal'),
+      ];
+    },
+  },
+  {
+    name: 'whoami', aliases: ['about'],
+    usage: 'whoami',
+    summary: 'about the author',
+    complete: noArgs,
+    run: () => [
+      { cls: 'tm-body', v: 'gaurav ratnawat' },
+      { cls: 'tm-muted', v: 'lead software engineer · berlin' },
+      { cls: 'tm-muted', v: 'distributed systems · kafka · kotlin · aws' },
+      { cls: 'tm-muted', v: '10+ yrs · backend platform engineering in regulated products' },
+      { cls: 'tm-muted', v: '' },
+      { cls: 'tm-muted', v: 'mail:     contact@gauravratnawat.com' },
+      { cls: 'tm-muted', v: 'phone:    +49 152 92604891' },
+      { cls: 'tm-muted', v: 'linkedin: linkedin.com/in/ratnawatgaurav' },
+    ],
+  },
+  {
+    name: 'date', aliases: ['time'],
+    usage: 'date',
+    summary: 'current time in berlin',
+    complete: noArgs,
+    run: () => {
+      const d = new Date().toLocaleString('en-GB', { timeZone: 'Europe/Berlin', dateStyle: 'full', timeStyle: 'long' });
+      return [{ cls: 'tm-body', v: d }];
+    },
+  },
+  {
+    name: 'clear', aliases: ['cls'],
+    usage: 'clear',
+    summary: 'clear screen',
+    complete: noArgs,
+    run: (args, stdin, io, sh) => { sh.clear(); return []; },
+  },
+  {
+    name: 'exit', aliases: ['quit', 'q', ':q'],
+    usage: 'exit',
+    summary: 'close terminal',
+    complete: noArgs,
+    run: (args, stdin, io, sh) => { sh.exit(); return []; },
+  },
+  // Drafts: written in the terminal, kept in this browser (journal.drafts) until exported
+  {
+    name: 'new',
+    usage: 'new <title>',
+    summary: 'write a draft in the editor (kept in this browser)',
+    more: [EDITOR_KEYS, 'the frontmatter at the top is part of the draft: edit tags and excerpt there'],
+    mutates: true,
+    complete: noArgs,
+    run: (args, stdin, io, sh) => {
+      const title = args.join(' ').trim();
+      if (!title) return fail('usage: new <title>');
+      const meta = { title, date: new Date().toISOString().slice(0, 10), tags: ['draft'], excerpt: '' };
+      sh.openEditor(null, stringifyFrontmatter(meta, `\n# ${title}\n\n`));
+      return [];
+    },
+  },
+  {
+    name: 'edit', aliases: ['vim', 'nano', 'emacs'],
+    usage: 'edit <id>',
+    summary: 'reopen a draft in the editor',
+    more: [EDITOR_KEYS, 'published notes are files in journal/: edit and commit those instead'],
+    mutates: true,
+    complete: (word, argv, sh) => completeEntries(word, argv, sh).filter(c => sh.entry(c.value.trim())?.isDraft),
+    run: ([arg], stdin, io, sh) => {
+      if (!arg) return fail(`usage: ${io.name} <id>`);
+      const e = sh.entry(arg);
+      if (!e) return fail(`${io.name}: ${arg}: No such draft. try \`ls\``);
+      if (!e.isDraft) return fail(`${io.name}: ${arg}: published notes are read-only here. edit ${e.file} and commit it.`);
+      sh.openEditor(e.draftId, stringifyFrontmatter(e.meta, e.body));
+      return [];
+    },
+  },
+  {
+    name: 'rm',
+    usage: 'rm <id>',
+    summary: 'delete a draft',
+    mutates: true,
+    complete: (word, argv, sh) => completeEntries(word, argv, sh).filter(c => sh.entry(c.value.trim())?.isDraft),
+    run: (args, stdin, io, sh) => {
+      if (!args.length) return fail('usage: rm <id>');
+      const out = [];
+      const doomed = [];
+      args.forEach(arg => {
+        const e = sh.entry(arg);
+        if (!e) out.push({ cls: 'tm-err', v: `rm: ${arg}: No such draft` });
+        else if (!e.isDraft) out.push({ cls: 'tm-err', v: `rm: ${arg}: permission denied. published notes are append-only.` });
+        else doomed.push(e);
+      });
+      if (doomed.length) sh.removeDrafts(doomed.map(e => e.draftId));
+      if (io.tty) out.push(...doomed.map(e => ({ cls: 'tm-sys', v: `removed draft: ${e.meta.title || e.file}` })));
+      return Object.assign(out, { status: doomed.length === args.length ? 0 : 1 });
+    },
+  },
+  {
+    name: 'export',
+    usage: 'export <id>',
+    summary: 'download an entry or draft as a .md file with frontmatter',
+    more: ['move the file into journal/ and run node scripts/journal-manifest.js to publish it'],
+    mutates: true,
+    complete: completeEntries,
+    run: ([arg], stdin, io, sh) => {
+      if (!arg) return fail('usage: export <id>');
+      const e = sh.entry(arg);
+      if (!e) return fail(`export: ${arg}: No such entry. try \`ls\``);
+      const name = e.isDraft
+        ? `${e.meta.date || new Date().toISOString().slice(0, 10)}-${slugify(e.meta.title || 'untitled')}.md`
+        : vfs.basename(e.file);
+      downloadFile(name, stringifyFrontmatter(e.meta, e.body), 'text/markdown');
+      return [
+        { cls: 'tm-sys', v: `export: saved ${name}` },
+        ...(e.isDraft ? [{ cls: 'tm-muted', v: `publish it: move it to journal/${name} and run node scripts/journal-manifest.js` }] : []),
+      ];
+    },
+  },
+  {
+    name: 'doctor',
+    usage: 'doctor',
+    summary: 'check the frontmatter of every entry and draft against the schema',
+    more: [
+      `fields: ${Object.entries(FRONTMATTER_SCHEMA).map(([k, f]) => k + (f.required ? '*' : '')).join(', ')} (* required)`,
+      'exits 1 when something needs fixing: doctor && export 4',
+    ],
+    complete: noArgs,
+    run: (args, stdin, io, sh) => {
+      const sick = sh.all.filter(e => e.warnings.length);
+      const count = sick.reduce((n, e) => n + e.warnings.length, 0);
+      const out = sick.flatMap(e => {
+        const gutter = e.warnings.some(w => w.line) ? 11 : 2;
+        return [
+          { cls: 'tm-ls', v: `${e.file}${e.isDraft ? ` (draft ${e.id})` : ''}` },
+          ...e.warnings.map(w => {
+            const at = `  ${w.line ? `line ${w.line}` : ''}`.padEnd(gutter);
+            return { cls: 'tm-body', v: at + w.message, spans: [{ text: at, dim: true }, { text: w.message, fg: 'yellow' }] };
+          }),
+        ];
+      });
+      const checked = `${sh.all.length} ${sh.all.length === 1 ? 'entry' : 'entries'}`;
+      out.push(count
+        ? { cls: 'tm-muted', v: `doctor: ${count} warning${count === 1 ? '' : 's'} in ${sick.length} of ${checked}` }
+        : { cls: 'tm-sys', v: `doctor: ${checked}, frontmatter ok` });
+      return Object.assign(out, { status: count ? 1 : 0 });
+    },
+  },
+  // Easter eggs
+  { name: 'sudo', hidden: true, run: () => fail('nice try. this is a read-only notebook.') },
+];
+
+BUILTIN_COMMANDS.forEach(c => gsh.register(c));
+
 function Journal() {
-  const [entries, setEntries] = useState([]);
+  const [entries, setEntries] = useState(fromManifest);
   const [drafts, setDrafts] = useState(() => {
     try { return JSON.parse(localStorage.getItem('journal.drafts') || '[]'); } catch { return []; }
   });
-  const [fullscreen, setFullscreen] = useState(false);
+  // Commands waiting to replay from a deep link once everything has loaded
+  const [pending, setPending] = useState(() => parseDeepLink(window.location.hash));
+  const [fullscreen, setFullscreen] = useState(() => pending !== null);
+  const [entriesLoaded, setEntriesLoaded] = useState(false);
+  const [mountsLoaded, setMountsLoaded] = useState(false);
+  const [pager, setPager] = useState(null); // { title, lines } while `less` is open
+  const [editor, setEditor] = useState(null); // { id, name, text } while `new` / `edit` is open
   const [history, setHistory] = useState([]); // { kind: 'cmd'|'out', cmd?, lines }
   const [input, setInput] = useState('');
-  const [cmdLog, setCmdLog] = useState([]);
+  const [cmdLog, setCmdLog] = useState(() => {
+    try { return JSON.parse(localStorage.getItem('journal.history') || '[]'); } catch { return []; }
+  });
   const [cmdIdx, setCmdIdx] = useState(-1);
+  const [rsearch, setRsearch] = useState(null); // { query, idx, orig } during Ctrl-R
+  const [posts, setPosts] = useState([]);
+  const [liSkills, setLiSkills] = useState([]);
+  const [liCerts, setLiCerts] = useState([]);
+  // cwd lives in a ref too, so `cd x; ls` sees the new directory within one command line
+  const [cwd, setCwdState] = useState(vfs.HOME);
+  const cwdRef = useRef(vfs.HOME);
+  const setCwd = (p) => { cwdRef.current = p; setCwdState(p); };
   const inputRef = useRef();
   const bodyRef = useRef();
+  // Session recording: recRef holds the asciicast being written while `rec` runs
+  const recRef = useRef(null); // { title, wall, start, events, echoed, promptAt }
+  const [recording, setRecording] = useState(false);
+  const [lastCast, setLastCast] = useState(null);
+  const [tourCast, setTourCast] = useState(null);
 
-  // Load entries
+  // Load entries: the manifest lists them at once, the notes (components/content.js)
+  // fill in their bodies the first time the terminal opens
+  const notesRequested = useRef(false);
   useEffect(() => {
-    const files = window.JOURNAL_FILES || [];
-    Promise.all(files.map((f, i) =>
-      fetch(f).then(r => r.text()).then(text => {
-        const { meta, body } = window.parseFrontmatter(text);
-        return { id: i + 1, file: f, meta, body };
-      }).catch(() => null)
-    )).then(all => {
-      const valid = all.filter(Boolean).sort((a, b) => (b.meta.date || '').localeCompare(a.meta.date || ''));
+    if (!fullscreen || notesRequested.current) return;
+    notesRequested.current = true;
+    const listed = new Map(fromManifest().map(e => [e.file, e]));
+    loadNotes().then(notes => {
+      const valid = notes
+        .map(({ file, meta, body, warnings }) => ({ ...listed.get(file), meta, body, warnings, outline: null }))
+        .sort((a, b) => (b.meta.date || '').localeCompare(a.meta.date || ''));
       // Re-number by date-desc order
       setEntries(valid.map((e, i) => ({ ...e, id: i + 1 })));
+      setEntriesLoaded(true);
     });
+  }, [fullscreen]);
+
+  // Load the other mounts
+  useEffect(() => {
+    const json = (url) => loadJson(url).catch(() => []);
+    Promise.all([json('posts/posts.json'), json('data/linkedin-skills.json'), json('data/linkedin-certs.json')])
+      .then(([p, s, c]) => {
+        setPosts(p);
+        setLiSkills(s);
+        setLiCerts(c);
+        setMountsLoaded(true);
+      });
+  }, []);
+
+  // The guided tour that plays in the preview, if one has been recorded
+  useEffect(() => {
+    fetch('journal/tour.cast')
+      .then(r => (r.ok ? r.text() : Promise.reject(r.status)))
+      .then(text => setTourCast(asciicast.decode(text)))
+      .catch(() => {});
   }, []);
 
   const all = useMemo(() => {
     return [
       ...entries,
-      ...drafts.map((d, i) => ({ id: entries.length + i + 1, file: `drafts/${d.id}.md`, meta: d.meta, body: d.body, isDraft: true })),
-    ];
+      ...drafts.map((d, i) => ({ id: entries.length + i + 1, file: `journal/${d.id}.md`, meta: d.meta, body: d.body, isDraft: true, draftId: d.id, warnings: validateFrontmatter(d.meta).warnings })),
+    ].map(e => ({ ...e, outline: e.outline || outlineOf(e.body) }));
   }, [entries, drafts]);
 
+  // Drafts live in this browser until they are exported and committed
+  useEffect(() => {
+    try { localStorage.setItem('journal.drafts', JSON.stringify(drafts)); } catch {}
+  }, [drafts]);
+
+  // Command history survives reloads
+  useEffect(() => {
+    try { localStorage.setItem('journal.history', JSON.stringify(cmdLog)); } catch {}
+  }, [cmdLog]);
+
   // Auto-scroll on history change
   useEffect(() => {
     if (bodyRef.current) bodyRef.current.scrollTop = bodyRef.current.scrollHeight;
@@ -92,198 +1297,447 @@ function Journal() {
   // Focus input when fullscreen opens
   useEffect(() => {
     if (fullscreen) {
-      setHistory([
-        { kind: 'out', lines: BOOT_LINES.map(l => ({ cls: 'tm-sys', v: l.v })) },
-      ]);
+      setHistory([{ kind: 'out', lines: BOOT_LINES.map(l => ({ cls: 'tm-sys', v: l.v })) }]);
+      reachable().then(online => {
+        if (!online) setHistory(h => h.map((out, i) => (i ? out : { ...out, lines: [...out.lines, { cls: 'tm-sys', v: OFFLINE_LINE.v }] })));
+      });
       setTimeout(() => inputRef.current?.focus(), 100);
+    } else if (parseDeepLink(window.location.hash)) {
+      // Closing leaves a plain #journal behind; back reopens where the reader was
+      window.history.pushState(null, '', '#journal');
     }
   }, [fullscreen]);
 
+  // Back/forward between deep links (and links pasted into the address bar)
+  useEffect(() => {
+    const onHash = () => {
+      const cmds = parseDeepLink(window.location.hash);
+      if (!cmds) { setFullscreen(false); return; }
+      setFullscreen(true);
+      setPending(cmds);
+    };
+    window.addEventListener('hashchange', onHash);
+    return () => window.removeEventListener('hashchange', onHash);
+  }, []);
+
   // Esc to close
   useEffect(() => {
-    const onKey = (e) => { if (e.key === 'Escape' && fullscreen) setFullscreen(false); };
+    const onKey = (e) => { if (e.key === 'Escape' && fullscreen && !pager && !editor) setFullscreen(false); };
     window.addEventListener('keydown', onKey);
     return () => window.removeEventListener('keydown', onKey);
-  }, [fullscreen]);
+  }, [fullscreen, pager, editor]);
 
-  const pushOut = (lines) => setHistory(h => [...h, { kind: 'out', lines }]);
-  const pushCmd = (cmd, path = '~/journal') => setHistory(h => [...h, { kind: 'cmd', cmd, path }]);
+  // Back to the prompt when the pager or editor quits
+  useEffect(() => {
+    if (fullscreen && !pager && !editor) inputRef.current?.focus();
+  }, [pager, editor]);
 
-  const fmt = (d) => {
-    if (!d) return '????-??-??';
-    return d.slice(0, 10);
+  // Recorder. The cast mirrors what a real terminal would have written: typed
+  // characters as they're typed, output lines in colour, and a prompt after each line.
+  const record = (data) => {
+    const rec = recRef.current;
+    if (rec && data) rec.events.push([+((performance.now() - rec.start) / 1000).toFixed(3), 'o', data]);
+  };
+  const recordLines = (lines) => record(lines.map(asciicast.lineOut).join('\r\n') + '\r\n');
+  const recordPrompt = () => {
+    const { toSgr } = asciicast;
+    record(`${toSgr('tm-user')}gaurav@berlin\x1b[0m:${toSgr('tm-path')}${cwdRef.current}\x1b[0m$ `);
+    if (recRef.current) recRef.current.promptAt = recRef.current.events.length;
+  };
+  // Brings the recorded prompt line in line with `value`: backspace over what
+  // changed, then type the rest.
+  const recordEcho = (value) => {
+    const rec = recRef.current;
+    if (!rec || value === rec.echoed) return;
+    let common = 0;
+    while (common < value.length && value[common] === rec.echoed[common]) common++;
+    record('\b \b'.repeat(rec.echoed.length - common) + value.slice(common));
+    rec.echoed = value;
   };
+  useEffect(() => recordEcho(input), [input]);
 
-  const runLs = () => {
-    pushOut([
-      { cls: 'tm-muted', v: `total ${all.length}` },
-      ...all.map((e, i) => ({
-        cls: 'tm-ls',
-        v: [
-          String(e.id).padStart(3, '0'),
-          fmt(e.meta.date),
-          (e.meta.tags?.[0] || 'n/a').padEnd(12),
-          '·',
-          e.meta.title || 'Untitled',
-          e.isDraft ? ' (draft)' : '',
-        ].join('  '),
-      })),
-      { cls: 'tm-muted', v: '' },
-      { cls: 'tm-muted', v: `read with: cat <id>   e.g. cat 1` },
-    ]);
+  const pushOut = (lines) => {
+    recordLines(lines);
+    setHistory(h => [...h, { kind: 'out', lines }]);
+  };
+  const pushCmd = (cmd, path = cwdRef.current) => {
+    recordEcho(cmd);
+    record('\r\n');
+    if (recRef.current) recRef.current.echoed = '';
+    setHistory(h => [...h, { kind: 'cmd', cmd, path }]);
   };
 
-  const runCat = (arg) => {
-    const n = parseInt(arg, 10);
-    const entry = all.find(e => e.id === n);
-    if (!entry) {
-      pushOut([{ cls: 'tm-err', v: `cat: ${arg}: no such entry. try \`ls\`` }]);
-      return;
-    }
-    const header = [
-      { cls: 'tm-cat-file', v: `── ${entry.file} ` + '─'.repeat(Math.max(0, 70 - entry.file.length - 4)) },
-      { cls: 'tm-meta', v: `date:    ${entry.meta.date || 'n/a'}` },
-      { cls: 'tm-meta', v: `title:   ${entry.meta.title || 'Untitled'}` },
-      { cls: 'tm-meta', v: `tags:    ${(entry.meta.tags || []).join(', ') || 'n/a'}` },
-      { cls: 'tm-cat-file', v: '─'.repeat(70) },
-      { cls: 'tm-body', v: '' },
-    ];
-    const bodyText = stripMdToTerminal(entry.body);
-    const bodyLines = bodyText.split('\n').map(v => ({ cls: 'tm-body', v }));
-    const footer = [
-      { cls: 'tm-body', v: '' },
-      { cls: 'tm-cat-file', v: '─'.repeat(70) },
-      { cls: 'tm-muted', v: `EOF · gaurav ratnawat, berlin · ${entry.meta.date || ''}` },
-    ];
-    pushOut([...header, ...bodyLines, ...footer]);
+  const scratchRef = useRef({}); // /tmp: session files written with > and >>
+
+  // Mounts every section of the site: /journal /posts /cases /work /skills, plus a writable /tmp.
+  const root = useMemo(() => {
+    const { dir, file } = vfs;
+    const slug = slugify;
+    const plain = (html) => html.replace(/<[^>]+>/g, '');
+    const paragraphs = (html) => plain(html.replace(/<\/p>/g, '\n\n')).trim();
+    const files = (list) => Object.fromEntries(list);
+
+    return dir({
+      journal: dir(files(all.map(e => [
+        vfs.basename(e.file),
+        file(() => catEntry(e), {
+          label: e.meta.title, date: e.meta.date, entry: e, writable: e.isDraft,
+          tags: e.meta.tags, text: mdToTerminalLines(e.body).map(l => l.v).join('\n'),
+        }),
+      ])), {
+        list: () => all.map(e => ({
+          cls: 'tm-ls',
+          v: [
+            String(e.id).padStart(3, '0'),
+            shortDate(e.meta.date),
+            (e.meta.tags?.[0] || 'n/a').padEnd(12),
+            '·',
+            e.meta.title || 'Untitled',
+            e.isDraft ? ' (draft)' : '',
+          ].join('  '),
+        })),
+      }),
+
+      posts: dir(files(posts.map(p => [`${p.id}.txt`, file(() => docLines(`posts/${p.id}.txt`, [
+        ['date', p.date],
+        ['title', p.title],
+        ['tags', (p.tags || []).join(', ')],
+        ['url', p.url],
+      ], textLines(p.body), `EOF · linkedin · ${p.date || ''}`), { label: p.title, date: p.date, tags: p.tags, text: p.body })]))),
+
+      cases: dir(files(CASES.map(c => {
+        const name = `${c.id}.txt`;
+        return [name, file(() => docLines(`cases/${name}`, [
+          ['case', c.num],
+          ['client', c.client],
+          ['role', c.role],
+          ['stack', c.stack.join(', ')],
+        ], [
+          ...textLines(paragraphs(c.body)),
+          { cls: 'tm-body', v: '' },
+          ...(c.stats || []).map(s => ({ cls: 'tm-meta', v: `  ${(s.v + s.sup).padEnd(12)} ${s.k}` })),
+          { cls: 'tm-body', v: '' },
+          ...c.bullets.map(b => ({ cls: 'tm-body', v: `  • ${b}` })),
+        ], `EOF · ${c.num} · ${c.client}`), {
+          label: plain(c.title), tags: c.stack,
+          text: [c.client, c.role, paragraphs(c.body), ...c.bullets].join('\n'),
+        })];
+      }))),
+
+      work: dir(files(WORK.map(w => [`${slug(w.co)}.txt`, file(() => docLines(`work/${slug(w.co)}.txt`, [
+        ['company', w.co],
+        ['title', w.title],
+        ['where', w.loc],
+        ['when', w.date],
+      ], textLines(w.tag), `EOF · ${w.co}`), { label: `${w.title} · ${w.date}`, text: `${w.co}\n${w.loc}\n${w.tag}` })]))),
+
+      skills: dir({
+        ...files(SKILLS.map(s => [`${slug(s.cat)}.txt`, file(() => [
+          { cls: 'tm-help-h', v: `${s.sig} · ${s.cat.toUpperCase()}` },
+          ...s.items.map(([name, lvl]) => ({ cls: 'tm-ls', v: `  ${name.padEnd(34)} ${lvl}` })),
+        ], { label: s.cat })])),
+        'linkedin-endorsed.txt': file(() => liSkills.map(s => ({ cls: 'tm-ls', v: s.name })), { label: `${liSkills.length} endorsed skills` }),
+        'certifications.txt': file(() => liCerts.map(c => ({
+          cls: 'tm-ls', v: `${(c.date || '').padEnd(9)} ${c.name} · ${c.authority}`,
+        })), { label: `${liCerts.length} courses & certificates` }),
+      }),
+
+      tmp: dir(() => files(Object.entries(scratchRef.current).map(([name, lines]) => [
+        name, file(() => lines, { writable: true }),
+      ]))),
+    });
+  }, [all, posts, liSkills, liCerts]);
+
+  // Every mounted file goes into the site-wide search index (shared with the
+  // Signals section); `text` is a file's searchable body where it has one.
+  const indexedRef = useRef(new Set());
+  useEffect(() => {
+    const seen = new Set();
+    vfs.walk(root, '/', (node, abs) => {
+      if (node.type !== 'file' || abs.startsWith('/tmp/')) return;
+      seen.add(abs);
+      siteSearch.add({
+        id: abs,
+        kind: abs.split('/')[1],
+        title: node.label || vfs.basename(abs),
+        tags: node.tags || [],
+        body: node.text ?? node.read().map(l => l.v || '').join('\n'),
+      });
+    });
+    indexedRef.current.forEach(id => { if (!seen.has(id)) siteSearch.remove(id); });
+    indexedRef.current = seen;
+  }, [root]);
+
+  const stat = (path) => {
+    const abs = vfs.resolve(cwdRef.current, path);
+    return { abs, node: vfs.lookup(root, abs) };
   };
 
-  const runHelp = () => {
-    pushOut([
-      { cls: 'tm-help-h', v: 'AVAILABLE COMMANDS' },
-      { cls: 'tm-help', v: '  ls              list all journal entries' },
-      { cls: 'tm-help', v: '  cat <id>        read entry by number (e.g. cat 2)' },
-      { cls: 'tm-help', v: '  open <id>       alias for cat' },
-      { cls: 'tm-help', v: '  grep <term>     search titles & bodies' },
-      { cls: 'tm-help', v: '  tag <name>      filter entries by tag' },
-      { cls: 'tm-help', v: '  tree            show entry structure' },
-      { cls: 'tm-help', v: '  whoami          about the author' },
-      { cls: 'tm-help', v: '  date            current time in berlin' },
-      { cls: 'tm-help', v: '  clear           clear screen' },
-      { cls: 'tm-help', v: '  exit            close terminal' },
-      { cls: 'tm-help', v: '' },
-      { cls: 'tm-help', v: '  ↑ / ↓           history · Tab completes · Esc closes' },
-    ]);
+  // An entry by number (`2`), path (`p99-lies.md`, `/journal/...`) or its file (`journal/...`).
+  const findEntry = (arg) => stat(arg).node?.entry
+    || all.find(e => (/^\d+$/.test(arg) && e.id === parseInt(arg, 10)) || e.file === arg);
+
+  const saveDraft = (id, text) => {
+    const { meta, body } = parseFrontmatter(text);
+    if (!meta.title) return 'not saved: the frontmatter needs a title: line';
+    const draft = { id, meta, body, html: mdToHtml(body), isDraft: true };
+    setDrafts(ds => (ds.some(d => d.id === id) ? ds.map(d => (d.id === id ? draft : d)) : [...ds, draft]));
+    return null;
   };
 
-  const runGrep = (term) => {
-    if (!term) { pushOut([{ cls: 'tm-err', v: 'usage: grep <term>' }]); return; }
-    const t = term.toLowerCase();
-    const hits = all.filter(e =>
-      (e.meta.title || '').toLowerCase().includes(t) ||
-      (e.body || '').toLowerCase().includes(t)
-    );
-    if (!hits.length) { pushOut([{ cls: 'tm-muted', v: `no matches for "${term}"` }]); return; }
-    pushOut([
-      { cls: 'tm-muted', v: `${hits.length} match${hits.length === 1 ? '' : 'es'}` },
-      ...hits.map(e => ({
-        cls: 'tm-ls',
-        v: `${String(e.id).padStart(3,'0')}  ${fmt(e.meta.date)}  · ${e.meta.title}`,
-      })),
-    ]);
+  const runCat = (args, stdin) => {
+    if (!args.length) return stdin || fail('usage: cat <file|id>');
+    const out = [];
+    let status = 0;
+    args.forEach(arg => {
+      const [target, anchor] = splitAnchor(arg);
+      const section = anchor && findEntry(target);
+      if (section) {
+        const lines = catEntry(section, anchor);
+        if (lines) out.push(...lines);
+        else { out.push({ cls: 'tm-err', v: `cat: ${arg}: no such section. try \`toc ${section.id}\`` }); status = 1; }
+        return;
+      }
+      const { node } = stat(arg);
+      const entry = all.find(e => (/^\d+$/.test(arg) && e.id === parseInt(arg, 10)) || e.file === arg);
+      if (node?.type === 'file') out.push(...node.read());
+      else if (node) { out.push({ cls: 'tm-err', v: `cat: ${arg}: Is a directory` }); status = 1; }
+      else if (entry) out.push(...catEntry(entry));
+      else { out.push({ cls: 'tm-err', v: `cat: ${arg}: No such file or directory. try \`ls\`` }); status = 1; }
+    });
+    return Object.assign(out, { status });
   };
 
-  const runTag = (tag) => {
-    if (!tag) {
-      const all_tags = [...new Set(all.flatMap(e => e.meta.tags || []))].sort();
-      pushOut([
-        { cls: 'tm-muted', v: `${all_tags.length} tags available:` },
-        { cls: 'tm-ls', v: '  ' + all_tags.map(t => '#' + t).join('  ') },
-        { cls: 'tm-muted', v: 'usage: tag <name>' },
-      ]);
-      return;
+  // Tab completion of paths relative to cwd: { value, label? }, where value
+  // replaces the word (a trailing space means "complete").
+  const completePaths = (word, dirsOnly = false) => {
+    const cut = word.lastIndexOf('/') + 1;
+    const dirPart = word.slice(0, cut), base = word.slice(cut);
+    const node = vfs.lookup(root, vfs.resolve(cwdRef.current, dirPart || '.'));
+    if (!node || node.type !== 'dir') return [];
+    return Object.entries(vfs.childrenOf(node))
+      .filter(([name, n]) => name.startsWith(base) && (!dirsOnly || n.type === 'dir'))
+      .map(([name, n]) => ({ value: dirPart + name + (n.type === 'dir' ? '/' : ' '), label: n.label }));
+  };
+
+  const recorder = {
+    active: () => recRef.current !== null,
+    start: (title) => {
+      recRef.current = { title, wall: Date.now(), start: performance.now(), events: [], echoed: '', promptAt: 0 };
+      setRecording(true);
+    },
+    stop: () => {
+      const rec = recRef.current;
+      recRef.current = null;
+      setRecording(false);
+      const cast = {
+        header: {
+          width: 100, height: 32,
+          timestamp: Math.floor(rec.wall / 1000),
+          title: rec.title,
+          env: { TERM: 'xterm-256color', SHELL: '/bin/gsh' },
+        },
+        events: rec.events.slice(0, rec.promptAt), // drop the `rec stop` line itself
+      };
+      setLastCast(cast);
+      return cast;
+    },
+    last: lastCast,
+  };
+
+  // Every skill the Stack section lists, curated first, and what backs each one up
+  const skills = useMemo(() => {
+    const seen = new Set();
+    return [
+      ...SKILLS.flatMap(s => s.items.map(([name, lvl]) => ({ name, lvl, cat: s.cat }))),
+      ...liSkills.map(s => ({ name: s.name, lvl: 'endorsed', cat: s.bucket })),
+    ].filter(s => !seen.has(slugify(s.name)) && seen.add(slugify(s.name)));
+  }, [liSkills]);
+  const evidence = useMemo(() => createEvidence({ cases: CASES, work: WORK, journal: entries, posts }), [entries, posts]);
+
+  // What command handlers see of the shell (the `sh` argument of a gsh command).
+  const sh = {
+    all,
+    root,
+    get cwd() { return cwdRef.current; },
+    setCwd,
+    stat,
+    cat: runCat,
+    tags: () => [...new Set(all.flatMap(e => e.meta.tags || []))].sort(),
+    skills,
+    evidence,
+    page: (title, lines, at = 0) => { recordLines(lines); setPager({ title, lines, at }); },
+    entry: findEntry,
+    openEditor: (id, text) => {
+      const draftId = id || `draft-${Date.now()}`;
+      setEditor({ id: draftId, name: `journal/${draftId}.md`, text });
+    },
+    removeDrafts: (ids) => setDrafts(ds => ds.filter(d => !ids.includes(d.id))),
+    clear: () => { record('\x1b[2J\x1b[H'); setHistory([]); },
+    exit: () => setFullscreen(false),
+    recorder,
+    completePaths,
+    fail, textLines, docLines, entryRow,
+  };
+
+  const dispatch = (cmd, args, stdin, io) => {
+    const spec = gsh.lookup(cmd);
+    if (spec?.mutates && io.fromUrl) return fail(`${cmd}: not run from a link. type it in yourself`);
+    if (!spec) {
+      const near = gsh.suggest(cmd);
+      return Object.assign([
+        { cls: 'tm-err', v: `gsh: command not found: ${cmd}` },
+        { cls: 'tm-muted', v: near ? `did you mean \`${near}\`?` : 'type `help` for commands' },
+      ], { status: 127 });
     }
-    const hits = all.filter(e => (e.meta.tags || []).includes(tag));
-    if (!hits.length) { pushOut([{ cls: 'tm-muted', v: `no entries tagged #${tag}` }]); return; }
-    pushOut([
-      { cls: 'tm-muted', v: `${hits.length} entries tagged #${tag}` },
-      ...hits.map(e => ({
-        cls: 'tm-ls',
-        v: `${String(e.id).padStart(3,'0')}  ${fmt(e.meta.date)}  · ${e.meta.title}`,
-      })),
-    ]);
+    try { return styled(spec.run(args, stdin, { tty: io.tty, name: cmd, fromUrl: io.fromUrl }, sh) || []); }
+    catch (err) { return fail(`${cmd}: ${err.message}`); }
   };
 
-  const runTree = () => {
-    const byYear = {};
-    all.forEach(e => {
-      const y = (e.meta.date || 'undated').slice(0, 4);
-      (byYear[y] = byYear[y] || []).push(e);
-    });
-    const years = Object.keys(byYear).sort().reverse();
-    const lines = [{ cls: 'tm-body', v: 'journal/' }];
-    years.forEach((y, yi) => {
-      const isLastY = yi === years.length - 1;
-      lines.push({ cls: 'tm-body', v: (isLastY ? '└── ' : '├── ') + y + '/' });
-      byYear[y].forEach((e, ei) => {
-        const isLastE = ei === byYear[y].length - 1;
-        lines.push({ cls: 'tm-body', v: (isLastY ? '    ' : '│   ') + (isLastE ? '└── ' : '├── ') + String(e.id).padStart(3,'0') + '  ' + e.meta.title });
-      });
-    });
-    lines.push({ cls: 'tm-muted', v: '' });
-    lines.push({ cls: 'tm-muted', v: `${all.length} entries across ${years.length} year${years.length === 1 ? '' : 's'}` });
-    pushOut(lines);
+  // Only /tmp is writable; returns error lines for anything else.
+  const redirectTo = ({ mode, target }, lines) => {
+    const abs = vfs.resolve(cwdRef.current, target);
+    if (abs === '/dev/null') return [];
+    if (vfs.dirname(abs) !== '/tmp') {
+      return [{ cls: 'tm-err', v: `gsh: ${target}: Read-only file system. try > /tmp/${vfs.basename(abs)}` }];
+    }
+    const name = vfs.basename(abs);
+    const prev = mode === '>>' ? scratchRef.current[name] || [] : [];
+    scratchRef.current = { ...scratchRef.current, [name]: [...prev, ...lines] };
+    return [];
   };
 
-  const runWhoami = () => {
-    pushOut([
-      { cls: 'tm-body', v: 'gaurav ratnawat' },
-      { cls: 'tm-muted', v: 'lead software engineer · berlin' },
-      { cls: 'tm-muted', v: 'distributed systems · kafka · kotlin · aws' },
-      { cls: 'tm-muted', v: '10+ yrs · backend platform engineering in regulated products' },
-      { cls: 'tm-muted', v: '' },
-      { cls: 'tm-muted', v: 'mail:     contact@gauravratnawat.com' },
-      { cls: 'tm-muted', v: 'phone:    +49 152 92604891' },
-      { cls: 'tm-muted', v: 'linkedin: linkedin.com/in/ratnawatgaurav' },
-    ]);
+  // Runs `a | b | c`. Error lines go straight to the screen (stderr) rather than
+  // down the pipe; the pipeline's status is that of its last command.
+  const runPipeline = (pipeline, fromUrl) => {
+    let stdin = null, status = 0;
+    pipeline.forEach(({ argv: [cmd, ...args], redirect }, i) => {
+      const piped = i < pipeline.length - 1;
+      const out = dispatch(cmd, args, stdin, { tty: !piped && !redirect, fromUrl });
+      status = out.status || 0;
+      if (!piped && !redirect) { if (out.length) pushOut(out); return; }
+      const errs = out.filter(l => l.cls === 'tm-err');
+      const lines = out.filter(l => l.cls !== 'tm-err');
+      if (redirect) {
+        const denied = redirectTo(redirect, lines);
+        if (denied.length) { errs.push(...denied); status = 1; }
+      }
+      if (errs.length) pushOut(errs);
+      stdin = redirect ? [] : lines;
+    });
+    return status;
   };
 
-  const runDate = () => {
-    const d = new Date().toLocaleString('en-GB', { timeZone: 'Europe/Berlin', dateStyle: 'full', timeStyle: 'long' });
-    pushOut([{ cls: 'tm-body', v: d }]);
+  const exec = (raw, opts) => {
+    runLine(raw, opts);
+    recordPrompt();
   };
 
-  const exec = (raw) => {
+  const runLine = (raw, { fromUrl = false } = {}) => {
     const trimmed = raw.trim();
     if (!trimmed) { pushCmd(''); return; }
+    const cwdBefore = cwdRef.current;
     pushCmd(trimmed);
-    setCmdLog(l => [...l, trimmed]);
+    setCmdLog(l => (l[l.length - 1] === trimmed ? l : [...l, trimmed]).slice(-HISTORY_MAX));
     setCmdIdx(-1);
 
-    const [cmd, ...args] = trimmed.split(/\s+/);
-    const arg = args.join(' ');
-
-    switch (cmd) {
-      case 'ls': case 'll': case 'dir': runLs(); break;
-      case 'cat': case 'open': case 'read': case 'less': case 'more': runCat(arg); break;
-      case 'help': case '?': case 'h': runHelp(); break;
-      case 'grep': case 'search': case 'find': runGrep(arg); break;
-      case 'tag': case 'tags': runTag(arg); break;
-      case 'tree': runTree(); break;
-      case 'whoami': case 'about': runWhoami(); break;
-      case 'date': case 'time': runDate(); break;
-      case 'clear': case 'cls': setHistory([]); break;
-      case 'exit': case 'quit': case 'q': case ':q': setFullscreen(false); break;
-      case 'echo': pushOut([{ cls: 'tm-body', v: arg }]); break;
-      case 'pwd': pushOut([{ cls: 'tm-body', v: '/home/gaurav/journal' }]); break;
-      case 'sudo': pushOut([{ cls: 'tm-err', v: 'nice try. this is a read-only notebook.' }]); break;
-      case 'vim': case 'nano': case 'emacs': pushOut([{ cls: 'tm-err', v: `${cmd}: this is a reader. write notes in markdown and commit them to /journal/.` }]); break;
-      case 'rm': pushOut([{ cls: 'tm-err', v: 'rm: permission denied. notes are append-only.' }]); break;
-      default: pushOut([{ cls: 'tm-err', v: `gsh: command not found: ${cmd}` }, { cls: 'tm-muted', v: 'type `help` for commands' }]);
+    let list;
+    try { list = parseCommandLine(trimmed); }
+    catch (err) { pushOut([{ cls: 'tm-err', v: `gsh: ${err.message}` }]); return; }
+
+    let status = 0;
+    list.forEach(({ op, pipeline }) => {
+      if ((op === '&&' && status !== 0) || (op === '||' && status === 0)) return;
+      status = runPipeline(pipeline, fromUrl);
+    });
+
+    if (!fromUrl && !status && DEEP_LINK_COMMANDS.includes(list[0].pipeline[0].argv[0])) {
+      window.history.pushState(null, '', deepLink(trimmed, cwdBefore));
+    }
+  };
+
+  // The hash for a command line typed in `cwd`, with paths made site-absolute.
+  const deepLink = (line, cwd) => {
+    const m = line.match(/^(\S+)(?:\s+(\S+))?$/);
+    if (m && !/[|;&>'"\\]/.test(line)) {
+      const [target, anchor] = m[2] ? splitAnchor(m[2]) : [];
+      const abs = target && vfs.resolve(cwd, target);
+      const arg = abs && vfs.lookup(root, abs) ? (abs.slice(1) || '/') + (anchor ? '#' + anchor : '') : m[2];
+      return '#journal/' + [m[1], ...(arg ? arg.split('/') : [])].map(encodeURIComponent).join('/');
+    }
+    return '#journal?' + [...(cwd === '/' ? [] : [`cd ${cwd}`]), line].map(c => 'cmd=' + encodeURIComponent(c)).join('&');
+  };
+
+  // Replay deep-linked commands after the entries and mounts are in
+  useEffect(() => {
+    if (!pending || !fullscreen || !entriesLoaded || !mountsLoaded) return;
+    setCwd('/');
+    pending.forEach(line => exec(line, { fromUrl: true }));
+    setPending(null);
+  }, [pending, fullscreen, entriesLoaded, mountsLoaded]);
+
+  // Tab completion candidates for the word under the cursor: command names
+  // first, then whatever the command's completer offers (paths by default).
+  const completions = (argv, word) => {
+    if (!argv.length) return gsh.list().filter(c => !c.hidden && c.name.startsWith(word)).map(c => ({ value: c.name + ' ' }));
+    const spec = gsh.lookup(argv[0]);
+    return spec?.complete ? spec.complete(word, argv, sh) : completePaths(word);
+  };
+
+  const complete = () => {
+    const { argv, word, start } = completionContext(input);
+    const seen = new Set();
+    const cands = completions(argv, word).filter(c => !seen.has(c.value) && seen.add(c.value));
+    if (!cands.length) return;
+    const prefix = cands.map(c => c.value).reduce((a, b) => {
+      let i = 0;
+      while (i < a.length && a[i] === b[i]) i++;
+      return a.slice(0, i);
+    });
+    if (cands.length === 1 || prefix.length > word.length) { setInput(input.slice(0, start) + prefix); return; }
+    // Ambiguous: list the candidates under the current line, bash-style
+    pushCmd(input);
+    pushOut(cands.map(c => ({ cls: 'tm-ls', v: c.value.trim().padEnd(30) + (c.label ? '  · ' + c.label : '') })));
+    recordPrompt();
+    recordEcho(input);
+  };
+
+  // Ctrl-R: incremental search backwards through cmdLog, starting at `from`.
+  const reverseSearch = (query, from) => {
+    const { orig } = rsearch;
+    let i = from;
+    while (query && i >= 0 && !cmdLog[i].includes(query)) i--;
+    setRsearch({ query, idx: query ? i : -1, orig });
+    setInput(query && i >= 0 ? cmdLog[i] : orig);
+  };
+
+  const onSearchKey = (e) => {
+    const { query, idx, orig } = rsearch;
+    const printable = e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey;
+    if (e.ctrlKey && e.key === 'r') {
+      e.preventDefault();
+      if (idx > 0) reverseSearch(query, idx - 1);
+    } else if ((e.ctrlKey && e.key === 'g') || e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      setRsearch(null);
+      setInput(orig);
+    } else if (e.key === 'Backspace') {
+      e.preventDefault();
+      reverseSearch(query.slice(0, -1), cmdLog.length - 1);
+    } else if (printable) {
+      e.preventDefault();
+      reverseSearch(query + e.key, idx >= 0 ? idx : cmdLog.length - 1);
+    } else {
+      // Anything else accepts the match and carries on as a normal key press
+      setRsearch(null);
+      return false;
     }
+    return true;
   };
 
   const onKey = (e) => {
+    if (rsearch && onSearchKey(e)) return;
     if (e.key === 'Enter') {
       e.preventDefault();
       exec(input);
@@ -302,21 +1756,27 @@ function Journal() {
       else { setCmdIdx(next); setInput(cmdLog[next]); }
     } else if (e.key === 'Tab') {
       e.preventDefault();
-      const cmds = ['ls', 'cat', 'open', 'grep', 'tag', 'tree', 'whoami', 'date', 'help', 'clear', 'exit'];
-      const match = cmds.find(c => c.startsWith(input.toLowerCase()));
-      if (match) setInput(match + ' ');
+      complete();
+    } else if (e.ctrlKey && e.key === 'r') {
+      e.preventDefault();
+      setRsearch({ query: '', idx: -1, orig: input });
     } else if (e.ctrlKey && e.key === 'l') {
       e.preventDefault();
+      record('\x1b[2J\x1b[H');
       setHistory([]);
+      recordPrompt();
     } else if (e.ctrlKey && e.key === 'c') {
       e.preventDefault();
       pushCmd(input + '^C');
+      recordPrompt();
       setInput('');
     }
   };
 
-  // Section-preview mini terminal (3 entries + CTA)
+  // Section-preview mini terminal: replays a recording when there is one,
+  // otherwise 3 entries + CTA
   const previewEntries = all.slice(0, 3);
+  const previewCast = lastCast || tourCast;
 
   return (
     <section id="journal">
@@ -336,15 +1796,19 @@ function Journal() {
             <div className="tm-hint">click to open ⌘↵</div>
           </div>
           <div className="tm-body tm-body-preview">
-            <div className="tm-line"><span className="tm-sys">field-notebook v2.6.04 / {entries.length} entries loaded</span></div>
-            <div className="tm-line"><Prompt inline /> ls</div>
-            {previewEntries.map(e => (
-              <div className="tm-line tm-ls" key={e.id}>
-                {String(e.id).padStart(3, '0')}  {fmt(e.meta.date)}  {(e.meta.tags?.[0] || 'n/a').padEnd(12)}  ·  {e.meta.title}
-              </div>
-            ))}
-            <div className="tm-line tm-muted">... {Math.max(0, all.length - 3)} more entries</div>
-            <div className="tm-line"><Prompt inline /> <span className="tm-caret">_</span></div>
+            {previewCast ? <CastPlayer cast={previewCast} /> : (
+              <>
+                <div className="tm-line"><span className="tm-sys">field-notebook v2.6.04 / {entries.length} entries loaded</span></div>
+                <div className="tm-line"><Prompt inline /> ls</div>
+                {previewEntries.map(e => (
+                  <div className="tm-line tm-ls" key={e.id}>
+                    {String(e.id).padStart(3, '0')}  {shortDate(e.meta.date)}  {(e.meta.tags?.[0] || 'n/a').padEnd(12)}  ·  {e.meta.title}
+                  </div>
+                ))}
+                <div className="tm-line tm-muted">... {Math.max(0, all.length - 3)} more entries</div>
+                <div className="tm-line"><Prompt inline /> <span className="tm-caret">_</span></div>
+              </>
+            )}
           </div>
           <div className="tm-cta">
             <span>Open fullscreen terminal</span>
@@ -353,35 +1817,42 @@ function Journal() {
         </div>
 
         <div className="tm-tips">
-          <div><span className="k">TIP</span> Type <code>help</code> to see commands · <code>ls</code> to list · <code>cat 1</code> to read entry 1 · <code>grep kafka</code> to search.</div>
+          <div><span className="k">TIP</span> Type <code>help</code> to see commands · <code>ls</code> to list · <code>cat 1</code> to read entry 1 · <code>grep kafka</code> to search · <code>ls | grep p99</code> to pipe.</div>
         </div>
       </div>
 
       {fullscreen && (
-        <div className="tm-fullscreen" onClick={() => inputRef.current?.focus()}>
+        <div className="tm-fullscreen" onClick={() => { if (!pager && !editor) inputRef.current?.focus(); }}>
           <div className="tm-scanlines" />
           <div className="tm-fs-chrome">
             <div className="tm-dots">
               <span className="d r" onClick={() => setFullscreen(false)} /><span className="d y" /><span className="d g" />
             </div>
-            <div className="tm-title">gaurav@berlin /home/gaurav/journal {new Date().toLocaleTimeString('en-GB', { timeZone: 'Europe/Berlin' })}</div>
+            <div className="tm-title">
+              gaurav@berlin {cwd} {new Date().toLocaleTimeString('en-GB', { timeZone: 'Europe/Berlin' })}
+              {recording && <span className="tm-rec"> ● REC</span>}
+            </div>
             <button className="tm-close" onClick={(e) => { e.stopPropagation(); setFullscreen(false); }}>ESC to close</button>
           </div>
-          <div className="tm-body tm-body-fs" ref={bodyRef}>
+          <div className="tm-body tm-body-fs" ref={bodyRef} style={pager || editor ? { display: 'none' } : undefined}>
             {history.map((h, i) => (
               h.kind === 'cmd' ? (
                 <div className="tm-line tm-cmd-line" key={i}>
-                  <Prompt path={h.path || '~/journal'} inline />
+                  <Prompt path={h.path || vfs.HOME} inline />
                   {h.cmd}
                 </div>
               ) : (
                 h.lines.map((l, j) => (
-                  <div className={'tm-line ' + (l.cls || '')} key={`${i}-${j}`}>{l.v || '\u00A0'}</div>
+                  <div className={'tm-line ' + (l.cls || '')} key={`${i}-${j}`}><LineText line={l} /></div>
                 ))
               )
             ))}
             <div className="tm-input-line">
-              <Prompt path="~/journal" inline />
+              {rsearch ? (
+                <span className="tm-rsearch">
+                  {rsearch.query && rsearch.idx < 0 ? 'failed ' : ''}(reverse-i-search)`{rsearch.query}':
+                </span>
+              ) : <Prompt path={cwd} inline />}
               <input
                 ref={inputRef}
                 className="tm-input"
@@ -395,10 +1866,24 @@ function Journal() {
               <span className="tm-caret-live">▊</span>
             </div>
           </div>
+          {pager && <Pager title={pager.title} lines={pager.lines} at={pager.at} onQuit={() => setPager(null)} />}
+          {editor && (
+            <Editor
+              key={editor.id}
+              name={editor.name}
+              text={editor.text}
+              onSave={(text) => saveDraft(editor.id, text)}
+              onQuit={(saved) => {
+                const n = all.find(e => e.draftId === editor.id)?.id;
+                setEditor(null);
+                if (saved && n) pushOut([{ cls: 'tm-sys', v: `saved draft ${n} · cat ${n} to read it · export ${n} to download it` }]);
+              }}
+            />
+          )}
         </div>
       )}
     </section>
   );
 }
 
-Object.assign(window, { Journal });
+export { Journal };
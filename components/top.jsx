@@ -1,5 +1,7 @@
 /* Shared sub-components */
-const { useState, useEffect, useRef, useMemo } = React;
+import { Fragment, useState, useEffect } from 'react';
+import { sanitizeHtml } from './md.js';
+import { TITLE_HTML } from './markup.js';
 
 function Eyebrow({ children }) {
   return <div className="eyebrow">{children}</div>;
@@ -9,7 +11,7 @@ function SectionHead({ num, title, right }) {
   return (
     <div className="sec-head">
       <div className="num">{num}</div>
-      <h2 dangerouslySetInnerHTML={{ __html: title }} />
+      <h2 dangerouslySetInnerHTML={{ __html: sanitizeHtml(title, TITLE_HTML) }} />
       <div className="right">{right}</div>
     </div>
   );
@@ -119,10 +121,10 @@ function Ticker() {
   const line = (k) => (
     <span key={k}>
       {items.map((t, i) => (
-        <React.Fragment key={i}>
+        <Fragment key={i}>
           <span>{t}</span>
           <span className="sep">✦</span>
-        </React.Fragment>
+        </Fragment>
       ))}
     </span>
   );
@@ -179,4 +181,4 @@ function About() {
   );
 }
 
-Object.assign(window, { Nav, Hero, Ticker, About, SectionHead, Eyebrow });
+export { Nav, Hero, Ticker, About, SectionHead, Eyebrow };
@@ -0,0 +1,54 @@
+/* Virtual filesystem for the journal terminal. Nodes are plain objects:
+     dir:  { type: 'dir',  children: { name: node } | () => ({ name: node }), list?: () => lines }
+     file: { type: 'file', read: () => lines, label?, date?, writable?, tags?, text? }
+   `tags` and `text` (the searchable body) feed the site search index.
+   A dir may compute its children lazily (e.g. /tmp, which changes within a session).
+   Paths are resolved to absolute, normalised form before lookup; `~` is the notebook home. */
+const HOME = '/journal';
+
+const dir = (children, extra) => ({ type: 'dir', children, ...extra });
+const file = (read, extra) => ({ type: 'file', read, ...extra });
+
+function childrenOf(node) {
+  return typeof node.children === 'function' ? node.children() : node.children;
+}
+
+function resolve(cwd, path) {
+  if (!path) return cwd;
+  const raw = path === '~' || path.startsWith('~/') ? HOME + path.slice(1)
+    : path.startsWith('/') ? path
+    : cwd + '/' + path;
+  const parts = [];
+  raw.split('/').forEach(seg => {
+    if (!seg || seg === '.') return;
+    if (seg === '..') parts.pop();
+    else parts.push(seg);
+  });
+  return '/' + parts.join('/');
+}
+
+function lookup(root, abs) {
+  let node = root;
+  for (const seg of abs.split('/').filter(Boolean)) {
+    if (!node || node.type !== 'dir') return null;
+    const kids = childrenOf(node);
+    node = Object.prototype.hasOwnProperty.call(kids, seg) ? kids[seg] : null;
+  }
+  return node;
+}
+
+const join = (base, name) => (base === '/' ? '' : base) + '/' + name;
+const dirname = (abs) => abs.slice(0, abs.lastIndexOf('/')) || '/';
+const basename = (abs) => abs.slice(abs.lastIndexOf('/') + 1) || '/';
+
+// Depth-first walk; fn(node, absPath, depth) for every node below (not including) `node`.
+function walk(node, abs, fn, depth = 0) {
+  if (node.type !== 'dir') return;
+  Object.entries(childrenOf(node)).forEach(([name, child]) => {
+    const p = join(abs, name);
+    fn(child, p, depth);
+    walk(child, p, fn, depth + 1);
+  });
+}
+
+export const vfs = { HOME, dir, file, childrenOf, resolve, lookup, join, dirname, basename, walk };
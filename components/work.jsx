@@ -1,3 +1,5 @@
+import { SectionHead } from './top.jsx';
+
 const WORK = [
   {
     co: 'N26',
@@ -68,4 +70,4 @@ function Work() {
   );
 }
 
-Object.assign(window, { Work });
+export { WORK, Work };
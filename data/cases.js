@@ -0,0 +1,93 @@
+/* Case studies, shared by the Cases section, the terminal's /cases and
+   scripts/permalinks.js (which runs in plain Node, hence no JSX). title and
+   body are HTML: the site passes them through sanitizeHtml. id names the
+   permalink page, /cases/<id>/, and the terminal file, /cases/<id>.txt. */
+export const CASES = [
+  {
+    id: 'c01-transaction-data-platform',
+    num: 'C/01',
+    client: 'N26 Bank · Berlin',
+    title: 'Transaction Data <span class="it">Platform</span>',
+    role: 'Lead Engineer · Architect · Owner',
+    stack: ['Kotlin', 'Java 17', 'Spring Boot 3', 'Kafka', 'Kafka Streams', 'PostgreSQL', 'Aurora', 'Redis', 'Flink', 'S3', 'Glue', 'Athena', 'Kubernetes', 'AWS', 'OpenSearch', 'Datadog', 'GitHub Actions'],
+    hi: ['Kafka','Kotlin','AWS','Kubernetes'],
+    stats: [
+      { v: '500', sup: 'M+', k: 'tx / month' },
+      { v: '99.99', sup: '%', k: 'uptime' },
+      { v: '1.5', sup: 'K RPS', k: 'p99 < 1s' },
+      { v: '−30', sup: '%', k: 'MTTR' },
+    ],
+    body: '<p>Led architecture and delivery of an event driven platform powering compliance, product, and regulatory use cases across the bank. Owned it end to end, from the migration strategy that got us off the monolith to the on call rotation that keeps it up.</p><p>Designed the Kafka ingestion pipeline, the low-latency read APIs, the enrichment topology, and the lakehouse sink for analytics. Built the GDPR data-deletion flow that spans 20+ downstream systems with audit-ready guarantees.</p>',
+    bullets: [
+      'Kafka-based ingestion processing 500M+ transactions/month with sub-second end-to-end latency.',
+      'Achieved 99.99% uptime via AWS multi-region, failover-aware deployments.',
+      'Designed low-latency microservice APIs (p99 < 1s, ~1.5K RPS) on Kubernetes.',
+      'Delivered GDPR-compliant data deletion spanning 20+ systems, audit-ready by design.',
+      'Reduced MTTR by 30% through Datadog + OpenSearch observability upgrades.',
+      'Mentored engineers, reviewed designs, and influenced architecture across consuming teams.',
+    ],
+    arch: true,
+  },
+  {
+    id: 'c02-assistance-module',
+    num: 'C/02',
+    client: 'N26 Bank · Berlin',
+    title: 'Assistance <span class="it">Module</span>',
+    role: 'Senior Contributor',
+    stack: ['Kotlin', 'Spring Boot', 'Kafka', 'Intent Routing'],
+    hi: ['Kotlin'],
+    stats: [
+      { v: '∞', sup: '', k: 'workflows automated' },
+      { v: '↑', sup: '', k: 'response accuracy' },
+      { v: '↓', sup: '', k: 'manual overhead' },
+    ],
+    body: '<p>Contributed to a banking assistance system integrating multiple internal and external services. Designed the request routing logic that identifies user intent and forwards to the right backend, improving response accuracy and system efficiency. Automated end to end workflows to cut manual intervention.</p>',
+    bullets: [
+      'Designed request routing based on user-intent identification.',
+      'Automated end-to-end workflows, reducing operational overhead.',
+      'Integrated internal + external services with graceful degradation.',
+    ],
+  },
+  {
+    id: 'c03-dealer-locator-service',
+    num: 'C/03',
+    client: 'Fortune-500 Construction Equipment OEM · USA',
+    title: 'Dealer Locator <span class="it">Service</span>',
+    role: 'Tech Lead @ Thoughtworks',
+    stack: ['Spring Boot', 'Java 11', 'PostgreSQL', 'PostGIS', 'JOOQ', 'Karate', 'Gatling', 'Azure DevOps', 'AWS'],
+    hi: ['PostGIS','AWS'],
+    stats: [
+      { v: '48 → 126', sup: '', k: 'TPS' },
+      { v: '3', sup: '', k: 'geocoding APIs' },
+      { v: '10+', sup: '', k: 'dashboards' },
+      { v: '−5', sup: ' min', k: 'pipeline time' },
+    ],
+    body: '<p>Led the design and delivery of geocoding services for a major US construction equipment manufacturer, resolving dealers by address, IP, or coordinates. Owned the client facing technical conversation, production RCAs, and onboarding of four engineers onto the platform.</p>',
+    bullets: [
+      'Built 3 RESTful geocoding APIs (address / IP / coordinates).',
+      'Increased TPS 48 → 126 via RDS read-replica auto-scaling.',
+      'Created 10+ CloudWatch dashboards + custom metrics for production visibility.',
+      'Cut Azure DevOps pipeline runtime by 5 min via targeted test strategy.',
+      'Performed 10+ production root-cause analyses with the client.',
+      'Onboarded 4 engineers onto the codebase and on-call rotation.',
+    ],
+  },
+  {
+    id: 'c04-device-telemetry',
+    num: 'C/04',
+    client: 'Telematics IoT',
+    title: 'Device <span class="it">Telemetry</span>',
+    role: 'Senior Developer',
+    stack: ['SiteWhere', 'Java', 'MQTT'],
+    hi: [],
+    stats: [
+      { v: 'N', sup: '', k: 'device classes' },
+      { v: '↔', sup: '', k: 'custom workflows' },
+    ],
+    body: '<p>Analyzed device specifications across multiple IoT hardware classes and translated them into user stories. Customized the open source SiteWhere framework to support project specific device workflows, a useful exercise in both domain modeling and framework archaeology.</p>',
+    bullets: [
+      'Translated hardware specs into product requirements.',
+      'Customized SiteWhere for project-specific device flows.',
+    ],
+  },
+];
@@ -0,0 +1,68 @@
+/* How endorsed LinkedIn skills are grouped in the Stack section. Used by
+   scripts/linkedin-skills.js through components/taxonomy.js, which writes
+   each skill's category into data/linkedin-skills.json.
+
+     categories  in page order; the last one takes what nothing else places
+     aliases     a skill's name -> the other names it is endorsed under; those
+                 endorsements merge into one skill with that name
+     skills      skill -> category, settled by hand; checked before any rule
+     rules       [category, pattern] for skills not listed, tried in order
+
+   A skill two rules disagree on is reported, and should go into `skills`.
+   After changing anything here, rerun the importer; its --check fails while
+   data/linkedin-skills.json is filed differently from what this says, and
+   scripts/skill-buckets.js while a skill lands outside its expected bucket. */
+export const SKILL_TAXONOMY = {
+  categories: [
+    'Leadership & Craft',
+    'Languages',
+    'Frameworks & Libraries',
+    'Cloud & Infra',
+    'Databases & Data',
+    'Architecture & Systems',
+    'Process & Delivery',
+    'Other',
+  ],
+
+  aliases: {
+    'Java': ['Java Development'],
+    'REST APIs': ['Representational State Transfer (REST)', 'RESTful WebServices', 'RESTful Web Services', 'REST API'],
+    'Writing': ['Written Communication'],
+    'CI/CD': ['Continuous Integration and Continuous Delivery (CI/CD)', 'Continuous Integration', 'Continuous Delivery'],
+    'Kubernetes': ['K8s'],
+  },
+
+  skills: {
+    'Distributed Team Management': 'Leadership & Craft',
+    'SQL': 'Languages',
+    'Spring Integration': 'Frameworks & Libraries',
+    'Domain Name System (DNS)': 'Cloud & Infra',
+    'Amazon Web Services (AWS)': 'Cloud & Infra',
+    'Software Project Management': 'Process & Delivery',
+    'Incident Management': 'Process & Delivery',
+    'Industry standards': 'Process & Delivery',
+    'Research': 'Leadership & Craft',
+    'Code Review': 'Leadership & Craft',
+    'Problem Solving': 'Leadership & Craft',
+    'Startups': 'Leadership & Craft',
+    'Communication Systems': 'Architecture & Systems',
+    'SQL Azure': 'Databases & Data',
+    'Distributed Databases': 'Databases & Data',
+    'Database Design': 'Databases & Data',
+    'System Monitoring': 'Process & Delivery',
+    'CI/CD': 'Process & Delivery',
+    'Across Language Server': 'Frameworks & Libraries',
+    'OpenID': 'Cloud & Infra',
+    'Software Development': 'Process & Delivery',
+  },
+
+  rules: [
+    ['Leadership & Craft', /leadership|mentor|collaborat|enablement|facilita|stakehold|strateg|vision|performance review|retrospect|writ|team|recruit|soft skills|road ?map|kpi|key performance|technical direction|knowledge shar|engineering management/i],
+    ['Languages', /^(java|kotlin|javascript|typescript|c\+\+|c|python|go|scala|sql|programming|coding standards)$|jvm|java virtual machine|algorithms|data structures/i],
+    ['Frameworks & Libraries', /spring|hibernate|nestjs|react|vue|jooq|maven|gradle|tomcat/i],
+    ['Cloud & Infra', /aws|amazon web services|azure|gcp|google cloud|kubernetes|docker|dns|domain name|firewall|endpoint|gitops|linux|cloud|openid|oauth/i],
+    ['Databases & Data', /sql|oracle|\brds\b|relational database|mongo|database|data model|data analysis|machine learning/i],
+    ['Architecture & Systems', /microservice|architect|system|distrib|design|solution|integration|\brest\b|web ?services|\biot\b|internet of things|sitewhere/i],
+    ['Process & Delivery', /agile|continuous|tdd|test driven|debug|incident|reliab|monitor|scrum|kanban|project management|rollout|\bgit\b/i],
+  ],
+};
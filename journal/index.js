@@ -1,6 +1,47 @@
-/* Manifest of journal entries — add new .md files and list them here. */
-window.JOURNAL_FILES = [
-  "journal/2026-04-10-shape-of-a-platform-team.md",
-  "journal/2026-03-02-p99-lies.md",
-  "journal/2026-01-20-migration-notes.md"
+/* Manifest of published journal entries, newest first.
+   Generated by scripts/journal-manifest.js from journal/*.md: do not edit by hand.
+   Add or change a note, then run: node scripts/journal-manifest.js */
+export const JOURNAL = [
+  {
+    "file": "journal/2026-04-10-shape-of-a-platform-team.md",
+    "slug": "shape-of-a-platform-team",
+    "title": "On the shape of a platform team",
+    "date": "2026-04-10",
+    "tags": [
+      "platform",
+      "teams",
+      "distributed-systems"
+    ],
+    "excerpt": "A platform team exists to delete work from product teams. Everything else is vanity.",
+    "words": 171,
+    "minutes": 1
+  },
+  {
+    "file": "journal/2026-03-02-p99-lies.md",
+    "slug": "p99-lies",
+    "title": "Why p99 lies, and what to track instead",
+    "date": "2026-03-02",
+    "tags": [
+      "observability",
+      "sre",
+      "latency"
+    ],
+    "excerpt": "p99 is a single number pretending to be a distribution. For anything critical, track the shape, not the tail.",
+    "words": 197,
+    "minutes": 1
+  },
+  {
+    "file": "journal/2026-01-20-migration-notes.md",
+    "slug": "migration-notes",
+    "title": "Notes from a migration I'm still in the middle of",
+    "date": "2026-01-20",
+    "tags": [
+      "migrations",
+      "strangler-fig",
+      "platform"
+    ],
+    "excerpt": "Three months in, one migration lesson keeps recurring: the old system is a teacher, not an enemy.",
+    "words": 186,
+    "minutes": 1
+  }
 ];
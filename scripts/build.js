@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+/* Builds the site into dist/, which deploys as is to GitHub Pages:
+
+     node scripts/build.js           build once (npm run build)
+     node scripts/build.js --serve   build, then rebuild on every change and
+                                     serve dist/ on http://localhost:8000 (npm run dev)
+
+   components/app.jsx and everything it imports, React's production build
+   included, is bundled and minified into assets/app-<hash>.js; styles.css and
+   the fonts it imports into assets/styles-<hash>.css and assets/*.woff2.
+   index.html is copied with its entry <script> and stylesheet pointed at the
+   hashed files, then the files the site fetches or links to are copied beside
+   it, and scripts/feeds.js and scripts/permalinks.js write their files. Last
+   comes sw.js, the service worker, with the list of files it precaches.
+   Nothing is loaded from a CDN at runtime.
+
+   It starts with the checks of npm run check: journal/index.js has to be
+   current (if it is not, run node scripts/journal-manifest.js) and
+   data/linkedin-skills.json filed as data/skill-taxonomy.js says. */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as esbuild from 'esbuild';
+import { main as manifest } from './journal-manifest.js';
+import { main as skills } from './linkedin-skills.js';
+import { main as feeds } from './feeds.js';
+import { main as permalinks } from './permalinks.js';
+import { JOURNAL } from '../journal/index.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const DIST = path.join(ROOT, 'dist');
+const PORT = 8000;
+
+const ENTRIES = { app: 'components/app.jsx', styles: 'styles.css' };
+
+// Copied into dist/ as they are: what the app fetches, and the older pages
+// and files that still have URLs of their own
+const STATIC = [
+  'CNAME', 'favicon.svg', 'favicon.png', 'manifest.webmanifest', 'images', 'resume.txt', 'Gaurav Ratnawat Lead Engg Resume.docx.pdf',
+  'posts/posts.json', 'data/linkedin-skills.json', 'data/linkedin-certs.json', 'journal/tour.cast',
+  'special', 'journal-recorder', 'css', 'js', 'fonts',
+];
+
+// index.html, pointed at what esbuild wrote for each entry
+function page(outputs) {
+  let html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  Object.values(ENTRIES).forEach(entry => {
+    const out = Object.keys(outputs).find(file => outputs[file].entryPoint === entry);
+    const attr = entry.endsWith('.css') ? 'href' : 'src';
+    if (!out || !html.includes(`${attr}="${entry}"`)) throw new Error(`index.html has no ${attr}="${entry}" to point at the build`);
+    html = html.replace(`${attr}="${entry}"`, `${attr}="${path.relative(DIST, path.join(ROOT, out))}"`);
+  });
+  return html;
+}
+
+function copyStatic() {
+  // Published notes only: drafts stay in the repo
+  [...STATIC, ...JOURNAL.map(e => e.file)].forEach(file => {
+    const from = path.join(ROOT, file);
+    if (!fs.existsSync(from)) return console.warn(`build: ${file} is missing, skipped`);
+    fs.cpSync(from, path.join(DIST, file), { recursive: true });
+  });
+}
+
+// What the service worker keeps for offline use: the shell, its assets and
+// fonts, and the notebook with its permalink pages. Pages are cached under
+// their directory URL, which is what a link to them asks for.
+function precache(outputs) {
+  const assets = Object.keys(outputs).filter(file => !file.endsWith('.map')).map(file => path.relative(DIST, path.join(ROOT, file)));
+  const pages = ['journal', 'cases'].flatMap(dir => fs.readdirSync(path.join(DIST, dir), { withFileTypes: true })
+    .filter(d => d.isDirectory() && fs.existsSync(path.join(DIST, dir, d.name, 'index.html')))
+    .map(d => `${dir}/${d.name}/`));
+  return ['./', ...assets, 'manifest.webmanifest', 'favicon.svg', 'favicon.png', ...JOURNAL.map(e => e.file), 'journal/tour.cast', ...pages]
+    .filter(url => fs.existsSync(path.join(DIST, url.endsWith('/') ? `${url}index.html` : url)));
+}
+
+// sw.js, with the precache list and a version that changes whenever any of it does
+function serviceWorker(outputs) {
+  const urls = precache(outputs);
+  const hash = crypto.createHash('sha256');
+  urls.forEach(url => hash.update(url).update(fs.readFileSync(path.join(DIST, url.endsWith('/') ? `${url}index.html` : url))));
+  esbuild.buildSync({
+    absWorkingDir: ROOT,
+    entryPoints: ['sw.js'],
+    outfile: path.join(DIST, 'sw.js'),
+    minify: true,
+    target: 'es2020',
+    define: { SW_VERSION: JSON.stringify(hash.digest('hex').slice(0, 12)), SW_PRECACHE: JSON.stringify(urls) },
+    logLevel: 'warning',
+  });
+  return urls.length;
+}
+
+// Everything after the bundle, rerun on each rebuild
+const site = {
+  name: 'site',
+  setup(build) {
+    build.onStart(() => { fs.rmSync(path.join(DIST, 'assets'), { recursive: true, force: true }); });
+    build.onEnd(result => {
+      if (result.errors.length) return;
+      fs.writeFileSync(path.join(DIST, 'index.html'), page(result.metafile.outputs));
+      copyStatic();
+      if (feeds([]) || permalinks([])) throw new Error('build: the feeds or permalink pages failed');
+      const cached = serviceWorker(result.metafile.outputs);
+      const size = Object.entries(result.metafile.outputs)
+        .filter(([file]) => !file.endsWith('.map'))
+        .reduce((sum, [, out]) => sum + out.bytes, 0);
+      console.log(`build: dist/ written, ${(size / 1024).toFixed(0)} KB of assets, ${cached} files precached`);
+    });
+  },
+};
+
+async function main(args) {
+  if (manifest(['--check']) || skills(['--check'])) return 1;
+  fs.rmSync(DIST, { recursive: true, force: true });
+  const ctx = await esbuild.context({
+    absWorkingDir: ROOT,
+    entryPoints: Object.entries(ENTRIES).map(([out, entry]) => ({ in: entry, out })),
+    outdir: path.join(DIST, 'assets'),
+    entryNames: '[name]-[hash]',
+    assetNames: '[name]-[hash]',
+    bundle: true,
+    minify: true,
+    sourcemap: 'linked',
+    format: 'esm',
+    target: 'es2020',
+    jsx: 'automatic',
+    loader: { '.woff2': 'file', '.woff': 'file' },
+    define: { 'process.env.NODE_ENV': '"production"' },
+    metafile: true,
+    logLevel: 'warning',
+    plugins: [site],
+  });
+  if (!args.includes('--serve')) {
+    const result = await ctx.rebuild().catch(() => null);
+    await ctx.dispose();
+    return result ? 0 : 1;
+  }
+  await ctx.watch();
+  await ctx.serve({ servedir: DIST, port: PORT });
+  console.log(`build: serving dist/ on http://localhost:${PORT}, rebuilding on change`);
+  return 0;
+}
+
+process.exitCode = await main(process.argv.slice(2));
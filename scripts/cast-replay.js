@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/* Records terminal lines the way the journal terminal's `rec` does
+   (asciicast.lineOut, components/cast.js), encodes and decodes the cast, and
+   plays it back through asciicast.screen, the reader behind the preview
+   player. Each line must come back as the spans in its case: the same text,
+   colour, style and link, with no escape left over.
+
+     node scripts/cast-replay.js   exit 1 if a line replays differently */
+import { fileURLToPath } from 'url';
+import { asciicast } from '../components/cast.js';
+import { ansi } from '../components/ansi.js';
+
+const link = (url, text) => `\x1b]8;;${url}\x1b\\${text}\x1b]8;;\x1b\\`;
+
+// What is recorded (a terminal line, or raw output as the prompt is typed) -> the spans it plays back as
+const CASES = [
+  [{ cls: 'tm-body', v: 'plain text' }, [['plain text', {}]]],
+  [{ cls: 'tm-err', v: 'cat: 9: no such entry' }, [['cat: 9: no such entry', { fg: 'red' }]]],
+  [{ cls: 'tm-help-h', v: 'USAGE' }, [['USAGE', { bold: true, fg: 'yellow' }]]],
+  [{ cls: 'tm-sys', v: 'recording stopped' }, [['recording stopped', { italic: true, fg: 'gray' }]]],
+  [ansi.line(`see ${link('https://example.com', 'docs')} for more`), [
+    ['see ', {}], ['docs', { underline: true, href: 'https://example.com' }], [' for more', {}],
+  ]],
+  [ansi.line('\x1b[1;33mbold accent\x1b[0m then \x1b[36mcode\x1b[0m'), [
+    ['bold accent', { bold: true, fg: 'yellow' }], [' then ', {}], ['code', { fg: 'cyan' }],
+  ]],
+  [ansi.line('\x1b[33;1mreordered\x1b[0m and \x1b[2;3;90mstacked\x1b[0m', 'tm-meta'), [
+    ['reordered', { bold: true, fg: 'yellow' }], [' and ', { fg: 'yellow' }], ['stacked', { dim: true, italic: true, fg: 'gray' }],
+  ]],
+  [ansi.line('\x1b[32mopen \x1b]8;;mailto:me@example.com\x07green link\x1b]8;;\x07\x1b[0m'), [
+    ['open ', { fg: 'green' }], ['green link', { fg: 'green', underline: true, href: 'mailto:me@example.com' }],
+  ]],
+  ['\x1b[32mgaurav@berlin\x1b[0m:\x1b[34m/journal\x1b[0m$ cax\b \bt', [
+    ['gaurav@berlin', { fg: 'green' }], [':', {}], ['/journal', { fg: 'blue' }], ['$ cat', {}],
+  ]],
+];
+
+const STYLE = ['bold', 'dim', 'italic', 'underline', 'strike', 'fg', 'href'];
+const describe = (spans) => spans.map(([text, style]) => `${JSON.stringify(text)}{${STYLE.filter(k => style[k]).map(k => `${k}:${style[k]}`).join(',')}}`).join(' ');
+
+export function main() {
+  const data = CASES.map(([rec]) => (typeof rec === 'string' ? rec : asciicast.lineOut(rec))).join('\r\n') + '\r\n';
+  const cast = asciicast.decode(asciicast.encode({ width: 80, height: 24 }, [[0, 'o', data]]));
+  const term = asciicast.screen();
+  cast.events.forEach(([, type, out]) => { if (type === 'o') term.write(out); });
+
+  const failures = [];
+  CASES.forEach(([, want], i) => {
+    const got = describe((term.lines[i] || []).map(s => [s.text, s]));
+    if (got !== describe(want)) failures.push(`line ${i + 1} plays back as ${got}, want ${describe(want)}`);
+  });
+  failures.forEach(f => console.error(`cast-replay: ${f}`));
+  console.log(`cast-replay: ${CASES.length - failures.length}/${CASES.length} lines replay as recorded`);
+  return failures.length ? 1 : 0;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) process.exitCode = main();
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/* Runs the CommonMark spec's examples (the commonmark-spec package, 0.31.2)
+   through components/md.js, the parser the site and the terminal use:
+
+     node scripts/commonmark-spec.js          exit 1 if an example fails
+     node scripts/commonmark-spec.js 608 611  also print those examples
+
+   Examples render with { unsafe: true }, which is plain CommonMark: raw HTML
+   and every URL as written. The id="" md.js gives every heading is taken out
+   before comparing, and the spec's → is turned back into a tab.
+
+   DEVIATIONS lists the examples md.js is meant to fail, and why. One that
+   starts to pass fails the run too, so the list stays true. */
+import { fileURLToPath } from 'url';
+import spec from 'commonmark-spec';
+import { mdToHtml } from '../components/md.js';
+
+// Example number -> why md.js renders it differently
+const DEVIATIONS = {
+  608: 'GFM extended autolinks: a bare https:// URL inside < > still becomes a link',
+  611: 'GFM extended autolinks: a bare https:// URL becomes a link',
+  612: 'GFM extended autolinks: a bare email address becomes a mailto: link',
+};
+
+const tabs = (s) => s.replace(/→/g, '\t');
+const withoutHeadingIds = (html) => html.replace(/(<h[1-6]) id="[^"]*"/g, '$1');
+
+function run() {
+  return spec.tests.map(t => {
+    const want = tabs(t.html);
+    let got;
+    try { got = withoutHeadingIds(mdToHtml(tabs(t.markdown), { unsafe: true })); }
+    catch (err) { got = `threw ${err.stack}`; }
+    return { ...t, want, got, pass: got === want };
+  });
+}
+
+const show = (t) => [
+  `  #${t.number} ${t.section}`,
+  `    markdown ${JSON.stringify(tabs(t.markdown))}`,
+  `    want     ${JSON.stringify(t.want)}`,
+  `    got      ${JSON.stringify(t.got)}`,
+];
+
+export function main(args) {
+  const results = run();
+  const failed = results.filter(t => !t.pass && !DEVIATIONS[t.number]);
+  const fixed = results.filter(t => t.pass && DEVIATIONS[t.number]);
+  const passed = results.filter(t => t.pass).length;
+  args.map(Number).filter(Boolean).forEach(n => {
+    const t = results.find(r => r.number === n);
+    if (t) console.log([...show(t), ...(DEVIATIONS[n] ? [`    expected: ${DEVIATIONS[n]}`] : [])].join('\n'));
+  });
+  failed.forEach(t => console.error(['commonmark-spec: example fails', ...show(t)].join('\n')));
+  fixed.forEach(t => console.error(`commonmark-spec: #${t.number} passes now; take it out of DEVIATIONS (${DEVIATIONS[t.number]})`));
+  console.log(`commonmark-spec: ${passed}/${results.length} examples pass, ${Object.keys(DEVIATIONS).length} expected deviations`);
+  return failed.length || fixed.length ? 1 : 0;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+/* Writes the subscription feeds for the journal and Signals (posts/posts.json)
+   into dist/, as the last steps of scripts/build.js:
+
+     feed.xml            RSS 2.0
+     atom.xml            Atom
+     feed.json           JSON Feed 1.1
+     feeds/<tag>.xml     RSS 2.0, one per tag that is more than a number
+
+     node scripts/feeds.js           rewrite them
+     node scripts/feeds.js --check   exit 1 if any is out of date
+
+   Journal entries come from journal/index.js (run scripts/journal-manifest.js
+   first), so drafts stay out. Bodies are the full HTML from mdToHtml with
+   relative links made absolute, tags become categories, and ids are tag: URIs
+   (tag:gauravratnawat.com,2026-03-02:journal/p99-lies) that survive a change
+   of URL. Feeds are dated by their newest item, so rerunning with nothing new
+   writes nothing. */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { mdToHtml } from '../components/md.js';
+import { parseFrontmatter } from '../components/frontmatter.js';
+import { JOURNAL } from '../journal/index.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const DIST = path.join(ROOT, 'dist');
+const HOST = fs.readFileSync(path.join(ROOT, 'CNAME'), 'utf8').trim();
+const SITE = `https://${HOST}/`;
+const AUTHOR = 'Gaurav Ratnawat';
+const TITLE = `${AUTHOR}: journal and signals`;
+const DESCRIPTION = 'Notes on platform engineering, distributed systems and the teams that run them.';
+const FEED_LIMIT = 50; // newest items per feed
+
+// Escaped, and without what XML 1.0 has no way to spell: control characters
+// and the halves of emoji that imported post titles were cut through
+const escapeXml = (s) => String(s)
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g, '')
+  .replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[c]);
+const slugify = (s) => String(s).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+const iso = (date) => new Date(`${date.slice(0, 10)}T00:00:00Z`).toISOString().replace('.000Z', 'Z');
+const rfc822 = (date) => new Date(`${date.slice(0, 10)}T00:00:00Z`).toUTCString();
+const deepLink = (...parts) => `${SITE}#journal/${parts.map(encodeURIComponent).join('/')}`;
+
+// Feed readers have no page to resolve against: make every URL absolute.
+const absolute = (html, link) => html.replace(/\b(href|src)="([^"]*)"/g, (m, attr, url) => {
+  if (/^[a-z][a-z\d+.-]*:/i.test(url)) return m;
+  return `${attr}="${url.startsWith('#') ? link + url : new URL(url.replace(/&amp;/g, '&'), SITE).href.replace(/&/g, '&amp;')}"`;
+});
+
+// LinkedIn posts break lines where they mean to: keep them, except inside code fences.
+function hardBreaks(text) {
+  let fence = null;
+  return text.split('\n').map(line => {
+    const m = line.match(/^ {0,3}(`{3,}|~{3,})/);
+    if (m && (!fence || m[1][0] === fence[0] && m[1].length >= fence.length)) fence = fence ? null : m[1];
+    return fence || m ? line : line + '  ';
+  }).join('\n');
+}
+
+function journalItems() {
+  return JOURNAL.map(e => {
+    const { body } = parseFrontmatter(fs.readFileSync(path.join(ROOT, e.file), 'utf8'));
+    const url = `${SITE}journal/${e.slug}/`;
+    return {
+      id: `tag:${HOST},${e.date}:journal/${e.slug}`,
+      url,
+      title: e.title,
+      date: e.date,
+      updated: e.updated || e.date,
+      summary: e.excerpt || '',
+      html: absolute(mdToHtml(body), url),
+      tags: e.tags || [],
+      source: 'journal',
+    };
+  });
+}
+
+function postItems() {
+  const posts = JSON.parse(fs.readFileSync(path.join(ROOT, 'posts/posts.json'), 'utf8'));
+  return posts.map(p => {
+    const url = p.url || deepLink('cat', 'posts', `${p.id}.txt`);
+    return {
+      id: `tag:${HOST},${p.date}:posts/${p.id}`,
+      url,
+      title: p.title,
+      date: p.date,
+      updated: p.date,
+      summary: p.excerpt || '',
+      html: absolute(mdToHtml(hardBreaks(p.body || '')), url),
+      tags: p.tags || [],
+      source: 'signals',
+    };
+  });
+}
+
+const newestFirst = (a, b) => b.date.localeCompare(a.date) || a.id.localeCompare(b.id);
+// Items are in order of date, but an older one may have been updated since
+const lastUpdated = (items) => items.reduce((max, i) => (i.updated > max ? i.updated : max), '1970-01-01');
+
+function rss({ title, link, self, items }) {
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+<channel>
+  <title>${escapeXml(title)}</title>
+  <link>${escapeXml(link)}</link>
+  <atom:link href="${escapeXml(self)}" rel="self" type="application/rss+xml" />
+  <description>${escapeXml(DESCRIPTION)}</description>
+  <language>en</language>
+${items.length ? `  <lastBuildDate>${rfc822(lastUpdated(items))}</lastBuildDate>\n` : ''}${items.map(item => `  <item>
+    <title>${escapeXml(item.title)}</title>
+    <link>${escapeXml(item.url)}</link>
+    <guid isPermaLink="false">${escapeXml(item.id)}</guid>
+    <pubDate>${rfc822(item.date)}</pubDate>
+${[item.source, ...item.tags].map(t => `    <category>${escapeXml(t)}</category>\n`).join('')}    <description>${escapeXml(item.html)}</description>
+  </item>
+`).join('')}</channel>
+</rss>
+`;
+}
+
+function atom({ title, link, self, items }) {
+  const updated = lastUpdated(items);
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(link)}</id>
+  <title>${escapeXml(title)}</title>
+  <subtitle>${escapeXml(DESCRIPTION)}</subtitle>
+  <link href="${escapeXml(link)}" />
+  <link href="${escapeXml(self)}" rel="self" type="application/atom+xml" />
+  <updated>${iso(updated)}</updated>
+  <author><name>${escapeXml(AUTHOR)}</name><uri>${escapeXml(SITE)}</uri></author>
+${items.map(item => `  <entry>
+    <id>${escapeXml(item.id)}</id>
+    <title>${escapeXml(item.title)}</title>
+    <link href="${escapeXml(item.url)}" />
+    <published>${iso(item.date)}</published>
+    <updated>${iso(item.updated)}</updated>
+${[item.source, ...item.tags].map(t => `    <category term="${escapeXml(t)}" />\n`).join('')}${item.summary ? `    <summary>${escapeXml(item.summary)}</summary>\n` : ''}    <content type="html">${escapeXml(item.html)}</content>
+  </entry>
+`).join('')}</feed>
+`;
+}
+
+function jsonFeed({ title, link, self, items }) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title,
+    home_page_url: link,
+    feed_url: self,
+    description: DESCRIPTION,
+    language: 'en',
+    authors: [{ name: AUTHOR, url: SITE }],
+    items: items.map(item => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      content_html: item.html,
+      ...(item.summary && { summary: item.summary }),
+      date_published: iso(item.date),
+      date_modified: iso(item.updated),
+      tags: [item.source, ...item.tags],
+    })),
+  }, null, 2) + '\n';
+}
+
+// Every file to write: { file, text }
+function build() {
+  const all = [...journalItems(), ...postItems()].sort(newestFirst);
+  const feed = { title: TITLE, link: SITE, items: all.slice(0, FEED_LIMIT) };
+  const out = [
+    { file: 'feed.xml', text: rss({ ...feed, self: SITE + 'feed.xml' }) },
+    { file: 'atom.xml', text: atom({ ...feed, self: SITE + 'atom.xml' }) },
+    { file: 'feed.json', text: jsonFeed({ ...feed, self: SITE + 'feed.json' }) },
+  ];
+  // A tag that is only a number (#1) is no topic to subscribe to
+  const tags = new Map();
+  all.forEach(item => item.tags.forEach(t => {
+    const slug = slugify(t);
+    if (slug && !/^\d+$/.test(slug)) tags.set(slug, [...(tags.get(slug) || []), item]);
+  }));
+  [...tags.keys()].sort().forEach(slug => out.push({
+    file: `feeds/${slug}.xml`,
+    text: rss({ title: `${TITLE} · #${slug}`, link: SITE, self: `${SITE}feeds/${slug}.xml`, items: tags.get(slug).slice(0, FEED_LIMIT) }),
+  }));
+  return out;
+}
+
+export function main(args) {
+  const files = build();
+  const stale = files.filter(({ file, text }) => {
+    const at = path.join(DIST, file);
+    return !fs.existsSync(at) || fs.readFileSync(at, 'utf8') !== text;
+  });
+  const dir = path.join(DIST, 'feeds');
+  const wanted = new Set(files.map(f => f.file));
+  const orphans = fs.existsSync(dir) ? fs.readdirSync(dir).map(f => `feeds/${f}`).filter(f => !wanted.has(f)) : [];
+  if (args.includes('--check')) {
+    if (!stale.length && !orphans.length) return 0;
+    [...stale.map(f => f.file), ...orphans].forEach(f => console.error(`feeds: ${f} is stale`));
+    console.error('feeds: run node scripts/feeds.js');
+    return 1;
+  }
+  fs.mkdirSync(dir, { recursive: true });
+  stale.forEach(({ file, text }) => fs.writeFileSync(path.join(DIST, file), text));
+  orphans.forEach(f => fs.unlinkSync(path.join(DIST, f)));
+  console.log(`feeds: ${files.length} feeds, ${stale.length} written${orphans.length ? `, ${orphans.length} removed` : ''}`);
+  return 0;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+/* Writes frontmatter with stringifyFrontmatter (components/frontmatter.js),
+   the way `doctor`, `edit` and `export` rewrite an entry, and reads it back
+   with parseFrontmatter. Every value must come back as it went in, with no
+   warning beyond the one an unknown field always gets:
+
+     node scripts/frontmatter-roundtrip.js   exit 1 if a value changes on the way */
+import { fileURLToPath } from 'url';
+import { isDeepStrictEqual } from 'util';
+import { FRONTMATTER_SCHEMA, parseFrontmatter, stringifyFrontmatter } from '../components/frontmatter.js';
+
+const base = { title: 'Kafka consumer lag, explained', date: '2026-03-02' };
+const BODY = '\nBody\n';
+
+// What each case is about -> the fields it adds to `base`
+const CASES = {
+  'plain fields': { tags: ['kafka', 'sre'], excerpt: 'lag is a symptom', draft: false, updated: '2026-03-04' },
+  'text that needs quotes': { title: 'p99: what it hides #1', excerpt: '"quoted" and \'single\'', series: '- not a list' },
+  'tags with commas and brackets': { tags: ['a, b', '[x]', 'yes', '42'] },
+  'a multi-line value': { notes: 'first line\nsecond line' },
+  'with a trailing newline': { notes: 'first line\nsecond line\n' },
+  'with trailing blank lines': { notes: 'first line\n\n\n' },
+  'starting with spaces': { notes: '  indented first line\nthen flush' },
+  'starting with a blank line': { notes: '\nafter a blank line' },
+  'starting with blank lines and spaces': { notes: '\n\n    code\nprose\n' },
+  'with a line of only spaces': { notes: 'one\n   \ntwo' },
+  'with a tab-indented line': { notes: 'one\n\ttwo' },
+  'nested': { source: { url: 'https://example.com', notes: '  indented\nflush' } },
+};
+
+// The warning each field outside FRONTMATTER_SCHEMA gets, and the only one expected
+const unknownFields = (meta) => Object.keys(meta).filter(k => !FRONTMATTER_SCHEMA[k]).map(k => `${k}: unknown field`);
+
+function problem(meta, back) {
+  const warnings = back.warnings.map(w => w.message.replace(/ \(known: .*\)$/, ''));
+  if (!isDeepStrictEqual(back.meta, meta)) return `reads back as ${JSON.stringify(back.meta)}`;
+  if (!isDeepStrictEqual(warnings, unknownFields(meta))) return `warns ${JSON.stringify(warnings)}`;
+  if (back.body !== BODY) return `the body reads back as ${JSON.stringify(back.body)}`;
+  return null;
+}
+
+export function main() {
+  const failures = [];
+  Object.entries(CASES).forEach(([what, fields]) => {
+    const meta = { ...base, ...fields };
+    const text = stringifyFrontmatter(meta, BODY);
+    const p = problem(meta, parseFrontmatter(text));
+    if (p) failures.push(`${what}: ${p}\n  written as ${JSON.stringify(text)}`);
+  });
+  failures.forEach(f => console.error(`frontmatter-roundtrip: ${f}`));
+  const total = Object.keys(CASES).length;
+  console.log(`frontmatter-roundtrip: ${total - failures.length}/${total} cases read back as written`);
+  return failures.length ? 1 : 0;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) process.exitCode = main();
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/* Writes journal/index.js, the manifest of published journal entries, from
+   the notes in journal/*.md. Run it after adding or changing a note:
+
+     node scripts/journal-manifest.js           rewrite journal/index.js
+     node scripts/journal-manifest.js --check   exit 1 if it is out of date
+
+   Each note's frontmatter is parsed and checked with components/frontmatter.js,
+   the same code the site runs, and any warning fails the build. Notes with
+   `draft: true` are left out. Every row carries what a listing needs (title,
+   date, tags, excerpt, slug, words, minutes), newest first, so the site can
+   list entries before it has fetched a single note. scripts/build.js runs
+   the --check before it bundles. */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseMarkdown, outlineMarkdown } from '../components/md.js';
+import { parseFrontmatter } from '../components/frontmatter.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const JOURNAL = path.join(ROOT, 'journal');
+const MANIFEST = path.join(JOURNAL, 'index.js');
+
+// 2026-03-02-p99-lies.md -> p99-lies
+const slugOf = (name) => name.replace(/\.md$/, '').replace(/^\d{4}-\d{2}-\d{2}-/, '');
+
+function readNotes() {
+  const problems = [];
+  const entries = fs.readdirSync(JOURNAL).filter(name => name.endsWith('.md')).sort().flatMap(name => {
+    const file = `journal/${name}`;
+    const { meta, body, warnings } = parseFrontmatter(fs.readFileSync(path.join(JOURNAL, name), 'utf8'));
+    warnings.forEach(w => problems.push(`${file}${w.line ? `:${w.line}` : ''}: ${w.message}`));
+    if (meta.draft) return [];
+    const { words, minutes } = outlineMarkdown(parseMarkdown(body));
+    return [{ file, slug: slugOf(name), ...meta, words, minutes }];
+  });
+  const slugs = new Map();
+  entries.forEach(e => {
+    if (slugs.has(e.slug)) problems.push(`${e.file}: slug "${e.slug}" is taken by ${slugs.get(e.slug)}`);
+    slugs.set(e.slug, e.file);
+  });
+  entries.sort((a, b) => b.date.localeCompare(a.date) || a.file.localeCompare(b.file));
+  return { entries, problems };
+}
+
+const render = (entries) => `/* Manifest of published journal entries, newest first.
+   Generated by scripts/journal-manifest.js from journal/*.md: do not edit by hand.
+   Add or change a note, then run: node scripts/journal-manifest.js */
+export const JOURNAL = ${JSON.stringify(entries, null, 2)};
+`;
+
+export function main(args) {
+  const { entries, problems } = readNotes();
+  if (problems.length) {
+    problems.forEach(p => console.error(p));
+    console.error(`journal-manifest: ${problems.length} problem${problems.length === 1 ? '' : 's'}, fix the frontmatter above`);
+    return 1;
+  }
+  const text = render(entries);
+  const current = fs.existsSync(MANIFEST) ? fs.readFileSync(MANIFEST, 'utf8') : '';
+  if (args.includes('--check')) {
+    if (current === text) return 0;
+    console.error('journal-manifest: journal/index.js is stale, run: node scripts/journal-manifest.js');
+    return 1;
+  }
+  if (current !== text) fs.writeFileSync(MANIFEST, text);
+  console.log(`journal-manifest: ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}${current === text ? ', already up to date' : ' written to journal/index.js'}`);
+  return 0;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) process.exitCode = main(process.argv.slice(2));
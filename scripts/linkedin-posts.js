@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+/* Builds posts/posts.json, the Signals section and the terminal's /posts,
+   from a LinkedIn data export:
+
+     node scripts/linkedin-posts.js <export>             merge it into posts/posts.json
+     node scripts/linkedin-posts.js <export> --dry-run   only print what would change
+
+   <export> is the unpacked export folder, or its Shares.csv. Posts come from
+   Shares.csv, and articles from Articles/*.html when the export has them.
+   Each post's title is its first line and its excerpt the first line after
+   that which reads as a sentence; its #hashtags become its tags.
+
+   Posts are matched to the ones already in posts.json by their LinkedIn URL,
+   or failing that by date and text, so ids stay what they were (li-001 is
+   always the same post) and new posts get the next free number. The export
+   is the source of truth for the posts it has; posts it lacks are kept.
+   Shares without any text of their own (plain reshares) are left out, and a
+   share listed twice is counted once. */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { exportFile, exportDir, readCsv } from './linkedin.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const POSTS = path.join(ROOT, 'posts/posts.json');
+const TITLE_MAX = 140;
+const EXCERPT_MAX = 200;
+
+// Cut at a word, never through an emoji's surrogate pair
+function clip(s, n) {
+  const chars = [...s];
+  if (chars.length <= n) return s;
+  return chars.slice(0, n - 1).join('').replace(/\s+\S*$/, '') + '…';
+}
+
+// Older exports spell a hashtag {hashtag|\#|Kafka}; the site wants #Kafka
+const plainHashtags = (text) => text.replace(/\{hashtag\|\\?#\|([^}]*)\}/g, '#$1');
+
+// Lowercased, in order of first use; #1 and the like are not tags
+function hashtags(text) {
+  const tags = [];
+  for (const m of text.matchAll(/(?:^|[^\p{L}\p{N}_&/#])#([\p{L}\p{N}_]+)/gu)) {
+    const tag = m[1].normalize('NFKC').toLowerCase();
+    if (!/^\d+$/.test(tag) && !tags.includes(tag)) tags.push(tag);
+  }
+  return tags;
+}
+
+// A line that can stand in for the post: not an intro ("My takeaway:"), a link or a row of tags
+const sentence = (line) => !/:$/.test(line) && !/^(https?:\/\/\S+|(#\S+\s*)+)$/.test(line);
+const unbullet = (line) => line.replace(/^([•·▪◦‣→✅❌*-]|\d+[.)])\s+/u, '');
+
+function post({ date, body, url = '', sharedUrl = '', title }) {
+  const lines = body.split('\n').map(l => l.trim()).filter(Boolean);
+  // A share's first line is its title; an article has one of its own
+  const head = title ?? (lines.shift() || '').replace(/:$/, '');
+  const excerpt = lines.map(unbullet).find(sentence) || '';
+  return { date, title: clip(head, TITLE_MAX), excerpt: clip(excerpt, EXCERPT_MAX), body, tags: hashtags(body), url, sharedUrl };
+}
+
+function fromShares(file) {
+  return readCsv(file)
+    .map(row => ({ ...row, ShareCommentary: plainHashtags(row.ShareCommentary || '').replace(/\r\n?/g, '\n').trim() }))
+    .filter(row => row.ShareCommentary && /^\d{4}-\d{2}-\d{2}/.test(row.Date))
+    .map(row => post({ date: row.Date.slice(0, 10), body: row.ShareCommentary, url: row.ShareLink, sharedUrl: row.SharedUrl }));
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+const decode = (s) => s.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (m, e) => (e[0] === '#'
+  ? String.fromCodePoint(e[1].toLowerCase() === 'x' ? parseInt(e.slice(2), 16) : +e.slice(1))
+  : ENTITIES[e.toLowerCase()] ?? m));
+
+// An article's HTML as the plain text the site shows posts in
+function articleText(html) {
+  return decode(html
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<h[1-6][^>]*>([\s\S]*?)<\/h[1-6]>/gi, '\n\n$1\n\n')
+    .replace(/<li[^>]*>/gi, '\n• ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|ul|ol|blockquote|pre)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, ''))
+    .split('\n').map(l => l.replace(/[ \t]+/g, ' ').trim()).join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Articles/<title>.html (Articles/Articles/ in some exports): published
+// ones only, the export keeps drafts too
+function fromArticles(dir) {
+  const files = fs.readdirSync(dir, { recursive: true }).filter(name => name.endsWith('.html')).sort();
+  return files.flatMap(name => {
+    const html = fs.readFileSync(path.join(dir, name), 'utf8');
+    const published = html.match(/Published on (\d{4}-\d{2}-\d{2})/);
+    const h1 = html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i);
+    if (!published || !h1) return [];
+    const link = h1[1].match(/href="([^"]+)"/);
+    const body = html.match(/<body[^>]*>([\s\S]*)<\/body>/i)?.[1] || html;
+    const text = articleText(body.replace(/<h1[\s\S]*?<\/h1>/i, '').replace(/<p class="(created|published)">[\s\S]*?<\/p>/gi, ''));
+    return [post({ date: published[1], title: decode(h1[1].replace(/<[^>]+>/g, '')).trim(), body: text, url: link ? decode(link[1]) : '' })];
+  });
+}
+
+// Same post: same link, or same day and the same opening words
+const textKey = (p) => `${p.date} ${p.body.normalize('NFKC').replace(/\s+/g, ' ').trim().slice(0, 200)}`;
+
+function merge(current, imported) {
+  const byUrl = new Map(current.filter(p => p.url).map(p => [p.url, p]));
+  const byText = new Map(current.map(p => [textKey(p), p]));
+  const seen = new Set();
+  let next = current.reduce((max, p) => Math.max(max, +(p.id.match(/^li-(\d+)$/) || [0, 0])[1]), 0) + 1;
+  const added = [], updated = [], unchanged = [];
+  const merged = new Map(current.map(p => [p.id, p]));
+  let duplicates = 0;
+  // Oldest first, so new ids count up with time
+  [...imported].sort((a, b) => a.date.localeCompare(b.date)).forEach(p => {
+    const key = p.url || textKey(p);
+    if (seen.has(key) || seen.has(textKey(p))) { duplicates++; return; }
+    seen.add(key).add(textKey(p));
+    const old = (p.url && byUrl.get(p.url)) || byText.get(textKey(p));
+    if (!old) {
+      const fresh = { id: `li-${String(next++).padStart(3, '0')}`, ...p };
+      merged.set(fresh.id, fresh);
+      added.push(fresh);
+      return;
+    }
+    const fresh = { id: old.id, ...p };
+    const fields = Object.keys(fresh).filter(k => JSON.stringify(fresh[k]) !== JSON.stringify(old[k]));
+    merged.set(old.id, fresh);
+    (fields.length ? updated : unchanged).push({ post: fresh, fields });
+  });
+  const touched = new Set([...added.map(p => p.id), ...updated.map(u => u.post.id), ...unchanged.map(u => u.post.id)]);
+  const kept = current.filter(p => !touched.has(p.id));
+  const posts = [...merged.values()].sort((a, b) => b.date.localeCompare(a.date) || b.id.localeCompare(a.id));
+  return { posts, added, updated, unchanged, kept, duplicates };
+}
+
+function main(args) {
+  const where = args.find(a => !a.startsWith('--'));
+  if (!where) {
+    console.error('usage: node scripts/linkedin-posts.js <linkedin export folder or Shares.csv> [--dry-run]');
+    return 2;
+  }
+  const shares = exportFile(where, 'Shares.csv');
+  const articles = exportDir(where, 'Articles');
+  if (!shares && !articles) {
+    console.error(`linkedin-posts: no Shares.csv or Articles/ in ${where}`);
+    return 1;
+  }
+  const imported = [...(shares ? fromShares(shares) : []), ...(articles ? fromArticles(articles) : [])];
+  const current = fs.existsSync(POSTS) ? JSON.parse(fs.readFileSync(POSTS, 'utf8')) : [];
+  const { posts, added, updated, unchanged, kept, duplicates } = merge(current, imported);
+
+  const line = (p) => `${p.id}  ${p.date}  ${clip(p.title, 60)}`;
+  added.forEach(p => console.log(`+ ${line(p)}`));
+  updated.forEach(({ post: p, fields }) => console.log(`~ ${line(p)}  (${fields.join(', ')})`));
+  console.log([
+    `linkedin-posts: ${imported.length} in the export`,
+    `${added.length} added`,
+    `${updated.length} updated`,
+    `${unchanged.length} unchanged`,
+    ...(kept.length ? [`${kept.length} kept that the export lacks`] : []),
+    ...(duplicates ? [`${duplicates} duplicate${duplicates === 1 ? '' : 's'} skipped`] : []),
+  ].join(', '));
+  if (args.includes('--dry-run')) return 0;
+  if (added.length || updated.length) {
+    fs.writeFileSync(POSTS, JSON.stringify(posts, null, 2) + '\n');
+    console.log(`linkedin-posts: ${posts.length} posts written to posts/posts.json`);
+  }
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
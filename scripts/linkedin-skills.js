@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+/* Builds data/linkedin-skills.json and data/linkedin-certs.json, the Stack
+   section's endorsed skills and training archive, from a LinkedIn data export:
+
+     node scripts/linkedin-skills.js <export>             rewrite them
+     node scripts/linkedin-skills.js <export> --dry-run   only print the report
+
+   <export> is the unpacked export folder, or its Skills.csv or
+   Certifications.csv; a file the export lacks is left as it is.
+
+   Skills are filed by data/skill-taxonomy.js: endorsements under one
+   skill's aliases merge into one { name, bucket, aliases }, and skills are
+   grouped by bucket in the order the site shows them. The report lists every
+   skill that fell through to Other, and any that two rules disagree on; both
+   are the cue to edit the taxonomy.
+
+     node scripts/linkedin-skills.js --check   exit 1 if data/linkedin-skills.json
+                                               is filed differently from what the
+                                               taxonomy says, or a skill is a tie
+
+   The check keeps the JSON in step with the taxonomy. Where each skill
+   belongs is pinned by hand in scripts/skill-buckets.js, which fails on a
+   taxonomy change that moves one until its table is edited too.
+
+   Certifications get their authority's usual name ("Stanford University
+   School of Engineering" and "Stanford University" are one school), and a
+   `ts` for sorting: midnight UTC on the first of the month they were earned.
+   They are written newest first. A skill or certification listed twice is
+   kept once and reported. */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { exportFile, readCsv } from './linkedin.js';
+import { createTaxonomy } from '../components/taxonomy.js';
+import { SKILL_TAXONOMY } from '../data/skill-taxonomy.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const SKILLS_JSON = path.join(ROOT, 'data/linkedin-skills.json');
+const CERTS_JSON = path.join(ROOT, 'data/linkedin-certs.json');
+
+const taxonomy = createTaxonomy(SKILL_TAXONOMY);
+const OTHER = SKILL_TAXONOMY.categories[SKILL_TAXONOMY.categories.length - 1];
+
+// Issuers that LinkedIn spells more than one way: [usual name, what it covers]
+const AUTHORITIES = [
+  ['Stanford University', /^stanford\b/i],
+  ['Amazon Web Services', /^(amazon web services|aws)\b/i],
+  ['Microsoft', /^microsoft\b/i],
+  ['Google Cloud', /^google cloud\b/i],
+  ['Coursera', /^coursera\b/i],
+];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+function authority(name) {
+  const clean = name.replace(/\s+/g, ' ').replace(/,? (Inc|LLC|Ltd|GmbH)\.?$/i, '').trim();
+  const known = AUTHORITIES.find(([, match]) => match.test(clean));
+  return known ? known[0] : clean;
+}
+
+// 'Dec 2025' (or '2025') -> ms at 2025-12-01T00:00Z; 0 if there is no date
+function timestamp(date) {
+  const m = String(date).trim().match(/^(?:([a-z]{3})[a-z]* )?(\d{4})$/i);
+  if (!m) return 0;
+  const month = m[1] ? MONTHS.indexOf(m[1].toLowerCase()) : 0;
+  return Date.UTC(+m[2], Math.max(month, 0), 1);
+}
+
+// Rows in first-seen order, with later copies of the same key dropped and reported
+function dedupe(rows, key, label, report) {
+  const seen = new Map();
+  rows.forEach(row => {
+    const k = key(row);
+    if (!seen.has(k)) seen.set(k, { row, copies: 1 });
+    else seen.get(k).copies++;
+  });
+  seen.forEach(({ row, copies }) => { if (copies > 1) report.push(`duplicate: ${label(row)} is listed ${copies} times, kept once`); });
+  return [...seen.values()].map(s => s.row);
+}
+
+// data/linkedin-skills.json's rows for these endorsements
+function fileSkills(names, report) {
+  const grouped = taxonomy.group(names);
+  const out = grouped.map(s => ({ name: s.name, bucket: s.category, ...(s.aliases.length && { aliases: s.aliases }) }));
+  const counts = taxonomy.categories.map(k => [k, out.filter(s => s.bucket === k).length]).filter(([, n]) => n);
+  report.push(`skills: ${names.length} endorsements, ${out.length} skills in ${counts.length} buckets (${counts.map(([k, n]) => `${k} ${n}`).join(', ')})`);
+  grouped.filter(s => s.aliases.length).forEach(s => report.push(`  merged into "${s.name}": ${s.aliases.map(a => `"${a}"`).join(', ')}`));
+  const other = grouped.filter(s => s.category === OTHER);
+  if (other.length) report.push(`skills in ${OTHER}, with nothing in the taxonomy to place them:`, ...other.map(s => `  ${s.name}`));
+  const ties = grouped.filter(s => s.also.length);
+  ties.forEach(s => report.push(`tie: "${s.name}" matches the rules for ${[s.category, ...s.also].join(' and ')}, filed under ${s.category}; settle it in data/skill-taxonomy.js`));
+  return { out, ties };
+}
+
+function skills(file, report) {
+  const names = readCsv(file).map(row => (row.Name || '').replace(/\s+/g, ' ').trim()).filter(Boolean);
+  const unique = dedupe(names, n => n.toLowerCase(), n => `skill "${n}"`, report);
+  return fileSkills(unique, report).out;
+}
+
+// Refile what is in data/linkedin-skills.json and compare
+function check() {
+  const current = fs.readFileSync(SKILLS_JSON, 'utf8');
+  const names = JSON.parse(current).flatMap(s => [s.name, ...(s.aliases || [])]);
+  const report = [];
+  const { out, ties } = fileSkills(names, report);
+  const stale = JSON.stringify(out, null, 2) + '\n' !== current;
+  if (!stale && !ties.length) return 0;
+  report.filter(line => line.startsWith('tie:')).forEach(line => console.error(line));
+  if (stale) {
+    const before = new Map(JSON.parse(current).map(s => [s.name, s.bucket]));
+    out.filter(s => before.get(s.name) !== s.bucket).forEach(s => console.error(`moved: "${s.name}" ${before.get(s.name) || '(new)'} -> ${s.bucket}`));
+    console.error('linkedin-skills: data/linkedin-skills.json is filed differently from data/skill-taxonomy.js; rerun the importer if that is intended');
+  }
+  return 1;
+}
+
+function certs(file, report) {
+  const renamed = new Map();
+  const rows = readCsv(file).filter(row => row.Name).map(row => {
+    const auth = authority(row.Authority || '');
+    if (auth !== (row.Authority || '').trim()) renamed.set(row.Authority.trim(), auth);
+    const date = (row['Started On'] || row['Finished On'] || '').trim();
+    return {
+      name: row.Name.replace(/\s+/g, ' ').trim(),
+      authority: auth,
+      date,
+      url: row.Url || '',
+      license: row['License Number'] || '',
+      ts: timestamp(date),
+    };
+  });
+  const unique = dedupe(rows, c => `${c.name.toLowerCase()}|${c.authority.toLowerCase()}`, c => `certification "${c.name}" (${c.authority})`, report);
+  const out = unique.sort((a, b) => b.ts - a.ts);
+  const sources = new Set(out.map(c => c.authority));
+  report.push(`certifications: ${out.length} from ${sources.size} authorities`);
+  renamed.forEach((to, from) => report.push(`  authority "${from}" -> "${to}"`));
+  out.filter(c => !c.ts).forEach(c => report.push(`  no date: "${c.name}" (${c.authority})`));
+  return out;
+}
+
+export function main(args) {
+  if (args.includes('--check')) return check();
+  const where = args.find(a => !a.startsWith('--'));
+  if (!where) {
+    console.error('usage: node scripts/linkedin-skills.js <linkedin export folder, Skills.csv or Certifications.csv> [--dry-run]');
+    console.error('       node scripts/linkedin-skills.js --check');
+    return 2;
+  }
+  const files = [
+    { csv: exportFile(where, 'Skills.csv'), json: SKILLS_JSON, read: skills },
+    { csv: exportFile(where, 'Certifications.csv'), json: CERTS_JSON, read: certs },
+  ].filter(f => f.csv);
+  if (!files.length) {
+    console.error(`linkedin-skills: no Skills.csv or Certifications.csv in ${where}`);
+    return 1;
+  }
+  const report = [];
+  const written = files.map(({ csv, json, read }) => ({ json, text: JSON.stringify(read(csv, report), null, 2) + '\n' }));
+  report.forEach(line => console.log(line));
+  if (args.includes('--dry-run')) return 0;
+  written.forEach(({ json, text }) => {
+    const name = path.relative(ROOT, json);
+    const same = fs.existsSync(json) && fs.readFileSync(json, 'utf8') === text;
+    if (!same) fs.writeFileSync(json, text);
+    console.log(`linkedin-skills: ${name} ${same ? 'already up to date' : 'written'}`);
+  });
+  return 0;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) process.exitCode = main(process.argv.slice(2));
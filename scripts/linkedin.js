@@ -0,0 +1,78 @@
+/* Reading a LinkedIn data export ("Get a copy of your data" in LinkedIn's
+   settings), shared by the importers:
+
+     exportFile('~/Downloads/Basic_LinkedInDataExport', 'Shares.csv')
+       -> the path of Shares.csv in that export, or null
+     readCsv(file) -> [{ Date: '2026-03-19 10:22:33', ShareLink: 'https://…', … }]
+
+   The export is a folder (or the unpacked zip) of CSV files, some nested a
+   level down; an importer can also be pointed at a single file. CSV values
+   are RFC 4180: quoted when they hold commas, quotes or line breaks, with ""
+   for a quote. */
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+const expand = (p) => path.resolve(p.replace(/^~(?=$|\/)/, os.homedir()));
+
+// `name` in the export at `where`: the file itself, or found up to two levels down
+export function exportFile(where, name) {
+  const at = expand(where);
+  if (!fs.existsSync(at)) return null;
+  if (fs.statSync(at).isFile()) return path.basename(at).toLowerCase() === name.toLowerCase() ? at : null;
+  const look = (dir, depth) => {
+    const items = fs.readdirSync(dir, { withFileTypes: true });
+    const hit = items.find(d => d.isFile() && d.name.toLowerCase() === name.toLowerCase());
+    if (hit) return path.join(dir, hit.name);
+    if (!depth) return null;
+    for (const d of items.filter(d => d.isDirectory())) {
+      const found = look(path.join(dir, d.name), depth - 1);
+      if (found) return found;
+    }
+    return null;
+  };
+  return look(at, 2);
+}
+
+// The export's folder of that name (Articles/, say), found the same way
+export function exportDir(where, name) {
+  const at = expand(where);
+  if (!fs.existsSync(at) || !fs.statSync(at).isDirectory()) return null;
+  if (path.basename(at) === name) return at;
+  const look = (dir, depth) => {
+    for (const d of fs.readdirSync(dir, { withFileTypes: true }).filter(d => d.isDirectory())) {
+      if (d.name === name) return path.join(dir, d.name);
+      const found = depth ? look(path.join(dir, d.name), depth - 1) : null;
+      if (found) return found;
+    }
+    return null;
+  };
+  return look(at, 2);
+}
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"' && field === '') quoted = true;
+    else if (c === ',') { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += c;
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(v => v !== ''));
+}
+
+// Rows as objects keyed by the header row
+export function readCsv(file) {
+  const [header = [], ...rows] = parseCsv(fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, ''));
+  const keys = header.map(h => h.trim());
+  return rows.map(r => Object.fromEntries(keys.map((k, i) => [k, (r[i] ?? '').trim()])));
+}
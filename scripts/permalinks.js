@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+/* Writes a static page per journal entry and case study into dist/, so a
+   shared link has a title and a preview before any JavaScript runs:
+
+     journal/<slug>/index.html   from journal/index.js (run scripts/journal-manifest.js first)
+     cases/<id>/index.html       from data/cases.js
+
+     node scripts/permalinks.js           rewrite them
+     node scripts/permalinks.js --check   exit 1 if any is out of date
+
+   Each page is the built dist/index.html (so run scripts/build.js, which ends
+   by running this) with its own <title>, description, canonical URL, Open
+   Graph and Twitter card tags and JSON-LD, and the entry pre-rendered into
+   #root, for link previews, crawlers and readers without JavaScript.
+
+   The app replaces that markup rather than hydrating it (createRoot, not
+   hydrateRoot, in components/app.jsx). Hydrating needs #root to hold exactly
+   what App renders on its first pass: every section of the site, with the
+   journal and terminal as they stand before the drafts in localStorage and
+   the fetched notes and posts come in. This page holds one entry in a plain
+   reader, so React would find a mismatch on every page, log it and render
+   from scratch all the same. So the app boots over the page as usual:
+   <base href="/"> points its assets and fetches at the site root, and the
+   hash is set to what the page shows: the entry open in the terminal (at
+   #heading, if the link had one), the case in Cases. */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { mdToHtml, sanitizeHtml } from '../components/md.js';
+import { TITLE_HTML, CASE_HTML } from '../components/markup.js';
+import { parseFrontmatter } from '../components/frontmatter.js';
+import { JOURNAL } from '../journal/index.js';
+import { CASES } from '../data/cases.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const DIST = path.join(ROOT, 'dist');
+const HOST = fs.readFileSync(path.join(ROOT, 'CNAME'), 'utf8').trim();
+const SITE = `https://${HOST}/`;
+const AUTHOR = { '@type': 'Person', name: 'Gaurav Ratnawat', jobTitle: 'Lead Software Engineer', url: SITE };
+const IMAGE = `${SITE}images/gaurav.jpg`;
+const MARK = '<!-- generated by scripts/permalinks.js from index.html: do not edit -->';
+
+const escapeHtml = (s) => String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+const plain = (html) => html.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+const clip = (s, n = 160) => (s.length > n ? s.slice(0, n - 1).replace(/\s+\S*$/, '') + '…' : s);
+const deepLink = (...parts) => `#journal/${parts.map(encodeURIComponent).join('/')}`;
+// JSON-LD sits inside <script>: keep a stray </script> in the data from ending it
+const jsonLd = (data) => JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+
+function head({ title, description, url, type, published, modified, tags, ld }) {
+  return [
+    `<title>${escapeHtml(title)}</title>`,
+    `<meta name="description" content="${escapeHtml(description)}" />`,
+    `<link rel="canonical" href="${escapeHtml(url)}" />`,
+    `<meta property="og:type" content="${type}" />`,
+    `<meta property="og:site_name" content="${escapeHtml(AUTHOR.name)}" />`,
+    `<meta property="og:title" content="${escapeHtml(title)}" />`,
+    `<meta property="og:description" content="${escapeHtml(description)}" />`,
+    `<meta property="og:url" content="${escapeHtml(url)}" />`,
+    `<meta property="og:image" content="${IMAGE}" />`,
+    ...(published ? [`<meta property="article:published_time" content="${published}" />`] : []),
+    ...(modified ? [`<meta property="article:modified_time" content="${modified}" />`] : []),
+    ...(tags || []).map(t => `<meta property="article:tag" content="${escapeHtml(t)}" />`),
+    '<meta name="twitter:card" content="summary" />',
+    `<meta name="twitter:title" content="${escapeHtml(title)}" />`,
+    `<meta name="twitter:description" content="${escapeHtml(description)}" />`,
+    `<meta name="twitter:image" content="${IMAGE}" />`,
+    `<script type="application/ld+json">\n${jsonLd({ '@context': 'https://schema.org', ...ld })}\n</script>`,
+  ].join('\n');
+}
+
+function journalPage(e) {
+  const { body } = parseFrontmatter(fs.readFileSync(path.join(ROOT, e.file), 'utf8'));
+  const url = `${SITE}journal/${e.slug}/`;
+  const description = e.excerpt || clip(plain(mdToHtml(body)));
+  return {
+    file: `journal/${e.slug}/index.html`,
+    // /journal/p99-lies/#what-p99-hides opens the entry at that heading
+    boot: `if (!/^#journal[/?]/.test(location.hash)) history.replaceState(null, '', location.pathname + ${JSON.stringify(deepLink('cat', ...e.file.split('/')))} + location.hash.replace('#', '%23'));`,
+    head: head({
+      title: `${e.title} · ${AUTHOR.name}`,
+      description,
+      url,
+      type: 'article',
+      published: e.date,
+      modified: e.updated,
+      tags: e.tags,
+      ld: {
+        '@type': 'BlogPosting',
+        headline: e.title,
+        description,
+        datePublished: e.date,
+        dateModified: e.updated || e.date,
+        keywords: (e.tags || []).join(', '),
+        wordCount: e.words,
+        url,
+        mainEntityOfPage: url,
+        image: IMAGE,
+        author: AUTHOR,
+      },
+    }),
+    html: `<main>
+  <section id="journal">
+    <div class="wrap">
+      <article class="j-reader">
+        <div class="j-meta">${escapeHtml(e.date)}${(e.tags || []).length ? ` · ${e.tags.map(escapeHtml).join(', ')}` : ''} · ${e.minutes} min read</div>
+        <div class="j-body">
+${mdToHtml(body)}
+        </div>
+        <p><a href="#journal">← the journal</a></p>
+      </article>
+    </div>
+  </section>
+</main>`,
+  };
+}
+
+function casePage(c) {
+  const url = `${SITE}cases/${c.id}/`;
+  const title = plain(c.title);
+  const description = clip(plain(c.body));
+  return {
+    file: `cases/${c.id}/index.html`,
+    boot: `if (!location.hash) history.replaceState(null, '', location.pathname + '#${c.id}');`,
+    head: head({
+      title: `${title}: case study · ${AUTHOR.name}`,
+      description,
+      url,
+      type: 'article',
+      tags: c.stack,
+      ld: {
+        '@type': 'CreativeWork',
+        name: title,
+        description,
+        keywords: c.stack.join(', '),
+        url,
+        mainEntityOfPage: url,
+        image: IMAGE,
+        author: AUTHOR,
+        creator: AUTHOR,
+      },
+    }),
+    html: `<main>
+  <section id="cases">
+    <div class="wrap">
+      <div class="case" id="${c.id}">
+        <div class="c-left">
+          <div class="c-num">${escapeHtml(c.num)}</div>
+          <h1 class="c-title">${sanitizeHtml(c.title, TITLE_HTML)}</h1>
+          <div class="c-client">${escapeHtml(c.client)}</div>
+          <div>${escapeHtml(c.role)}</div>
+        </div>
+        <div class="c-right">
+          <div class="c-body">${sanitizeHtml(c.body, CASE_HTML)}</div>
+          <ul class="bullets">
+${c.bullets.map(b => `            <li>${escapeHtml(b)}</li>`).join('\n')}
+          </ul>
+          <div class="stack">${c.stack.map(t => `<span class="chip">${escapeHtml(t)}</span>`).join(' ')}</div>
+        </div>
+      </div>
+    </div>
+  </section>
+</main>`,
+  };
+}
+
+// index.html, made into the page for one entry
+function render(template, page) {
+  const out = template
+    .replace(/<meta charset="UTF-8" \/>\n/, m => `${m}<base href="/" />\n${MARK}\n`)
+    .replace(/<title>[^<]*<\/title>/, () => page.head)
+    .replace('<div id="root"></div>', () => `<div id="root">\n${page.html}\n</div>\n  <script>${page.boot}</script>`);
+  if (!out.includes(MARK) || !out.includes(page.boot)) throw new Error(`dist/index.html no longer has the <meta charset>, <title> or #root that ${page.file} is built from`);
+  return out;
+}
+
+export function main(args) {
+  const template = fs.readFileSync(path.join(DIST, 'index.html'), 'utf8');
+  const pages = [...JOURNAL.map(journalPage), ...CASES.map(casePage)]
+    .map(page => ({ file: page.file, text: render(template, page) }));
+  const stale = pages.filter(({ file, text }) => {
+    const at = path.join(DIST, file);
+    return !fs.existsSync(at) || fs.readFileSync(at, 'utf8') !== text;
+  });
+  // Pages this script wrote for entries that are gone; nothing else is touched
+  const wanted = new Set(pages.map(p => p.file));
+  const orphans = ['journal', 'cases'].flatMap(dir => (fs.existsSync(path.join(DIST, dir)) ? fs.readdirSync(path.join(DIST, dir)) : [])
+    .map(name => `${dir}/${name}/index.html`)
+    .filter(file => !wanted.has(file) && fs.existsSync(path.join(DIST, file)) && fs.readFileSync(path.join(DIST, file), 'utf8').includes(MARK)));
+  if (args.includes('--check')) {
+    if (!stale.length && !orphans.length) return 0;
+    [...stale.map(p => p.file), ...orphans].forEach(f => console.error(`permalinks: ${f} is stale`));
+    console.error('permalinks: run node scripts/permalinks.js');
+    return 1;
+  }
+  stale.forEach(({ file, text }) => {
+    fs.mkdirSync(path.dirname(path.join(DIST, file)), { recursive: true });
+    fs.writeFileSync(path.join(DIST, file), text);
+  });
+  orphans.forEach(file => fs.rmSync(path.dirname(path.join(DIST, file)), { recursive: true }));
+  console.log(`permalinks: ${pages.length} pages, ${stale.length} written${orphans.length ? `, ${orphans.length} removed` : ''}`);
+  return 0;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/* Locks in where every endorsed LinkedIn skill is filed. EXPECTED is written
+   out by hand: each skill in data/linkedin-skills.json, under the Stack
+   section bucket it belongs in. The check fails when data/skill-taxonomy.js
+   (through components/taxonomy.js) files one of them anywhere else, when two
+   of its rules tie on one, when data/linkedin-skills.json disagrees with the
+   table, or when it has a skill the table lacks.
+
+     node scripts/skill-buckets.js   exit 1 on any of those
+
+   scripts/linkedin-skills.js --check only refiles the JSON with the taxonomy
+   it was written from; this is what catches a taxonomy edit that moves a
+   skill, since its fix is to edit the table here too, on purpose. ALIASES
+   does the same for endorsements that merge into one skill. */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createTaxonomy } from '../components/taxonomy.js';
+import { SKILL_TAXONOMY } from '../data/skill-taxonomy.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const SKILLS_JSON = path.join(ROOT, 'data/linkedin-skills.json');
+
+// Bucket -> its skills. Software Project Management, Research and Hibernate
+// were the misfilings of the regexes this taxonomy replaced.
+const EXPECTED = {
+  'Leadership & Craft': [
+    'Engineering Leadership', 'Creative Collaboration', 'Problem Solving', 'Knowledge Sharing',
+    'Startups', 'Performance Reviews', 'Recruiting', 'Strategic Vision', 'Collaborative Leadership',
+    'Enablement', 'Technical Direction', 'Key Performance Indicators', 'Facilitation',
+    'Project Leadership', 'Writing', 'Stakeholder Management', 'Retrospectives', 'Mentoring',
+    'Engineering Management', 'Product Road Mapping', 'Distributed Team Management', 'Code Review',
+    'Research', 'Soft Skills', 'Team Management', 'Leadership',
+  ],
+  'Languages': [
+    'Java', 'Java Virtual Machine (JVM)', 'Coding Standards', 'Algorithms', 'Data Structures',
+    'Programming', 'C++', 'C', 'JavaScript', 'SQL',
+  ],
+  'Frameworks & Libraries': [
+    'Across Language Server', 'Spring Framework', 'Hibernate', 'Spring Boot', 'Tomcat',
+    'Java Object Oriented Querying (jOOQ)', 'Spring MVC', 'Spring Security', 'Spring Integration',
+    'NestJS', 'Vue.js', 'Maven',
+  ],
+  'Cloud & Infra': [
+    'Firewalls', 'Domain Name System (DNS)', 'GitOps', 'Azure Kubernetes Service (AKS)', 'OpenID',
+    'Endpoint Security', 'Microsoft Azure', 'Amazon Web Services (AWS)', 'Docker', 'Linux Desktop',
+    'Kubernetes',
+  ],
+  'Databases & Data': [
+    'Data Models', 'Distributed Databases', 'Database Design', 'Machine Learning', 'Data Analysis',
+    'MySQL', 'Microsoft SQL Server', 'Oracle Database', 'Amazon Relational Database Service (RDS)',
+    'SQL Azure',
+  ],
+  'Architecture & Systems': [
+    'Technology Integration', 'Complex Systems', 'Development Design', 'Solution Architecture',
+    'Communication Systems', 'Systems Design', 'REST APIs', 'Web Services', 'Technical Design',
+    'Internet of Things (IoT)', 'Sitewhere', 'Software Architectural Design',
+    'Software Design Patterns', 'Microservices',
+  ],
+  'Process & Delivery': [
+    'Industry standards', 'Continuous Improvement', 'Incident Management',
+    'Software Project Management', 'System Monitoring', 'Reliability', 'New Product Rollout',
+    'CI/CD', 'Test Driven Development', 'Debugging', 'Software Development', 'Git',
+    'Agile Application Development',
+  ],
+};
+
+// An endorsement's name -> the skill it merges into
+const ALIASES = {
+  'Java Development': 'Java',
+  'java development': 'Java',
+  'Written Communication': 'Writing',
+  'Representational State Transfer (REST)': 'REST APIs',
+  'RESTful WebServices': 'REST APIs',
+  'RESTful Web Services': 'REST APIs',
+  'REST API': 'REST APIs',
+  'Continuous Integration and Continuous Delivery (CI/CD)': 'CI/CD',
+  'Continuous Integration': 'CI/CD',
+  'Continuous Delivery': 'CI/CD',
+  'K8s': 'Kubernetes',
+};
+
+export function main() {
+  const taxonomy = createTaxonomy(SKILL_TAXONOMY);
+  const problems = [];
+  const expected = new Map(Object.entries(EXPECTED).flatMap(([bucket, names]) => names.map(n => [n, bucket])));
+
+  expected.forEach((bucket, name) => {
+    const { category, also } = taxonomy.categorize(name);
+    if (category !== bucket) problems.push(`"${name}" is filed under ${category}, expected ${bucket}`);
+    if (also.length) problems.push(`"${name}" also matches the rules for ${also.join(' and ')}`);
+  });
+
+  Object.entries(ALIASES).forEach(([alias, name]) => {
+    const got = taxonomy.canonical(alias);
+    if (got !== name) problems.push(`"${alias}" is taken as "${got}", expected "${name}"`);
+    const merged = taxonomy.group([name, alias]);
+    if (merged.length !== 1) problems.push(`"${alias}" and "${name}" do not merge into one skill`);
+  });
+
+  const filed = JSON.parse(fs.readFileSync(SKILLS_JSON, 'utf8'));
+  filed.forEach(s => {
+    if (!expected.has(s.name)) problems.push(`"${s.name}" is in data/linkedin-skills.json but not in EXPECTED; add it under its bucket`);
+    else if (expected.get(s.name) !== s.bucket) problems.push(`data/linkedin-skills.json files "${s.name}" under ${s.bucket}, expected ${expected.get(s.name)}`);
+    (s.aliases || []).forEach(a => { if (taxonomy.canonical(a) !== s.name) problems.push(`data/linkedin-skills.json merges "${a}" into "${s.name}", the taxonomy does not`); });
+  });
+  const names = new Set(filed.map(s => s.name));
+  expected.forEach((bucket, name) => { if (!names.has(name)) problems.push(`"${name}" is in EXPECTED but not in data/linkedin-skills.json`); });
+
+  problems.forEach(p => console.error(`skill-buckets: ${p}`));
+  console.log(`skill-buckets: ${expected.size} skills, ${Object.keys(ALIASES).length} aliases, ${problems.length ? `${problems.length} problem${problems.length === 1 ? '' : 's'}` : 'all where they belong'}`);
+  return problems.length ? 1 : 0;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) process.exitCode = main();
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+/* Known XSS payloads, run through everything that turns untrusted text into
+   markup: mdToHtml and sanitizeHtml (components/md.js) for journal notes,
+   drafts and case studies, the latter also with the allow-lists in
+   components/markup.js, and ansi.line (components/ansi.js) for escapes
+   printed in the terminal.
+
+     node scripts/xss-corpus.js   exit 1 if any payload comes out live
+
+   The output is read the way a browser would read it, independently of
+   md.js: each tag and attribute is pulled out and its value entity-decoded
+   once. A payload is inert when no tag in DANGEROUS_TAGS survives, no
+   attribute is an event handler or a style, and every URL attribute (and
+   every OSC 8 link) is relative or uses a scheme in SCHEMES after dropping
+   the control characters and whitespace browsers skip. Add a payload here
+   whenever a new one turns up. */
+import { fileURLToPath } from 'url';
+import { mdToHtml, sanitizeHtml } from '../components/md.js';
+import { TITLE_HTML, CASE_HTML } from '../components/markup.js';
+import { ansi } from '../components/ansi.js';
+
+const SCHEMES = ['http', 'https', 'mailto', 'tel'];
+const DANGEROUS_TAGS = ['script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'svg', 'math', 'form', 'base', 'meta', 'link', 'template', 'xmp', 'noscript'];
+const URL_ATTRIBUTES = ['href', 'src', 'cite', 'action', 'formaction', 'background', 'poster', 'xlink:href', 'srcdoc', 'data'];
+
+// Markup: markdown and raw HTML, rendered by mdToHtml and sanitizeHtml alike
+const MARKUP = [
+  // javascript: in every place markdown takes a URL
+  '[x](javascript:alert(1))',
+  '[x](JaVaScRiPt:alert(1))',
+  '[x]( javascript:alert(1) )',
+  '[x](<javascript:alert(1)>)',
+  '![x](javascript:alert(1))',
+  '<javascript:alert(1)>',
+  '[x][r]\n\n[r]: javascript:alert(1)',
+  '[x](javascript:alert(1) "title")',
+  // the scheme hidden behind entities
+  '[x](&#106;avascript:alert(1))',
+  '[x](&#x6A;&#x61;vascript:alert(1))',
+  '[x](javascript&colon;alert(1))',
+  '<a href="&#106;&#97;&#118;&#97;&#115;&#99;&#114;&#105;&#112;&#116;&#58;alert(1)">x</a>',
+  '<a href="javascript&colon;alert(1)">x</a>',
+  '<a href="&#x6A;avascript&#x3A;alert(1)">x</a>',
+  '<a href="jav&#x09;ascript:alert(1)">x</a>',
+  '<a href="java&Tab;script:alert(1)">x</a>',
+  '<a href="java&NewLine;script:alert(1)">x</a>',
+  // ... and behind control characters and whitespace
+  '[x](java\u0000script:alert(1))',
+  '<a href="java\tscript:alert(1)">x</a>',
+  '<a href="java\nscript:alert(1)">x</a>',
+  '<a href="\u0001javascript:alert(1)">x</a>',
+  '<a href=" javascript:alert(1)">x</a>',
+  '<a href="\u007Fjavascript:alert(1)">x</a>',
+  '<a href=javascript:alert(1)>x</a>',
+  "<a href='javascript:alert(1)'>x</a>",
+  // other schemes that run code
+  '[x](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)',
+  '![x](data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9YWxlcnQoMSk+)',
+  '<img src="data:text/html,<script>alert(1)</script>">',
+  '[x](vbscript:msgbox(1))',
+  '<a href="VBScript:msgbox(1)">x</a>',
+  '<a href="livescript:alert(1)">x</a>',
+  '<blockquote cite="javascript:alert(1)">x</blockquote>',
+  // event handlers
+  '<img src=x onerror=alert(1)>',
+  '<img src="x" onerror="alert(1)">',
+  '<img src=x ONERROR=alert(1)>',
+  '<img/src=x/onerror=alert(1)>',
+  '<svg/onload=alert(1)>',
+  '<svg><script>alert(1)</script></svg>',
+  '<body onload=alert(1)>',
+  '<div onclick="alert(1)">x</div>',
+  '<details open ontoggle=alert(1)>',
+  '<a href="https://example.com" onmouseover="alert(1)">x</a>',
+  '<span title="x" onfocus=alert(1) tabindex=0>x</span>',
+  '<input autofocus onfocus=alert(1)>',
+  // script, style and friends
+  '<script>alert(1)</script>',
+  '<SCRIPT SRC=//example.com/x.js></SCRIPT>',
+  '<scr<script>ipt>alert(1)</script>',
+  '<!--><script>alert(1)</script>-->',
+  '<style>*{background:url(javascript:alert(1))}</style>',
+  '<p style="background:url(javascript:alert(1))">x</p>',
+  '<a href="/x" style="position:fixed;inset:0">x</a>',
+  '<iframe src="javascript:alert(1)"></iframe>',
+  '<iframe srcdoc="<script>alert(1)</script>"></iframe>',
+  '<object data="javascript:alert(1)"></object>',
+  '<embed src="javascript:alert(1)">',
+  '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+  '<form action="javascript:alert(1)"><button>x</button></form>',
+  '<button formaction="javascript:alert(1)">x</button>',
+  '<base href="javascript:alert(1)//">',
+  '<meta http-equiv="refresh" content="0;url=javascript:alert(1)">',
+  '<link rel="stylesheet" href="javascript:alert(1)">',
+  // markup that breaks out of an attribute or a code span
+  '<a href="x" title="a" onclick="alert(1)" ">x</a>',
+  '<a title="x\'" onclick="alert(1)">x</a>',
+  '`<script>alert(1)</script>`',
+  '```html\n<script>alert(1)</script>\n```',
+  '| a |\n| - |\n| <img src=x onerror=alert(1)> |',
+  '- [ ] <img src=x onerror=alert(1)>',
+  'x[^1]\n\n[^1]: <script>alert(1)</script>',
+];
+
+// Terminal output: OSC 8 hyperlinks (ESC ] 8 ; ; url ST text ESC ] 8 ; ; ST)
+const osc8 = (url) => `\x1b]8;;${url}\x1b\\click\x1b]8;;\x1b\\`;
+const ESCAPES = [
+  osc8('javascript:alert(document.domain)'),
+  osc8('JAVASCRIPT:alert(1)'),
+  osc8(' javascript:alert(1)'),
+  osc8('java\tscript:alert(1)'),
+  osc8('\u0001javascript:alert(1)'),
+  osc8('data:text/html,<script>alert(1)</script>'),
+  osc8('vbscript:msgbox(1)'),
+  `\x1b]8;;javascript:alert(1)\x07bell-terminated\x1b]8;;\x07`,
+  `\x1b[1m${osc8('javascript:alert(1)')}\x1b[0m`,
+];
+
+// Entities as a browser decodes an attribute value: numeric, and the named
+// ones that matter for hiding a scheme
+const NAMED = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", colon: ':', Tab: '\t', NewLine: '\n', sol: '/', lpar: '(', rpar: ')', nbsp: ' ' };
+const decode = (s) => s.replace(/&(?:#x([0-9a-f]+)|#(\d+)|([A-Za-z]+));?/gi, (m, hex, dec, name) => {
+  if (hex || dec) return String.fromCodePoint(Math.min(parseInt(hex || dec, hex ? 16 : 10), 0x10FFFF) || 0xFFFD);
+  return Object.prototype.hasOwnProperty.call(NAMED, name) ? NAMED[name] : m;
+});
+
+const schemeOf = (url) => (url.replace(/[\u0000- \u007F-\u009F]/g, '').match(/^([a-z][a-z0-9+.-]*):/i) || [])[1];
+
+function unsafeUrl(url, tag) {
+  const scheme = schemeOf(url)?.toLowerCase();
+  if (!scheme || SCHEMES.includes(scheme)) return false;
+  return !(tag === 'img' && /^data:image\/(?:png|gif|jpe?g|webp|avif);/i.test(url.trim()));
+}
+
+// What is live in a piece of HTML, as a list of problems
+function liveHtml(html) {
+  const problems = [];
+  for (const [, name, attrs] of html.matchAll(/<([A-Za-z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g)) {
+    const tag = name.toLowerCase();
+    if (DANGEROUS_TAGS.includes(tag)) problems.push(`<${tag}> survives`);
+    if (tag === 'input' && !/\btype="checkbox"/.test(attrs)) problems.push('an <input> that is not a task list checkbox');
+    for (const [, rawKey, double, single, bare] of attrs.matchAll(/([^\s"'=<>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g)) {
+      const key = rawKey.toLowerCase();
+      const value = decode(double ?? single ?? bare ?? '');
+      if (key.startsWith('on')) problems.push(`event handler ${key} on <${tag}>`);
+      if (key === 'style') problems.push(`style on <${tag}>`);
+      if (URL_ATTRIBUTES.includes(key) && unsafeUrl(value, tag)) problems.push(`${key}="${value}" on <${tag}>`);
+    }
+  }
+  return problems;
+}
+
+const liveSpans = (spans) => spans.filter(s => s.href && unsafeUrl(s.href)).map(s => `OSC 8 link to ${s.href}`);
+
+export function main() {
+  const failures = [];
+  const check = (where, payload, problems) => { if (problems.length) failures.push({ where, payload, problems }); };
+  MARKUP.forEach(p => {
+    check('mdToHtml', p, liveHtml(mdToHtml(p)));
+    check('sanitizeHtml', p, liveHtml(sanitizeHtml(p)));
+    check('sanitizeHtml TITLE_HTML', p, liveHtml(sanitizeHtml(p, TITLE_HTML)));
+    check('sanitizeHtml CASE_HTML', p, liveHtml(sanitizeHtml(p, CASE_HTML)));
+  });
+  ESCAPES.forEach(p => check('ansi.line', p, liveSpans(ansi.line(p).spans || [])));
+  failures.forEach(f => console.error(`xss-corpus: ${f.where} ${JSON.stringify(f.payload)}: ${f.problems.join('; ')}`));
+  const total = MARKUP.length * 4 + ESCAPES.length;
+  console.log(`xss-corpus: ${total - failures.length}/${total} inert`);
+  return failures.length ? 1 : 0;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) process.exitCode = main();
@@ -0,0 +1,53 @@
+/* The service worker. scripts/build.js builds it into dist/sw.js and fills in
+   SW_VERSION, a hash of everything precached, and SW_PRECACHE, their URLs:
+   index.html, the hashed bundle, stylesheet and fonts, the manifest and
+   icons, the published notes, the tour cast and the permalink pages.
+
+   - precached files come from the cache, so the site and the journal
+     terminal work with no network at all
+   - posts/posts.json and data/*.json are stale-while-revalidate: answered
+     from the cache at once and refreshed from the network for next time
+   - pages are network first, falling back to their cached copy or the shell
+   - a new deploy installs beside the old one and waits; the page offers to
+     switch (components/pwa.js) and posts 'skip-waiting' when the reader agrees */
+const SHELL = `shell-${SW_VERSION}`;
+const DATA = 'data';
+const REVALIDATE = /\/(posts\/posts|data\/[^/]+)\.json$/;
+
+self.addEventListener('install', (e) => {
+  e.waitUntil(caches.open(SHELL).then(cache => cache.addAll(SW_PRECACHE)));
+});
+
+// Drop the shells of earlier deploys; the data cache carries over
+self.addEventListener('activate', (e) => {
+  e.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys.filter(k => k.startsWith('shell-') && k !== SHELL).map(k => caches.delete(k))))
+    .then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', (e) => {
+  if (e.data?.type === 'skip-waiting') self.skipWaiting();
+});
+
+function staleWhileRevalidate(e) {
+  const fresh = caches.open(DATA).then(cache => fetch(e.request).then(res => {
+    if (res.ok) cache.put(e.request, res.clone());
+    return res;
+  }));
+  e.waitUntil(fresh.catch(() => {}));
+  return caches.match(e.request, { cacheName: DATA }).then(hit => hit || fresh);
+}
+
+// /journal/p99-lies/ offline is its cached page, or the shell if it was never precached
+const networkFirst = (e) => fetch(e.request).catch(() =>
+  caches.match(e.request, { ignoreSearch: true }).then(hit => hit || caches.match('./', { cacheName: SHELL })));
+
+const cacheFirst = (e) => caches.match(e.request, { cacheName: SHELL }).then(hit => hit || fetch(e.request));
+
+self.addEventListener('fetch', (e) => {
+  const url = new URL(e.request.url);
+  if (e.request.method !== 'GET' || url.origin !== location.origin) return;
+  if (REVALIDATE.test(url.pathname)) e.respondWith(staleWhileRevalidate(e));
+  else if (e.request.mode === 'navigate') e.respondWith(networkFirst(e));
+  else e.respondWith(cacheFirst(e));
+});